@@ -0,0 +1,124 @@
+// netlify/functions/alerts-sweep.js
+//
+// Scheduled: works through active alert subscriptions a shard at a time,
+// re-fetches the latest action for the bills they follow, diffs it against
+// what we saw last time, and sends each subscriber one message listing their
+// bills that changed since their last sweep.
+//
+// Stores:
+//   alert-bill-state  {bill id} -> { ...status, checkedAt, changedAt }
+//                     (a bill seen for the first time only records a baseline)
+//   alert-sweep       sub:{token} -> { checkedAt }  (when that subscriber was last swept)
+
+import { parseBillRef, fetchBillStatus } from "./lib/bill-refs.js";
+import { getTransport } from "./lib/notify.js";
+import { getStore, nextShard } from "./lib/store.js";
+import { subscriptionStore, listSubscriptions, unsubscribeUrl, unsubscribeHeaders } from "./lib/subscriptions.js";
+
+export const config = { schedule: "*/15 * * * *" };
+
+// Subscribers per run — keeps one run inside the function time limit however
+// many people subscribe; the cursor moves on to the next shard each run
+const SUBSCRIPTIONS_PER_RUN = 25;
+// Status fetches in flight at once (Congress.gov / LegiScan rate limits)
+const FETCH_CONCURRENCY = 5;
+// A bill another shard fetched this recently isn't fetched again
+const STATUS_FRESH_MS = 60 * 60 * 1000;
+
+function formatChange(c) {
+  return `${c.number || c.id}${c.title ? ` — ${c.title}` : ""}\n  ${c.date ? c.date + ": " : ""}${c.status}\n  ${c.url}`;
+}
+
+export async function handler() {
+  try {
+    const subStore = subscriptionStore();
+    const stateStore = getStore("alert-bill-state");
+    const sweepStore = getStore("alert-sweep");
+    const active = (await listSubscriptions(subStore))
+      .filter(s => s.status === "active")
+      .sort((a, b) => a.token.localeCompare(b.token));
+    const shard = await nextShard("alerts-sweep", active, SUBSCRIPTIONS_PER_RUN);
+    const now = new Date().toISOString();
+
+    // Each bill once, however many subscribers in the shard follow it
+    const billIds = [...new Set(shard.flatMap(s => s.bills))].filter(id => parseBillRef(id));
+    const states = new Map();
+    let fetched = 0, failures = 0;
+
+    for (let i = 0; i < billIds.length; i += FETCH_CONCURRENCY) {
+      await Promise.all(billIds.slice(i, i + FETCH_CONCURRENCY).map(async (id) => {
+        const previous = await stateStore.get(id);
+        if (previous && Date.parse(now) - Date.parse(previous.checkedAt) < STATUS_FRESH_MS) {
+          states.set(id, previous);
+          return;
+        }
+        try {
+          const current = await fetchBillStatus(parseBillRef(id));
+          fetched++;
+          const changed = previous && (previous.status !== current.status || previous.date !== current.date);
+          const next = { ...current, checkedAt: now, changedAt: changed ? now : previous?.changedAt || null };
+          await stateStore.set(id, next);
+          states.set(id, next);
+        } catch (e) {
+          failures++;
+          if (previous) states.set(id, previous);
+          console.log(`Status fetch failed for ${id}:`, e.message);
+        }
+      }));
+    }
+
+    let sent = 0, changesFound = 0;
+    for (const sub of shard) {
+      // A subscriber swept for the first time only records a baseline; a failed
+      // send keeps the old checkpoint so the next sweep retries it
+      const last = await sweepStore.get(`sub:${sub.token}`);
+      const changes = last
+        ? sub.bills.map(id => states.get(id)).filter(st => st?.changedAt && st.changedAt > last.checkedAt)
+        : [];
+      if (changes.length === 0) {
+        await sweepStore.set(`sub:${sub.token}`, { checkedAt: now });
+        continue;
+      }
+      changesFound += changes.length;
+
+      try {
+        const transport = getTransport(sub.channel);
+        if (sub.channel === "sms") {
+          const first = changes[0];
+          const more = changes.length > 1 ? ` (+${changes.length - 1} more)` : "";
+          await transport.send({
+            to: sub.address,
+            text: `Civic Rights Alert: ${first.number || first.id} — ${first.status}${more}. ${first.url} Stop: ${unsubscribeUrl(sub.token)}`,
+          });
+        } else {
+          await transport.send({
+            to: sub.address,
+            subject: `${changes.length} bill${changes.length !== 1 ? "s" : ""} you follow changed`,
+            text: [
+              "New activity on bills you follow:",
+              "",
+              ...changes.map(formatChange),
+              "",
+              `Unsubscribe with one click: ${unsubscribeUrl(sub.token)}`,
+            ].join("\n"),
+            headers: unsubscribeHeaders(sub.token),
+          });
+        }
+        sent++;
+        await sweepStore.set(`sub:${sub.token}`, { checkedAt: now });
+      } catch (e) {
+        console.log(`Alert send failed (${sub.channel}):`, e.message);
+      }
+    }
+
+    const summary = {
+      subscriptions: active.length, swept: shard.length, billsChecked: billIds.length, billsFetched: fetched,
+      changesFound, failures, messagesSent: sent,
+    };
+    console.log("Alert sweep:", JSON.stringify(summary));
+    return { statusCode: 200, headers: { "content-type": "application/json" }, body: JSON.stringify(summary) };
+  } catch (err) {
+    return { statusCode: 500, headers: { "content-type": "application/json" },
+      body: JSON.stringify({ error: String(err) }) };
+  }
+}
@@ -0,0 +1,223 @@
+// netlify/functions/alerts.js
+//
+// Email & SMS alert subscriptions for watchlisted bills (double opt-in).
+//
+// Routes:
+//   POST ?action=subscribe     body { email?, phone?, bills: ["119-hr-187", "1893421", "legistar-phoenix-12345"] }
+//                              -> creates one subscription per contact and sends a confirmation link;
+//                                 changing an active subscription's bills is confirmed the same way
+//   GET  ?action=confirm&token=...      -> confirmation page with a confirm button (link from the confirmation message)
+//   POST ?action=confirm&token=...      -> activates the subscription (the button above)
+//   GET  ?action=unsubscribe&token=...  -> confirmation page with an unsubscribe button
+//   POST ?action=unsubscribe&token=...  -> unsubscribes (the button above, or RFC 8058 List-Unsubscribe-Post)
+//
+// Change detection + delivery happens in alerts-sweep.js (scheduled).
+// Transports are configured via env — see lib/notify.js.
+
+import { parseBillRef } from "./lib/bill-refs.js";
+import { getTransport } from "./lib/notify.js";
+import {
+  MAX_BILLS_PER_SUBSCRIPTION, subscriptionStore, newToken, normalizeEmail, normalizePhone,
+  confirmationAllowance, confirmUrl, unsubscribeUrl, unsubscribeHeaders,
+} from "./lib/subscriptions.js";
+
+function json(statusCode, payload) {
+  return { statusCode, headers: { "content-type": "application/json" }, body: JSON.stringify(payload) };
+}
+
+// form = { action, label } adds a POST button (state changes never happen on GET)
+function htmlPage(statusCode, title, message, form = null) {
+  const esc = (s) => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+  return {
+    statusCode,
+    headers: { "content-type": "text/html; charset=utf-8" },
+    body: `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${esc(title)}</title></head>` +
+      `<body style="font-family: -apple-system, 'Segoe UI', sans-serif; background:#f1f5f9; color:#1e293b; padding:3rem 1rem;">` +
+      `<div style="max-width:480px; margin:0 auto; background:white; border-radius:1rem; padding:2rem;">` +
+      `<h1 style="color:#1e3a8a; font-size:1.5rem;">${esc(title)}</h1><p>${esc(message)}</p>` +
+      (form ? `<form method="POST" action="${esc(form.action)}"><button type="submit" style="background:#1e3a8a; color:white; border:none; border-radius:0.5rem; padding:0.75rem 1.5rem; font-size:1rem; cursor:pointer;">${esc(form.label)}</button></form>` : "") +
+      `<p><a href="/" style="color:#1e3a8a;">← Back to Civic Rights Alert</a></p></div></body></html>`,
+  };
+}
+
+async function sendConfirmation(sub) {
+  const transport = getTransport(sub.channel);
+  const count = sub.bills.length;
+  const bills = `${count} bill${count !== 1 ? "s" : ""}`;
+  // A pending change unsubscribes the active subscription it would replace
+  const stopToken = sub.replaces || sub.token;
+  if (sub.channel === "sms") {
+    const ask = sub.replaces ? `confirm changing your alerts to ${bills}` : `confirm texts about ${bills}`;
+    await transport.send({
+      to: sub.address,
+      text: `Civic Rights Alert: ${ask}: ${confirmUrl(sub.token)} — Stop anytime: ${unsubscribeUrl(stopToken)}`,
+    });
+    return;
+  }
+  await transport.send({
+    to: sub.address,
+    subject: sub.replaces ? "Confirm the change to your Civic Rights Alert subscription" : "Confirm your Civic Rights Alert subscription",
+    text: [
+      sub.replaces
+        ? `Someone (hopefully you) asked to change your Civic Rights Alert emails to follow ${bills}.`
+        : `Someone (hopefully you) asked for email alerts about ${bills} on Civic Rights Alert.`,
+      "",
+      sub.replaces ? "Confirm the change:" : "Confirm your subscription:",
+      confirmUrl(sub.token),
+      "",
+      sub.replaces
+        ? "If this wasn't you, ignore this message — your current alerts stay as they are."
+        : "If this wasn't you, ignore this message — you won't hear from us again.",
+      `Unsubscribe: ${unsubscribeUrl(stopToken)}`,
+    ].join("\n"),
+    headers: unsubscribeHeaders(stopToken),
+  });
+}
+
+async function subscribe(event) {
+  let body = {};
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return json(400, { error: "Body must be JSON: { email?, phone?, bills: [...] }" });
+  }
+
+  const email = body.email ? normalizeEmail(body.email) : "";
+  const phone = body.phone ? normalizePhone(body.phone) : "";
+  if (body.email && !email) return json(400, { error: "That email address doesn't look valid." });
+  if (body.phone && !phone) return json(400, { error: "That phone number doesn't look valid. Use a 10-digit US number." });
+  if (!email && !phone) return json(400, { error: "Provide an email address, a phone number, or both." });
+
+  const requested = Array.isArray(body.bills) ? body.bills : [];
+  const bills = [...new Set(requested.map(String))].filter(id => parseBillRef(id));
+  if (bills.length === 0) return json(400, { error: "No valid bill ids. Add bills to your watchlist first." });
+  if (bills.length > MAX_BILLS_PER_SUBSCRIPTION) {
+    return json(400, { error: `You can follow up to ${MAX_BILLS_PER_SUBSCRIPTION} bills per subscription.` });
+  }
+
+  const store = subscriptionStore();
+  const now = new Date().toISOString();
+  const contacts = [email && { channel: "email", address: email }, phone && { channel: "sms", address: phone }].filter(Boolean);
+  const results = [];
+
+  for (const { channel, address } of contacts) {
+    const indexKey = `contact:${channel}:${address}`;
+    const contact = (await store.get(indexKey)) || {};
+    const recentSends = confirmationAllowance(contact);
+    if (!recentSends) {
+      results.push({ channel, status: "error", error: "Too many confirmation messages were sent to this address today. Try again tomorrow." });
+      continue;
+    }
+
+    const current = contact.token ? await store.get(`sub:${contact.token}`) : null;
+    const active = current && current.status === "active" ? current : null;
+    // Only the newest request for a contact stays confirmable
+    if (contact.pendingToken) await store.delete(`sub:${contact.pendingToken}`);
+    if (current && !active) await store.delete(`sub:${current.token}`);
+
+    // New, pending or previously unsubscribed contacts start double opt-in with a fresh token.
+    // Changing an active subscription is confirmed the same way; its current bills keep
+    // alerting until the owner follows the link.
+    const sub = {
+      token: newToken(), channel, address, bills, status: "pending",
+      ...(active && { replaces: active.token }),
+      createdAt: now, confirmedAt: null, updatedAt: now,
+    };
+    await store.set(`sub:${sub.token}`, sub);
+    await store.set(indexKey, {
+      token: active ? active.token : sub.token,
+      ...(active && { pendingToken: sub.token }),
+      confirmationsSentAt: [...recentSends, now],
+    });
+
+    try {
+      await sendConfirmation(sub);
+      results.push({ channel, status: active ? "pending-update" : "pending", bills: bills.length });
+    } catch (e) {
+      console.log(`Confirmation ${channel} send failed:`, e.message);
+      results.push({ channel, status: "error", error: "Could not send the confirmation message." });
+    }
+  }
+
+  return json(200, { subscriptions: results });
+}
+
+// Confirming a pending change moves its bills onto the active subscription, so
+// unsubscribe links from earlier messages keep working
+async function confirmChange(store, pending) {
+  const indexKey = `contact:${pending.channel}:${pending.address}`;
+  const contact = (await store.get(indexKey)) || {};
+  const current = await store.get(`sub:${pending.replaces}`);
+  const now = new Date().toISOString();
+
+  if (current && current.status === "active") {
+    await store.set(`sub:${current.token}`, { ...current, bills: pending.bills, updatedAt: now });
+    await store.delete(`sub:${pending.token}`);
+    await store.set(indexKey, { token: current.token, confirmationsSentAt: contact.confirmationsSentAt || [] });
+  } else {
+    // The subscription it would have changed is gone — this one takes its place
+    const { replaces, ...sub } = pending;
+    await store.set(`sub:${sub.token}`, { ...sub, status: "active", confirmedAt: now, updatedAt: now });
+    await store.set(indexKey, { token: sub.token, confirmationsSentAt: contact.confirmationsSentAt || [] });
+  }
+  return htmlPage(200, "Subscription updated ✅", `You're now following ${pending.bills.length} bills. Every message includes a one-click unsubscribe link.`);
+}
+
+export async function handler(event) {
+  try {
+    const qs = event.queryStringParameters || {};
+    const action = qs.action || "";
+
+    if (action === "subscribe") {
+      if (event.httpMethod !== "POST") return json(405, { error: "Use POST for subscribe." });
+      return await subscribe(event);
+    }
+
+    if (action === "confirm" || action === "unsubscribe") {
+      const token = String(qs.token || "").replace(/[^a-f0-9]/gi, "");
+      const store = subscriptionStore();
+      const sub = token ? await store.get(`sub:${token}`) : null;
+      if (!sub) {
+        return htmlPage(404, "Link expired", "This link is no longer valid. You can subscribe again from the app.");
+      }
+
+      if (action === "confirm") {
+        if (sub.status === "unsubscribed") {
+          return htmlPage(410, "Already unsubscribed", "This subscription was cancelled. Subscribe again from the app to restart alerts.");
+        }
+        const subscribed = `We'll let you know when any of your ${sub.bills.length} followed bills changes. Every message includes a one-click unsubscribe link.`;
+        // Mail scanners and link prefetchers follow GET links, so only the button confirms
+        if (event.httpMethod !== "POST") {
+          if (sub.status === "active" && !sub.replaces) return htmlPage(200, "You're subscribed ✅", subscribed);
+          const count = `${sub.bills.length} bill${sub.bills.length !== 1 ? "s" : ""}`;
+          return htmlPage(200, sub.replaces ? "Confirm your changes?" : "Confirm your subscription?",
+            sub.replaces ? `Change the alerts sent to ${sub.address} to ${count}?` : `Send alerts to ${sub.address} when any of ${count} changes?`,
+            { action: `?action=confirm&token=${token}`, label: "Confirm" });
+        }
+        if (sub.replaces) return await confirmChange(store, sub);
+        if (sub.status !== "active") {
+          await store.set(`sub:${token}`, { ...sub, status: "active", confirmedAt: new Date().toISOString() });
+        }
+        return htmlPage(200, "You're subscribed ✅", subscribed);
+      }
+
+      if (event.httpMethod !== "POST") {
+        if (sub.status === "unsubscribed") {
+          return htmlPage(200, "Unsubscribed", "You won't receive any more alerts at this address.");
+        }
+        return htmlPage(200, "Unsubscribe?", `Stop all Civic Rights Alert messages to ${sub.address}?`,
+          { action: `?action=unsubscribe&token=${token}`, label: "Unsubscribe" });
+      }
+
+      await store.set(`sub:${token}`, { ...sub, status: "unsubscribed", updatedAt: new Date().toISOString() });
+      return htmlPage(200, "Unsubscribed", "You won't receive any more alerts at this address.");
+    }
+
+    return json(400, {
+      error: "Invalid action parameter",
+      validActions: ["subscribe", "confirm", "unsubscribe"],
+    });
+  } catch (err) {
+    return json(500, { error: String(err) });
+  }
+}
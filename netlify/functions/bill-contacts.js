@@ -0,0 +1,138 @@
+// netlify/functions/bill-contacts.js
+//
+// Who to contact about a bill — the "Take action" panel in BillDetailsModal.
+// Returns the sponsors and the members of every committee the bill was
+// referred to, with office phone, website and contact form where published.
+// The user's own reps come from find-reps.js (stored client-side as myReps)
+// and are merged in the browser.
+//
+// Query params (one of):
+//   congress = 119, type = hr, number = 187   (federal)
+//   id = LegiScan bill_id                      (state)
+//
+// Returns { level, sponsors: [person], committees: [{ name, chamber, code, members: [person] }], notes }
+//   person = { name, party, state, district, chamber, role, bioguideId | peopleId,
+//              contact: { phone, office, website, contactForm, email } }
+//
+// Env vars: CONGRESS_API_KEY (federal), LEGISCAN_API_KEY (state)
+
+import { congressFetch, currentCongress } from "./lib/congress.js";
+import { callLegiScan } from "./lib/legiscan.js";
+import { currentLegislator, committeeMembers, thomasIdFromSystemCode } from "./lib/legislators.js";
+import { withHttpCache } from "./lib/cache.js";
+
+const CHAMBER_NAMES = { H: "House", S: "Senate", J: "Joint", A: "Assembly" };
+
+function json(statusCode, payload) {
+  return { statusCode, headers: { "content-type": "application/json" }, body: JSON.stringify(payload) };
+}
+
+function emptyContact() {
+  return { phone: "", office: "", website: "", contactForm: "", email: "" };
+}
+
+async function federalContacts(congress, type, number, apiKey) {
+  const basePath = `bill/${congress}/${type}/${number}`;
+  const [billData, committeesData] = await Promise.all([
+    congressFetch(basePath, apiKey),
+    congressFetch(`${basePath}/committees`, apiKey).catch(() => null),
+  ]);
+  const bill = billData?.bill || {};
+  const notes = [];
+
+  const toPerson = async (bioguideId, fallback, role) => {
+    const l = await currentLegislator(bioguideId).catch(() => null);
+    return l
+      ? { ...l, role, contact: { ...emptyContact(), ...l.contact } }
+      : { ...fallback, bioguideId, role, contact: emptyContact() };
+  };
+
+  const sponsors = await Promise.all((Array.isArray(bill.sponsors) ? bill.sponsors : [])
+    .filter(s => s.bioguideId)
+    .map(s => toPerson(s.bioguideId, {
+      name: s.fullName || `${s.firstName || ""} ${s.lastName || ""}`.trim(),
+      party: s.party || "", state: s.state || "", district: s.district ?? null,
+      chamber: /^s/i.test(type) ? "Senate" : "House",
+    }, "Sponsor")));
+
+  // Full committees and any subcommittee the bill was sent on to
+  const referred = [];
+  for (const c of committeesData?.committees || []) {
+    referred.push({ name: c.name || "", chamber: c.chamber || "", systemCode: c.systemCode || "" });
+    const subs = Array.isArray(c.subcommittees) ? c.subcommittees : c.subcommittees?.item || [];
+    for (const sc of subs) referred.push({ name: `${c.name} — ${sc.name}`, chamber: c.chamber || "", systemCode: sc.systemCode || "" });
+  }
+
+  const committees = await Promise.all(referred.filter(c => c.systemCode).map(async (c) => {
+    const code = thomasIdFromSystemCode(c.systemCode);
+    const roster = await committeeMembers(code).catch(() => []);
+    const members = await Promise.all(roster.map(m =>
+      toPerson(m.bioguideId, { name: m.name, party: "", state: "", district: null, chamber: c.chamber }, m.title || "Member")));
+    return { name: c.name, chamber: c.chamber, code, members };
+  }));
+  if (referred.length === 0) notes.push("This bill hasn't been referred to a committee yet.");
+  notes.push("Members of Congress take messages through their web contact forms rather than public email addresses.");
+
+  return { level: "federal", sponsors, committees, notes };
+}
+
+async function stateContacts(billId, apiKey) {
+  const data = await callLegiScan("getBill", { id: billId }, apiKey);
+  const bill = data.bill || {};
+
+  // LegiScan doesn't carry office phone/email; Ballotpedia profiles list them
+  const sponsors = (Array.isArray(bill.sponsors) ? bill.sponsors : []).map(s => ({
+    name: s.name || `${s.first_name || ""} ${s.last_name || ""}`.trim(),
+    party: s.party || "",
+    state: bill.state || "",
+    district: s.district || null,
+    chamber: /^sen/i.test(s.role || "") ? "Senate" : "House",
+    role: s.sponsor_type_id === 1 ? "Sponsor" : "Cosponsor",
+    peopleId: s.people_id || null,
+    contact: { ...emptyContact(), website: s.ballotpedia ? `https://ballotpedia.org/${s.ballotpedia}` : "" },
+  }));
+
+  const referrals = Array.isArray(bill.referrals) && bill.referrals.length > 0
+    ? bill.referrals
+    : bill.committee?.name ? [bill.committee] : [];
+  const committees = referrals.map(r => ({
+    name: r.name || "",
+    chamber: CHAMBER_NAMES[String(r.chamber || "").toUpperCase()] || String(r.chamber || ""),
+    code: String(r.committee_id || ""),
+    members: [],
+  }));
+
+  const notes = [
+    "State legislators' phone numbers and emails are listed on their Ballotpedia profiles and the legislature's website.",
+  ];
+  if (committees.length > 0) notes.push("LegiScan doesn't publish committee rosters — check the legislature's committee page for members.");
+  if (bill.state_link) notes.push(`Legislature page for this bill: ${bill.state_link}`);
+
+  return { level: "state", sponsors, committees, notes };
+}
+
+export async function handler(event) {
+  try {
+    const qs = event.queryStringParameters || {};
+    const billId = String(qs.id || "").replace(/[^0-9]/g, "");
+    const type = String(qs.type || "").toLowerCase();
+    const number = String(qs.number || "").replace(/[^0-9]/g, "");
+
+    let result;
+    if (billId) {
+      const apiKey = process.env.LEGISCAN_API_KEY;
+      if (!apiKey) return json(500, { error: "Missing LEGISCAN_API_KEY" });
+      result = await stateContacts(billId, apiKey);
+    } else if (type && number) {
+      const apiKey = process.env.CONGRESS_API_KEY;
+      if (!apiKey) return json(500, { error: "Missing CONGRESS_API_KEY" });
+      result = await federalContacts(qs.congress || String(currentCongress()), type, number, apiKey);
+    } else {
+      return json(400, { error: "Missing bill. Usage: ?congress=119&type=hr&number=187 or ?id=1234567 (LegiScan bill_id)" });
+    }
+
+    return withHttpCache(event, json(200, result), { maxAge: 3600, sMaxAge: 86400, staleWhileRevalidate: 86400 });
+  } catch (err) {
+    return json(500, { error: String(err) });
+  }
+}
@@ -1,7 +1,11 @@
 // netlify/functions/bill-detail.js
 //
 // Fetches detailed info for a single bill from Congress.gov:
-// sponsors, cosponsors, actions, summaries, committees
+// sponsors, cosponsors, actions, summaries, committees, amendments, related
+// bills (companions in the other chamber first), roll-call votes (House
+// Clerk / Senate XML for each recorded vote in the actions feed)
+// and the next scheduled floor vote (voteDate), plus a stored plain-English
+// summary (lib/summaries.js)
 //
 // Query params:
 //   congress = 119
@@ -9,32 +13,134 @@
 //   number = 187
 //
 // Required env var: CONGRESS_API_KEY
+// Optional: ANTHROPIC_API_KEY (generates plain-English summaries not yet stored),
+//           RIGHTS_LLM=on (model pass over the rights-impact analysis, lib/rights.js)
 
-const TYPE_MAP = {
-  hr: "house-bill", s: "senate-bill",
-  hjres: "house-joint-resolution", sjres: "senate-joint-resolution",
-  hconres: "house-concurrent-resolution", sconres: "senate-concurrent-resolution",
-  hres: "house-resolution", sres: "senate-resolution",
-};
-
-function ordinalSuffix(n) {
-  const num = Number(n);
-  const mod100 = num % 100;
-  if (mod100 >= 11 && mod100 <= 13) return num + "th";
-  const mod10 = num % 10;
-  if (mod10 === 1) return num + "st";
-  if (mod10 === 2) return num + "nd";
-  if (mod10 === 3) return num + "rd";
-  return num + "th";
+import { billPublicUrl, billSubjects, congressFetch, congressFetchAll, displayAmendmentNumber, amendmentPublicUrl, normalizeBill } from "./lib/congress.js";
+import { federalStage, amendmentStatus } from "./lib/stage.js";
+import { fetchRollCall, tallyByParty, rollCallPassed, houseRollCallPublicUrl } from "./lib/votes.js";
+import { bioguideByLisId } from "./lib/legislators.js";
+import { scheduledVotesById, scheduledVoteFromActions } from "./lib/floor.js";
+import { federalPlainSummary, latestCrsSummary, normalizeCrsSummaries, summaryProvenance } from "./lib/summaries.js";
+import { saveBillTopics } from "./lib/topics.js";
+import { billRightsImpact } from "./lib/rights.js";
+import { withHttpCache } from "./lib/cache.js";
+
+// Only the most recent roll calls get per-member breakdowns (one XML fetch each)
+const MAX_ROLL_CALLS = 5;
+
+// Amendment detail (sponsor, purpose) is one request each; the newest get it
+const MAX_AMENDMENT_DETAILS = 15;
+
+// Congress.gov amendments -> [{ id, number, type, purpose, sponsor, latestAction, status, url }], newest first
+async function loadAmendments(basePath, apiKey) {
+  const data = await congressFetch(`${basePath}/amendments`, apiKey, { limit: 250 });
+  const list = (Array.isArray(data?.amendments) ? data.amendments : [])
+    .slice()
+    .sort((a, b) => String(b.latestAction?.actionDate || b.updateDate || "").localeCompare(String(a.latestAction?.actionDate || a.updateDate || "")));
+
+  const details = await Promise.all(list.slice(0, MAX_AMENDMENT_DETAILS).map(a =>
+    congressFetch(`amendment/${a.congress}/${String(a.type).toLowerCase()}/${a.number}`, apiKey).catch(() => null)));
+
+  return list.map((a, i) => {
+    const d = details[i]?.amendment || {};
+    const s = (Array.isArray(d.sponsors) ? d.sponsors : [])[0];
+    const latest = d.latestAction || a.latestAction || {};
+    return {
+      id: `${a.congress}-${String(a.type).toLowerCase()}-${a.number}`,
+      number: displayAmendmentNumber(a.type, a.number),
+      type: String(a.type || "").toLowerCase(),
+      chamber: d.chamber || (/^h/i.test(a.type) ? "House" : "Senate"),
+      purpose: d.purpose || a.purpose || d.description || a.description || "",
+      sponsor: s ? {
+        name: s.fullName || ((s.firstName || "") + " " + (s.lastName || "")).trim(),
+        party: s.party || "",
+        state: s.state || "",
+        bioguideId: s.bioguideId || null,
+      } : null,
+      submittedDate: String(d.submittedDate || d.proposedDate || "").slice(0, 10),
+      latestAction: { date: latest.actionDate || "", text: latest.text || "" },
+      status: amendmentStatus(latest.text),
+      url: amendmentPublicUrl(a.congress, a.type, a.number),
+    };
+  });
+}
+
+const RELATIONSHIP_ORDER = { companion: 0, procedural: 1, related: 2 };
+
+// "Identical bill" -> companion, "Procedurally-related" -> procedural, the rest -> related
+function relationshipKind(types) {
+  if (types.some(t => /identical/i.test(t))) return "companion";
+  if (types.some(t => /procedural/i.test(t))) return "procedural";
+  return "related";
 }
 
-async function congressFetch(path, apiKey) {
-  const url = new URL(`https://api.congress.gov/v3/${path}`);
-  url.searchParams.set("format", "json");
-  url.searchParams.set("api_key", apiKey);
-  const resp = await fetch(url.toString());
-  if (!resp.ok) return null;
-  return resp.json();
+// Congress.gov relatedbills -> bill-list objects (normalizeBill) + relationship, companions first
+async function loadRelatedBills(basePath, apiKey) {
+  const data = await congressFetch(`${basePath}/relatedbills`, apiKey, { limit: 100 });
+  return (Array.isArray(data?.relatedBills) ? data.relatedBills : [])
+    .map(rb => {
+      const details = Array.isArray(rb.relationshipDetails) ? rb.relationshipDetails : [];
+      const types = [...new Set(details.map(d => d.type).filter(Boolean))];
+      return {
+        ...normalizeBill(rb),
+        relationship: relationshipKind(types),
+        relationshipLabel: types.join(", "),
+        identifiedBy: [...new Set(details.map(d => d.identifiedBy).filter(Boolean))].join(", "),
+      };
+    })
+    .sort((a, b) => RELATIONSHIP_ORDER[a.relationship] - RELATIONSHIP_ORDER[b.relationship] || String(b.date).localeCompare(String(a.date)));
+}
+
+// recordedVotes from the actions feed -> roll calls in the same shape state-bill-detail.js returns
+async function loadRollCalls(rawActions) {
+  const seen = new Set();
+  const recorded = rawActions
+    .flatMap(a => (a.recordedVotes || []).map(v => ({ ...v, actionText: a.text || "" })))
+    .filter(v => v.url && !seen.has(v.url) && seen.add(v.url))
+    .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+    .slice(0, MAX_ROLL_CALLS);
+  if (recorded.length === 0) return [];
+
+  const lisMap = recorded.some(v => /senate/i.test(v.chamber))
+    ? await bioguideByLisId().catch(() => ({}))
+    : {};
+
+  const rollCalls = await Promise.all(recorded.map(v =>
+    fetchRollCall(/senate/i.test(v.chamber) ? "Senate" : "House", v.url).catch(() => null)));
+
+  return recorded.map((v, i) => {
+    const rc = rollCalls[i];
+    const members = (rc?.members || []).map(m => ({
+      name: m.name,
+      party: m.party,
+      state: m.state,
+      bioguideId: m.bioguideId || lisMap[m.lisId] || null,
+      vote: m.vote,
+    }));
+    const totals = rc?.totals || { yea: 0, nay: 0, present: 0, notVoting: 0 };
+    return {
+      id: `${v.chamber}-${v.congress}-${v.sessionNumber}-${v.rollNumber}`,
+      date: rc?.date || String(v.date || "").slice(0, 10),
+      chamber: /senate/i.test(v.chamber) ? "Senate" : "House",
+      rollCall: v.rollNumber,
+      description: rc ? [rc.question, rc.description].filter(Boolean).join(" — ") : v.actionText,
+      result: rc?.result || "",
+      yea: totals.yea,
+      nay: totals.nay,
+      present: totals.present,
+      notVoting: totals.notVoting,
+      absent: 0,
+      total: totals.yea + totals.nay + totals.present + totals.notVoting,
+      passed: rollCallPassed(rc?.result),
+      byParty: tallyByParty(members),
+      url: /senate/i.test(v.chamber)
+        ? v.url.replace(/\.xml$/, ".htm")
+        : houseRollCallPublicUrl(String(v.date || "").slice(0, 4), v.rollNumber),
+      xmlUrl: v.url,
+      members: members.sort((a, b) => a.name.localeCompare(b.name)),
+    };
+  });
 }
 
 export async function handler(event) {
@@ -57,12 +163,16 @@ export async function handler(event) {
 
     const basePath = `bill/${congress}/${type}/${number}`;
 
-    // Fetch bill detail, actions, summaries, and cosponsors in parallel
-    const [billData, actionsData, summariesData, cosponsorsData] = await Promise.all([
+    // Fetch bill detail, actions, summaries, cosponsors and subjects in parallel
+    const [billData, actionsData, summariesData, cosponsorsData, subjects] = await Promise.all([
       congressFetch(basePath, apiKey),
-      congressFetch(`${basePath}/actions`, apiKey),
+      congressFetchAll(`${basePath}/actions`, apiKey, "actions"),
       congressFetch(`${basePath}/summaries`, apiKey),
       congressFetch(`${basePath}/cosponsors`, apiKey),
+      billSubjects(basePath, apiKey).catch((e) => {
+        console.log("Subjects lookup failed:", e.message);
+        return [];
+      }),
     ]);
 
     const bill = billData?.bill || {};
@@ -74,6 +184,7 @@ export async function handler(event) {
       party: s.party || "",
       state: s.state || "",
       district: s.district || null,
+      bioguideId: s.bioguideId || null,
       isByRequest: s.isByRequest || false,
     }));
 
@@ -84,6 +195,7 @@ export async function handler(event) {
       party: c.party || "",
       state: c.state || "",
       district: c.district || null,
+      bioguideId: c.bioguideId || null,
       date: c.sponsorshipDate || "",
     }));
 
@@ -96,51 +208,36 @@ export async function handler(event) {
       type: a.type || "",
     })).sort((a, b) => new Date(b.date) - new Date(a.date));
 
+    // Roll-call votes, amendments, related bills and the next scheduled floor vote; none should sink the detail view
+    const [votesResult, amendmentsResult, relatedResult, scheduleResult] = await Promise.allSettled([
+      loadRollCalls(rawActions),
+      loadAmendments(basePath, apiKey),
+      loadRelatedBills(basePath, apiKey),
+      scheduledVotesById(),
+    ]);
+    const votes = votesResult.status === "fulfilled" ? votesResult.value : [];
+    if (votesResult.status === "rejected") console.log("Roll-call fetch failed:", votesResult.reason?.message);
+    const amendments = amendmentsResult.status === "fulfilled" ? amendmentsResult.value : [];
+    if (amendmentsResult.status === "rejected") console.log("Amendment fetch failed:", amendmentsResult.reason?.message);
+    const relatedBills = relatedResult.status === "fulfilled" ? relatedResult.value : [];
+    if (relatedResult.status === "rejected") console.log("Related bills fetch failed:", relatedResult.reason?.message);
+    const floorItem = scheduleResult.status === "fulfilled" ? scheduleResult.value[`${congress}-${type}-${number}`] : null;
+    const scheduled = floorItem || scheduledVoteFromActions(actions);
+
     // Summaries
-    const rawSummaries = Array.isArray(summariesData?.summaries) ? summariesData.summaries : [];
-    const summaries = rawSummaries.map(s => ({
-      text: s.text || "",
-      date: s.actionDate || s.updateDate || "",
-      versionCode: s.versionCode || "",
-      actionDesc: s.actionDesc || "",
-    }));
+    const summaries = normalizeCrsSummaries(summariesData?.summaries);
 
     // Get the most recent/useful summary
-    const bestSummary = summaries.length > 0
-      ? summaries[summaries.length - 1].text  // latest summary
-      : "";
-
-    // Generate plain-English summary using Claude API if available
-    let plainEnglishSummary = "";
-    const anthropicKey = process.env.ANTHROPIC_API_KEY;
-    if (anthropicKey && (bestSummary || bill.title)) {
-      try {
-        const prompt = bestSummary
-          ? `Here is a Congressional Research Service summary of a bill called "${bill.title || ''}":\n\n${bestSummary.replace(/<[^>]*>/g, '')}\n\nRewrite this in 2 short paragraphs that a regular citizen can understand. Use plain, conversational English. Explain what the bill actually does in practical terms and why it matters to everyday people. Do not use legal jargon. Do not start with "This bill" — start with something more engaging. Do not include any preamble like "Here's a summary" — just give the summary directly.`
-          : `A bill called "${bill.title || ''}" was introduced in the ${ordinalSuffix(congress)} Congress. Based only on the title, write 1-2 short paragraphs explaining what this bill likely does in plain English that a regular citizen can understand. Be honest that this is based on the title only. Do not include any preamble — just give the summary directly.`;
-
-        const aiResp = await fetch("https://api.anthropic.com/v1/messages", {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "x-api-key": anthropicKey,
-            "anthropic-version": "2023-06-01",
-          },
-          body: JSON.stringify({
-            model: "claude-sonnet-4-20250514",
-            max_tokens: 400,
-            messages: [{ role: "user", content: prompt }],
-          }),
-        });
-
-        if (aiResp.ok) {
-          const aiData = await aiResp.json();
-          const text = aiData?.content?.[0]?.text || "";
-          if (text.length > 20) plainEnglishSummary = text;
-        }
-      } catch (e) {
-        console.log("AI summary generation failed:", e.message);
-      }
+    const bestSummary = latestCrsSummary(summaries)?.text || "";
+
+    // Plain-English summary: stored per CRS version, generated only when a new one appears
+    let plainSummary = null;
+    try {
+      plainSummary = await federalPlainSummary({
+        congress, type, number, title: bill.title, summaries, apiKey: process.env.ANTHROPIC_API_KEY,
+      });
+    } catch (e) {
+      console.log("AI summary generation failed:", e.message);
     }
 
     // Committees from bill detail — can be object with nested arrays
@@ -168,24 +265,43 @@ export async function handler(event) {
       console.log('Committee parsing error:', e.message);
     }
 
+    // Stage from the action codes/types, marked amended once an amendment was adopted
+    const stage = federalStage(rawActions, {
+      billType: type,
+      originChamber: bill.originChamber,
+      amendmentAdopted: amendments.some(a => a.status === "agreed"),
+    });
+
     // Build public URL
-    const slug = TYPE_MAP[type] || (type + "-bill");
-    const num = String(number).replace(/[^0-9]/g, "");
-    const publicUrl = `https://www.congress.gov/bill/${ordinalSuffix(congress)}-congress/${slug}/${num}`;
+    const publicUrl = billPublicUrl(congress, type, number);
 
-    // Subjects/policy areas — handle various structures
+    // Policy area from the bill record (legislative subjects came from their own endpoint)
     const policyArea = bill.policyArea?.name || "";
-    let subjects = [];
+
+    // Full metadata gives a better topic than the list's title keywords; stored for lists
+    let topics = [];
     try {
-      const rawSubjects = bill.subjects?.legislativeSubjects;
-      if (Array.isArray(rawSubjects)) {
-        subjects = rawSubjects.map(s => s.name || s);
-      }
+      topics = (await saveBillTopics(`${congress}-${type}-${number}`, { title: bill.title, policyArea, subjects })).topics;
     } catch (e) {
-      console.log('Subjects parsing error:', e.message);
+      console.log("Topic classification failed:", e.message);
     }
 
-    return {
+    // Rights impact from the CRS summary (rules, optional LLM pass); stored for lists
+    let rightsImpact = null;
+    try {
+      const crs = latestCrsSummary(summaries);
+      rightsImpact = await billRightsImpact({
+        id: `${congress}-${type}-${number}`,
+        version: crs?.text ? `crs-${crs.versionCode || crs.date}` : "title",
+        title: bill.title || "",
+        text: crs?.text || "",
+        basis: crs?.text ? "crs" : "title",
+      });
+    } catch (e) {
+      console.log("Rights impact analysis failed:", e.message);
+    }
+
+    return withHttpCache(event, {
       statusCode: 200,
       headers: { "content-type": "application/json" },
       body: JSON.stringify({
@@ -199,16 +315,27 @@ export async function handler(event) {
         cosponsors,
         cosponsorsCount: cosponsors.length,
         actions,
+        votes,
+        amendments,
+        amendmentsAdopted: amendments.filter(a => a.status === "agreed").length,
+        relatedBills,
+        stage,
+        voteDate: scheduled?.voteDate || null,
+        voteWindowEnd: scheduled?.voteWindowEnd || null,
         summary: bestSummary,
-        plainEnglishSummary,
+        plainEnglishSummary: plainSummary?.text || "",
+        plainEnglishSummaryInfo: summaryProvenance(plainSummary),
+        howItAffectsYou: plainSummary?.howItAffectsYou || "",
         summaries,
         committees,
         policyArea,
         subjects,
+        topics,
+        rightsImpact,
         publicUrl,
         latestAction: bill.latestAction || {},
       }),
-    };
+    });
   } catch (err) {
     return { statusCode: 500, headers: { "content-type": "application/json" },
       body: JSON.stringify({ error: String(err) }) };
@@ -0,0 +1,168 @@
+// netlify/functions/bill-text.js
+//
+// Bill text for the in-app reader: every published text version of a
+// federal or state bill, one version as sanitized HTML, or a
+// section-by-section diff between two versions (lib/bill-text.js) — e.g.
+// Introduced vs. Reported, to see what a committee amendment changed.
+//
+// Query params:
+//   id      = "119-hr-187" (federal) | "1893421" (LegiScan bill_id)
+//   version = version code from `versions` (optional, default newest readable)
+//   compare = an older version code (optional) -> `diff` instead of `html`
+//
+// Versions: Congress.gov `text` (code = the GPO suffix: ih, rh, eh, enr, ...)
+// and LegiScan getBill `texts` (code = doc_id). Only HTML/plain-text
+// versions are readable here; PDF-only versions link out via `sourceUrl`.
+//
+// Returns { id, source, number, title, versions: [{ code, label, date, readable, sourceUrl }],
+//           version, html, truncated } or, with compare, { ..., from, version, diff: { sections, stats } }
+//
+// Required env vars: CONGRESS_API_KEY (federal), LEGISCAN_API_KEY (state)
+
+import { parseBillRef } from "./lib/bill-refs.js";
+import { congressFetch, displayBillNumber, billPublicUrl } from "./lib/congress.js";
+import { callLegiScan } from "./lib/legiscan.js";
+import { sanitizeHtml, htmlToText, diffSections, escapeHtml } from "./lib/bill-text.js";
+import { cached, cacheKey, withHttpCache } from "./lib/cache.js";
+
+// Published versions never change
+const TEXT_TTL = { ttl: 86400 * 7, stale: 86400 * 7 };
+
+// Omnibus bills run to thousands of pages; past this the reader links out
+const MAX_HTML_CHARS = 1500000;
+
+function json(statusCode, payload) {
+  return { statusCode, headers: { "content-type": "application/json" }, body: JSON.stringify(payload) };
+}
+
+function byDate(a, b) {
+  if (!a.date) return b.date ? 1 : 0;
+  if (!b.date) return -1;
+  return a.date.localeCompare(b.date);
+}
+
+// ============ FEDERAL (Congress.gov) ============
+
+async function federalBill(ref, apiKey) {
+  const basePath = `bill/${ref.congress}/${ref.type}/${ref.number}`;
+  const [billData, textData] = await Promise.all([
+    congressFetch(basePath, apiKey),
+    congressFetch(`${basePath}/text`, apiKey),
+  ]);
+  const versions = (textData?.textVersions || []).map(v => {
+    const formats = Array.isArray(v.formats) ? v.formats : [];
+    const htm = formats.find(f => /formatted text/i.test(f.type || "") || /\.htm$/i.test(f.url || ""));
+    const pdf = formats.find(f => /pdf/i.test(f.type || ""));
+    const url = htm?.url || pdf?.url || "";
+    const code = (url.match(/BILLS-\d+[a-z]+\d+([a-z]+)\.(?:htm|pdf|xml)$/i)?.[1] || v.type || "").toLowerCase();
+    return {
+      code,
+      label: v.type || code.toUpperCase(),
+      date: String(v.date || "").slice(0, 10) || null,
+      readable: !!htm,
+      sourceUrl: url || `${billPublicUrl(ref.congress, ref.type, ref.number)}/text`,
+      fetchUrl: htm?.url || null,
+    };
+  });
+  return {
+    number: displayBillNumber(ref.type, ref.number),
+    title: billData?.bill?.title || "",
+    versions: versions.sort(byDate),
+  };
+}
+
+function federalHtml(version) {
+  return cached(cacheKey("bill-text", version.fetchUrl), TEXT_TTL, async () => {
+    const resp = await fetch(version.fetchUrl);
+    if (!resp.ok) return null;
+    return resp.text();
+  });
+}
+
+// ============ STATE (LegiScan) ============
+
+async function stateBill(ref, apiKey) {
+  const data = await callLegiScan("getBill", { id: ref.billId }, apiKey);
+  const bill = data.bill || {};
+  const versions = (Array.isArray(bill.texts) ? bill.texts : []).map(t => ({
+    code: String(t.doc_id),
+    label: t.type || "Text",
+    date: t.date || null,
+    readable: /^text\/(html|plain)/i.test(t.mime || ""),
+    sourceUrl: t.state_link || t.url || "",
+    mime: t.mime || "",
+  }));
+  return {
+    number: [bill.state, bill.bill_number].filter(Boolean).join(" "),
+    title: bill.title || "",
+    versions: versions.sort(byDate),
+  };
+}
+
+async function stateHtml(version, apiKey) {
+  const data = await callLegiScan("getBillText", { id: version.code }, apiKey);
+  const decoded = Buffer.from(data?.text?.doc || "", "base64").toString("utf8");
+  return /^text\/plain/i.test(version.mime) ? `<pre>${escapeHtml(decoded)}</pre>` : decoded;
+}
+
+// ============ HANDLER ============
+
+function publicVersion(v) {
+  return { code: v.code, label: v.label, date: v.date, readable: v.readable, sourceUrl: v.sourceUrl };
+}
+
+export async function handler(event) {
+  try {
+    const qs = event.queryStringParameters || {};
+    const ref = parseBillRef(qs.id);
+    if (!ref) return json(400, { error: "Missing or unrecognized id. Usage: ?id=119-hr-187 or ?id=1893421" });
+    if (ref.source === "legistar") {
+      return json(400, { error: "City matter text is shown in the matter view (city-council?type=matter-detail)." });
+    }
+
+    const apiKey = ref.source === "congress.gov" ? process.env.CONGRESS_API_KEY : process.env.LEGISCAN_API_KEY;
+    if (!apiKey) {
+      return json(500, { error: `Missing ${ref.source === "congress.gov" ? "CONGRESS_API_KEY" : "LEGISCAN_API_KEY"}` });
+    }
+
+    const bill = ref.source === "congress.gov" ? await federalBill(ref, apiKey) : await stateBill(ref, apiKey);
+    const loadHtml = async (v) => {
+      const raw = ref.source === "congress.gov" ? await federalHtml(v) : await stateHtml(v, apiKey);
+      if (!raw) throw new Error(`Text for version "${v.code}" is unavailable`);
+      return raw;
+    };
+    const find = (code) => bill.versions.find(v => v.code === String(code).toLowerCase());
+
+    const base = { id: ref.id, source: ref.source, number: bill.number, title: bill.title, versions: bill.versions.map(publicVersion) };
+    const readable = bill.versions.filter(v => v.readable);
+    if (readable.length === 0) {
+      return withHttpCache(event, json(200, { ...base, version: null, html: "", note: "No text version is available in a readable format yet. Use the source links." }), { maxAge: 3600, sMaxAge: 21600 });
+    }
+
+    const version = qs.version ? find(qs.version) : readable[readable.length - 1];
+    if (!version) return json(404, { error: `No version "${qs.version}"`, versions: base.versions });
+    if (!version.readable) return json(422, { error: `${version.label} is only published as PDF`, sourceUrl: version.sourceUrl });
+
+    // ============ DIFF ============
+    if (qs.compare) {
+      const from = find(qs.compare);
+      if (!from) return json(404, { error: `No version "${qs.compare}"`, versions: base.versions });
+      if (!from.readable) return json(422, { error: `${from.label} is only published as PDF`, sourceUrl: from.sourceUrl });
+      const [fromHtml, toHtml] = await Promise.all([loadHtml(from), loadHtml(version)]);
+      const diff = diffSections(htmlToText(fromHtml), htmlToText(toHtml));
+      return withHttpCache(event, json(200, { ...base, from: publicVersion(from), version: publicVersion(version), diff }), { maxAge: 3600, sMaxAge: 86400 });
+    }
+
+    // ============ ONE VERSION ============
+    const html = sanitizeHtml(await loadHtml(version));
+    const truncated = html.length > MAX_HTML_CHARS;
+    return withHttpCache(event, json(200, {
+      ...base,
+      version: publicVersion(version),
+      html: truncated ? html.slice(0, html.lastIndexOf("<", MAX_HTML_CHARS)) : html,
+      truncated,
+    }), { maxAge: 3600, sMaxAge: 86400 });
+  } catch (err) {
+    return json(500, { error: String(err) });
+  }
+}
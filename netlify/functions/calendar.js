@@ -0,0 +1,286 @@
+// netlify/functions/calendar.js
+//
+// Subscribable iCalendar (.ics) feeds, so meetings and scheduled votes show
+// up in Google Calendar / Outlook / Apple Calendar and update on their own.
+//
+// Query params (one of):
+//   city  = "Phoenix, AZ"            every meeting of a registry city (last 60 days + upcoming)
+//           &body=City Council       ...only that council body / committee
+//   bill  = "119-hr-187" | "1893421" | "legistar-phoenix-12345"
+//           federal floor votes, state hearings (LegiScan calendar), or the
+//           city meeting a matter is on the agenda for
+//   bills = comma-separated ids      a watchlist (up to MAX_BILLS_PER_SUBSCRIPTION)
+//
+// Meeting events carry the agenda, minutes, video and meeting-page links and
+// the location from the portal; cancelled meetings come through as
+// STATUS:CANCELLED so subscribed calendars strike them out.
+//
+// Required env vars: CONGRESS_API_KEY (federal bills), LEGISCAN_API_KEY (state bills)
+
+import { CITY_DATABASE } from "./lib/cities.js";
+import { legistarFetch, legistarMeeting, matterUrl } from "./lib/legistar.js";
+import { adapterFor } from "./lib/city-adapters.js";
+import { cityStatuses, hasDataFeed } from "./lib/city-status.js";
+import { parseBillRef } from "./lib/bill-refs.js";
+import { congressFetch, congressFetchAll, displayBillNumber, billPublicUrl } from "./lib/congress.js";
+import { scheduledVotesById, scheduledVoteFromActions } from "./lib/floor.js";
+import { callLegiScan } from "./lib/legiscan.js";
+import { MAX_BILLS_PER_SUBSCRIPTION } from "./lib/subscriptions.js";
+import { buildCalendar, stateTimeZone } from "./lib/ics.js";
+import { withHttpCache } from "./lib/cache.js";
+
+const UID_DOMAIN = "civic-rights-alert";
+
+// How far back city feeds reach, so last month's minutes stay linked
+const PAST_DAYS = 60;
+
+// Watchlist bills looked up at once
+const BILL_BATCH = 10;
+
+function json(statusCode, payload) {
+  return { statusCode, headers: { "content-type": "application/json" }, body: JSON.stringify(payload) };
+}
+
+function ics(filename, body) {
+  return {
+    statusCode: 200,
+    headers: {
+      "content-type": "text/calendar; charset=utf-8",
+      "content-disposition": `inline; filename="${filename}.ics"`,
+    },
+    body,
+  };
+}
+
+function slug(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+function daysAgo(n) {
+  return new Date(Date.now() - n * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// "YYYY-MM-DDT00:00" is how portals say "no time posted" -> an all-day event
+function eventStartValue(start) {
+  if (!start) return null;
+  return start.endsWith("T00:00") ? start.slice(0, 10) : start;
+}
+
+function meetingDescription(m, extra = []) {
+  return [
+    ...extra,
+    m.agendaStatus ? `Agenda status: ${m.agendaStatus}` : "",
+    m.agendaURL ? `Agenda: ${m.agendaURL}` : "",
+    m.minutesURL ? `Minutes: ${m.minutesURL}` : "",
+    m.videoURL ? `Video: ${m.videoURL}` : "",
+    m.inSiteURL ? `Meeting page: ${m.inSiteURL}` : "",
+    m.comment || "",
+  ].filter(Boolean).join("\n");
+}
+
+function cityKey(info) {
+  return info.client || slug(info.tenant || info.base || info.portal);
+}
+
+// Portal meeting (legistarMeeting / adapter shape) -> ics event
+function meetingEvent(city, info, m, { uid, summary, extra } = {}) {
+  const cancelled = /cancel/i.test(`${m.agendaStatus || ""} ${m.comment || ""}`);
+  return {
+    uid: uid || `${info.system || "legistar"}-${cityKey(info)}-event-${m.id}@${UID_DOMAIN}`,
+    summary: `${cancelled ? "CANCELLED: " : ""}${summary || `${m.bodyName || "Meeting"} — ${city.split(",")[0]}`}`,
+    description: meetingDescription(m, extra),
+    location: m.location || "",
+    url: m.inSiteURL || m.agendaURL || "",
+    status: cancelled ? "CANCELLED" : "CONFIRMED",
+    start: eventStartValue(m.start),
+    timeZone: stateTimeZone(info.state),
+    updated: m.lastModified,
+  };
+}
+
+// ============ CITY / BODY FEEDS ============
+
+async function cityMeetings(info) {
+  const adapter = adapterFor(info);
+  if (adapter) return adapter.meetings(info);
+  // Upcoming and past meetings are fetched separately: on busy portals 60 days
+  // of past meetings alone fill a $top page and would crowd out what's next
+  const today = daysAgo(0);
+  const [upcoming, past] = await Promise.all([
+    legistarFetch(info.client, "Events", `$filter=EventDate ge datetime'${today}'&$orderby=EventDate&$top=200`),
+    legistarFetch(info.client, "Events", `$filter=EventDate ge datetime'${daysAgo(PAST_DAYS)}' and EventDate lt datetime'${today}'&$orderby=EventDate desc&$top=200`),
+  ]);
+  const seen = new Set();
+  return [...(past || []).reverse(), ...(upcoming || [])]
+    .filter(e => !seen.has(e.EventId) && seen.add(e.EventId))
+    .map(legistarMeeting);
+}
+
+async function cityFeed(city, body) {
+  const info = CITY_DATABASE[city];
+  if (!info) return json(404, { error: `"${city}" is not in the city registry.` });
+  const statuses = await cityStatuses();
+  if (!statuses[city]?.verified || !hasDataFeed(info)) {
+    return json(404, { error: `"${city}" has no verified meeting data to publish as a calendar.` });
+  }
+
+  const meetings = (await cityMeetings(info))
+    .filter(m => !body || String(m.bodyName || "").toLowerCase() === body.toLowerCase());
+  const name = body ? `${body} — ${city}` : `${city} Meetings`;
+  const calendar = buildCalendar({
+    name,
+    description: `Public meetings${body ? ` of the ${body}` : ""} in ${city}, from the city's agenda portal.`,
+    events: meetings.map(m => meetingEvent(city, info, m)),
+  });
+  return ics(slug(body ? `${city} ${body}` : city), calendar);
+}
+
+// ============ BILL FEEDS ============
+
+function cityForClient(client) {
+  const entry = Object.entries(CITY_DATABASE).find(([, info]) => info.client === client);
+  return entry ? { city: entry[0], info: entry[1] } : { city: client, info: { client } };
+}
+
+async function federalEvents(ref) {
+  const apiKey = process.env.CONGRESS_API_KEY;
+  if (!apiKey) throw new Error("Missing CONGRESS_API_KEY");
+  const basePath = `bill/${ref.congress}/${ref.type}/${ref.number}`;
+  const [billData, actionsData, floor] = await Promise.all([
+    congressFetch(basePath, apiKey),
+    congressFetchAll(`${basePath}/actions`, apiKey, "actions"),
+    scheduledVotesById().catch(() => ({})),
+  ]);
+  const actions = (actionsData?.actions || [])
+    .map(a => ({ date: a.actionDate || "", chamber: a.chamber || "", text: a.text || "" }))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+  const scheduled = floor[ref.id] || scheduledVoteFromActions(actions);
+  if (!scheduled) return [];
+
+  const number = displayBillNumber(ref.type, ref.number);
+  const title = billData?.bill?.title || "";
+  return [{
+    uid: `${ref.id}-floor-${scheduled.voteDate}@${UID_DOMAIN}`,
+    summary: `${scheduled.chamber ? `${scheduled.chamber} ` : ""}floor vote: ${number}`,
+    description: [
+      title,
+      scheduled.voteWindowEnd ? "Scheduled for floor consideration this week (House floor schedule)." : "",
+      billPublicUrl(ref.congress, ref.type, ref.number),
+    ].filter(Boolean).join("\n"),
+    url: billPublicUrl(ref.congress, ref.type, ref.number),
+    start: scheduled.voteDate,
+    end: scheduled.voteWindowEnd || undefined,
+    updated: billData?.bill?.updateDateIncludingText || billData?.bill?.updateDate,
+  }];
+}
+
+// LegiScan calendar entries: { type, date, time, location, description }
+async function stateEvents(ref) {
+  const apiKey = process.env.LEGISCAN_API_KEY;
+  if (!apiKey) throw new Error("Missing LEGISCAN_API_KEY");
+  const data = await callLegiScan("getBill", { id: ref.billId }, apiKey);
+  const bill = data.bill || {};
+  const number = [bill.state, bill.bill_number].filter(Boolean).join(" ");
+  const url = bill.state_link || bill.url || "";
+
+  return (Array.isArray(bill.calendar) ? bill.calendar : [])
+    .filter(c => /^\d{4}-\d{2}-\d{2}$/.test(c.date || ""))
+    .map(c => {
+      const time = String(c.time || "").match(/^(\d{2}):(\d{2})/);
+      return {
+        uid: `legiscan-${ref.billId}-${slug(c.type)}-${c.date}@${UID_DOMAIN}`,
+        summary: `${c.type || "Hearing"}: ${number}`,
+        description: [c.description, bill.title, url].filter(Boolean).join("\n"),
+        location: c.location || "",
+        url,
+        start: time && time[0] !== "00:00" ? `${c.date}T${time[1]}:${time[2]}` : c.date,
+        timeZone: stateTimeZone(bill.state),
+      };
+    });
+}
+
+// The meeting a city matter is on the agenda for (Legistar MatterAgendaDate)
+async function cityMatterEvents(ref) {
+  const matter = await legistarFetch(ref.client, `Matters/${ref.matterId}`);
+  const day = String(matter.MatterAgendaDate || "").slice(0, 10);
+  if (!day) return [];
+
+  const { city, info } = cityForClient(ref.client);
+  const number = matter.MatterFile || String(matter.MatterId);
+  const filters = [`EventDate eq datetime'${day}'`];
+  if (matter.MatterBodyName) filters.push(`EventBodyName eq '${matter.MatterBodyName.replace(/'/g, "''")}'`);
+  const events = await legistarFetch(ref.client, "Events", `$filter=${filters.join(" and ")}`).catch(() => []);
+  const m = events && events.length > 0
+    ? legistarMeeting(events[0])
+    : { id: null, start: day, bodyName: matter.MatterBodyName, inSiteURL: matterUrl(ref.client, matter),
+        lastModified: matter.MatterLastModifiedUtc };
+
+  return [meetingEvent(city, info, m, {
+    uid: `${ref.id}-agenda-${day}@${UID_DOMAIN}`,
+    summary: `${number} on the ${m.bodyName || "council"} agenda — ${city.split(",")[0]}`,
+    extra: [matter.MatterTitle || matter.MatterName || "", `Matter: ${matterUrl(ref.client, matter)}`],
+  })];
+}
+
+function billEvents(ref) {
+  if (ref.source === "congress.gov") return federalEvents(ref);
+  if (ref.source === "legiscan") return stateEvents(ref);
+  return cityMatterEvents(ref);
+}
+
+async function billsFeed(ids, filename, name) {
+  const refs = ids.map(parseBillRef);
+  const bad = ids.filter((id, i) => !refs[i]);
+  if (bad.length > 0) return json(400, { error: `Unrecognized bill id(s): ${bad.join(", ")}` });
+
+  // A watchlist feed keeps serving the bills that resolved
+  const results = [];
+  for (let i = 0; i < refs.length; i += BILL_BATCH) {
+    results.push(...await Promise.allSettled(refs.slice(i, i + BILL_BATCH).map(billEvents)));
+  }
+  const failed = results.filter(r => r.status === "rejected");
+  if (failed.length === results.length) throw failed[0].reason;
+  for (const r of failed) console.log("Calendar bill lookup failed:", r.reason?.message);
+
+  const seen = new Set();
+  const events = results
+    .flatMap(r => (r.status === "fulfilled" ? r.value : []))
+    .filter(e => !seen.has(e.uid) && seen.add(e.uid));
+  const calendar = buildCalendar({
+    name,
+    description: "Scheduled floor votes, hearings and council agenda dates for tracked legislation.",
+    events,
+  });
+  return ics(filename, calendar);
+}
+
+export async function handler(event) {
+  try {
+    const qs = event.queryStringParameters || {};
+
+    if (qs.city) {
+      return withHttpCache(event, await cityFeed(qs.city.trim(), (qs.body || "").trim()), { maxAge: 900, sMaxAge: 1800 });
+    }
+
+    if (qs.bill) {
+      const id = qs.bill.trim();
+      return withHttpCache(event, await billsFeed([id], slug(id), `Bill ${id}`), { maxAge: 900, sMaxAge: 1800 });
+    }
+
+    if (qs.bills) {
+      const ids = [...new Set(qs.bills.split(",").map(s => s.trim()).filter(Boolean))];
+      if (ids.length === 0) return json(400, { error: "bills must list at least one id" });
+      if (ids.length > MAX_BILLS_PER_SUBSCRIPTION) {
+        return json(400, { error: `At most ${MAX_BILLS_PER_SUBSCRIPTION} bills per feed` });
+      }
+      return withHttpCache(event, await billsFeed(ids, "watchlist", "My Watchlist"), { maxAge: 900, sMaxAge: 1800 });
+    }
+
+    return json(400, {
+      error: "Missing city, bill or bills.",
+      usage: ["?city=Phoenix, AZ", "?city=Phoenix, AZ&body=City Council", "?bill=119-hr-187", "?bills=119-hr-187,1893421"],
+    });
+  } catch (err) {
+    return json(500, { error: String(err) });
+  }
+}
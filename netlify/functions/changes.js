@@ -0,0 +1,46 @@
+// netlify/functions/changes.js
+//
+// "What's new": bills whose stage, statusPriority or latest action text moved
+// since a given time, built from the snapshots recorded by get-bills.js,
+// state-bills.js, city-council.js and the scheduled snapshot-sweep.js.
+//
+// Query params:
+//   since  = ISO timestamp (optional, default 24 hours ago; max 31 days back)
+//   source = congress.gov | legiscan | legistar (optional)
+//   state  = "AZ" or "Arizona" (optional, state bills only)
+//   city   = "Phoenix, AZ" (optional, city matters only)
+//   limit  = number (optional, default 100, max 200)
+//
+// Returns { since, changes: [{ id, source, changedAt, changed: ["stage", "action", ...], from, to, bill }] }
+
+import { listChanges } from "./lib/snapshots.js";
+import { normalizeState } from "./lib/legiscan.js";
+import { withHttpCache } from "./lib/cache.js";
+
+export async function handler(event) {
+  try {
+    const qs = event.queryStringParameters || {};
+    const limitNum = Number(qs.limit);
+    const limit = Number.isFinite(limitNum) && limitNum > 0 ? Math.min(Math.floor(limitNum), 200) : 100;
+
+    const result = await listChanges({
+      since: qs.since,
+      source: qs.source || undefined,
+      state: qs.state ? normalizeState(qs.state) : undefined,
+      city: qs.city || undefined,
+      limit,
+    });
+
+    return withHttpCache(event, {
+      statusCode: 200,
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ ...result, total: result.changes.length }),
+    });
+  } catch (err) {
+    return {
+      statusCode: 500,
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ error: String(err) }),
+    };
+  }
+}
@@ -5,141 +5,33 @@
 // Connects to the Legistar Web API (Granicus) to pull
 // city council data: members, legislation, meetings, votes
 //
-// ARIZONA LAUNCH — Verified cities only.
-// Each city has been manually confirmed to have active
-// data in Legistar before being added here.
-// =====================================================
-
-// Node 18+ has built-in fetch — no require needed
-
-const LEGISTAR_BASE = 'https://webapi.legistar.com/v1';
-
-// =====================================================
-// CITY DATABASE — ARIZONA ONLY (VERIFIED)
+// Cities on CivicClerk, CivicPlus AgendaCenter or OnBase
+// AgendaOnline go through lib/city-adapters.js instead and
+// get the same response shapes (no votes or matter detail).
 //
-// STATUS KEY:
-//   verified: true  = We confirmed this city has active
-//                     members, legislation, and meetings
-//   verified: false = Legistar exists but data is empty
-//                     (like Glendale — DO NOT add until
-//                      they start populating their portal)
+// Cities and counties in any state (lib/cities.js),
+// served once their portal has passed verification —
+// see city-verify-sweep.js.
 //
-// HOW TO ADD A CITY:
-//   1. Google "[city name] AZ legistar.com"
-//   2. If the page exists, note the subdomain
-//      (e.g., phoenix.legistar.com → client = "phoenix")
-//   3. Run the verify endpoint: 
-//      ?type=verify&client=glendale-az
-//      This will test if the city has real data
-//   4. If verified, add to CITY_DATABASE with verified: true
-//   5. Add to availableCities array in index.html
+// Optional env var: ANTHROPIC_API_KEY (plain-English
+// summaries on matter-detail; see lib/summaries.js)
 // =====================================================
 
-const CITY_DATABASE = {
-    // ---- VERIFIED & ACTIVE ----
-    'Phoenix, AZ': { 
-        client: 'phoenix', 
-        state: 'AZ', 
-        population: 1680992, 
-        verified: true,
-        verifiedDate: '2026-02-23',
-        notes: 'Full data: members, legislation, meetings, votes'
-    },
-    'Mesa, AZ': { 
-        client: 'mesa', 
-        state: 'AZ', 
-        population: 504258, 
-        verified: true,
-        verifiedDate: '2026-02-23',
-        notes: 'Active portal with agendas and legislation'
-    },
-    'Apache Junction, AZ': { 
-        client: 'apachejunction', 
-        state: 'AZ', 
-        population: 44632, 
-        verified: true,
-        verifiedDate: '2026-02-23',
-        notes: 'Active meeting records from 2016 to present'
-    },
-    'Goodyear, AZ': {
-        client: 'goodyear',
-        state: 'AZ',
-        population: 101399,
-        verified: true,
-        verifiedDate: '2026-02-27',
-        notes: 'Legistar portal active'
-    },
-    'Lake Havasu City, AZ': {
-        client: 'lakehavasucity',
-        state: 'AZ',
-        population: 57761,
-        verified: true,
-        verifiedDate: '2026-02-27',
-        notes: 'Legistar portal active'
-    },
-    'Maricopa, AZ': {
-        client: 'maricopa',
-        state: 'AZ',
-        population: 58722,
-        verified: true,
-        verifiedDate: '2026-02-27',
-        notes: 'Legistar portal active'
-    },
-    'Yuma, AZ': {
-        client: 'yuma-az',
-        state: 'AZ',
-        population: 100000,
-        verified: true,
-        verifiedDate: '2026-02-27',
-        notes: 'Legistar portal active'
-    },
-    
-    // ---- KNOWN BUT NOT ACTIVE (DO NOT ENABLE) ----
-    // 'Glendale, AZ': { 
-    //     client: 'glendale-az', 
-    //     state: 'AZ', 
-    //     population: 252381, 
-    //     verified: false,
-    //     verifiedDate: '2026-02-23',
-    //     notes: 'Legistar installed but Members(0), Legislation(0), Calendar(0)'
-    // },
-    
-    // ---- NOT ON LEGISTAR ----
-    // Tucson — uses tucsonaz.gov (custom site, no API)
-    // Chandler — no Legistar portal found
-    // Scottsdale — uses Granicus video + custom agenda portal
-    // Gilbert — no Legistar portal found
-    // Tempe — no Legistar portal found
-    // Peoria — no Legistar portal found
-    // Surprise — uses CivicPlus
-};
+// Node 18+ has built-in fetch — no import needed
+
+import { legistarFetch, fetchCouncilMembers, fetchPersonVotes, fetchMatterText, matterUrl, matterWatchId, verifyCity, discoverClients, eventStart, legistarMeeting } from './lib/legistar.js';
+import { recordSnapshots } from './lib/snapshots.js';
+import { CITY_DATABASE, participationFor, commentEligibility } from './lib/cities.js';
+import { adapterFor } from './lib/city-adapters.js';
+import { cityPortal, hasDataFeed, verifyEntry, cityStatuses, cityHistory } from './lib/city-status.js';
+import { withHttpCache, cached, cacheKey } from './lib/cache.js';
+import { STATE_NAME_TO_ABBR, normalizeState } from './lib/legiscan.js';
+import { cityMatterPlainSummary, attachHowItAffectsYou, summaryProvenance } from './lib/summaries.js';
 
 // =====================================================
 // HELPER FUNCTIONS
 // =====================================================
 
-async function legistarFetch(client, endpoint, params = '') {
-    const url = `${LEGISTAR_BASE}/${client}/${endpoint}${params ? '?' + params : ''}`;
-    console.log(`Fetching: ${url}`);
-    
-    const response = await fetch(url, {
-        headers: { 'Accept': 'application/json' },
-        timeout: 15000
-    });
-    
-    if (!response.ok) {
-        throw new Error(`Legistar API error: ${response.status} for ${url}`);
-    }
-    
-    const text = await response.text();
-    try {
-        return JSON.parse(text);
-    } catch (e) {
-        console.log(`JSON parse failed for ${client}/${endpoint}. First 200 chars: ${text.substring(0, 200)}`);
-        throw new Error(`Legistar API returned non-JSON for ${client}/${endpoint}`);
-    }
-}
-
 function getRecentDateFilter(months = 6) {
     const date = new Date();
     date.setMonth(date.getMonth() - months);
@@ -150,81 +42,172 @@ function getFutureDateFilter() {
     return new Date().toISOString().split('T')[0];
 }
 
-// =====================================================
-// VERIFICATION FUNCTION
-// Tests if a city actually has data in Legistar.
-// Checks for: active persons, recent matters, events.
-// Returns a report card with pass/fail for each.
-// =====================================================
+// Local "YYYY-MM-DDTHH:MM" minus `minutes`, kept as local wall-clock time
+function localMinus(local, minutes) {
+    const d = new Date(`${local}:00Z`);
+    d.setUTCMinutes(d.getUTCMinutes() - minutes);
+    return d.toISOString().slice(0, 16);
+}
+
+// "AZ" -> "Arizona"
+const STATE_NAMES = Object.fromEntries(
+    Object.entries(STATE_NAME_TO_ABBR).map(([name, abbr]) => [abbr, name.replace(/\b(?!of\b)\w/g, c => c.toUpperCase())])
+);
+
+// At most this many places per ?type=discover call (each probes ~5 slugs)
+const MAX_DISCOVER_PLACES = 5;
 
-async function verifyCity(client) {
-    const results = {
-        client,
-        portal: `https://${client}.legistar.com`,
-        checks: {},
-        overallPass: false,
-        timestamp: new Date().toISOString()
+// How and when to comment on a meeting: city settings + its local start time.
+// Deadlines need both a clerk-published rule and a real start time ("T00:00"
+// means the portal had no time), otherwise they're null and the UI points
+// residents at the agenda.
+function commentInfo(city, start, meetingPage) {
+    const participation = participationFor(city);
+    const timed = start && !start.endsWith('T00:00');
+    const deadline = (minutes) => timed && minutes != null ? localMinus(start, minutes) : null;
+    return {
+        inPerson: participation.inPerson,
+        speakerCardDeadline: deadline(participation.speakerCardMinutesBefore),
+        writtenDeadline: deadline(participation.writtenHoursBefore != null ? participation.writtenHoursBefore * 60 : null),
+        email: participation.email,
+        onlineForm: participation.onlineForm,
+        meetingPage: meetingPage || null,
+        notes: participation.notes,
+        source: participation.source
     };
+}
+
+// Legistar vote value names vary by city ("Aye", "Yea", "Affirmative", "Nay",
+// "Excused", "Recused", ...) -> yes | no | absent | abstain | other
+function voteBucket(valueName) {
+    const v = String(valueName || '').toLowerCase();
+    if (/absent|excused/.test(v)) return 'absent';
+    if (/abstain|present|recus/.test(v)) return 'abstain';
+    if (/aye|yes|yea|affirmative/.test(v)) return 'yes';
+    if (/nay|\bno\b|negative/.test(v)) return 'no';
+    return 'other';
+}
+
+// Vote records only carry an event item id: resolve each to its agenda item,
+// matter and meeting (10 at a time; every lookup is cached in legistarFetch)
+async function resolveVoteItems(client, eventItemIds) {
+    const items = {};
+    const ids = [...new Set(eventItemIds.filter(Boolean))];
+    for (let i = 0; i < ids.length; i += 10) {
+        await Promise.all(ids.slice(i, i + 10).map(async (id) => {
+            items[id] = await legistarFetch(client, `EventItems/${id}`).catch(() => null);
+        }));
+    }
     
-    // Check 1: Active persons (council members)
-    try {
-        const persons = await legistarFetch(client, 'Persons', '$top=10&$filter=PersonActiveFlag eq 1');
-        const realPersons = persons.filter(p => 
-            p.PersonActiveFlag === 1 && 
-            p.PersonFullName && 
-            !p.PersonFullName.includes('System') && 
-            !p.PersonFullName.includes('View Only')
-        );
-        results.checks.persons = {
-            pass: realPersons.length > 0,
-            count: realPersons.length,
-            sample: realPersons.slice(0, 3).map(p => p.PersonFullName)
-        };
-    } catch (e) {
-        results.checks.persons = { pass: false, count: 0, error: e.message };
+    const events = {};
+    const eventIds = [...new Set(Object.values(items).filter(Boolean).map(it => it.EventItemEventId).filter(Boolean))];
+    for (let i = 0; i < eventIds.length; i += 10) {
+        await Promise.all(eventIds.slice(i, i + 10).map(async (id) => {
+            events[id] = await legistarFetch(client, `Events/${id}`).catch(() => null);
+        }));
     }
     
-    // Check 2: Recent legislation (matters in last 12 months)
-    try {
-        const recentDate = getRecentDateFilter(12);
-        const matters = await legistarFetch(client, 'Matters', 
-            `$top=10&$filter=MatterIntroDate ge datetime'${recentDate}'&$orderby=MatterIntroDate desc`
-        );
-        results.checks.legislation = {
-            pass: matters.length > 0,
-            count: matters.length,
-            sample: matters.slice(0, 3).map(m => m.MatterFile || m.MatterName || 'Untitled')
-        };
-    } catch (e) {
-        results.checks.legislation = { pass: false, count: 0, error: e.message };
+    return { items, events };
+}
+
+// Share of votes where two members cast the same yes/no, over items both voted yes/no on
+function agreementWith(mine, theirs) {
+    let shared = 0, agreed = 0;
+    for (const [itemId, vote] of Object.entries(mine)) {
+        const other = theirs[itemId];
+        if (!other || (vote !== 'yes' && vote !== 'no') || (other !== 'yes' && other !== 'no')) continue;
+        shared++;
+        if (vote === other) agreed++;
     }
+    return { shared, agreed, rate: shared > 0 ? Math.round((agreed / shared) * 100) : null };
+}
+
+// =====================================================
+// OTHER PORTALS
+// CivicClerk, CivicPlus and OnBase cities, through
+// lib/city-adapters.js. Same response shapes as the
+// Legistar branches; `note` says what the portal lacks.
+// =====================================================
+
+async function adapterRoute(adapter, city, info, type, params, headers) {
+    const source = adapter.portal(info);
+    const respond = (body) => ({ statusCode: 200, headers, body: JSON.stringify({ city, ...body, system: adapter.system, source }) });
     
-    // Check 3: Any events (past or future)
     try {
-        const events = await legistarFetch(client, 'Events', '$top=10&$orderby=EventDate desc');
-        results.checks.events = {
-            pass: events.length > 0,
-            count: events.length,
-            sample: events.slice(0, 3).map(e => `${e.EventBodyName} - ${e.EventDate}`)
+        if (type === 'persons' || type === 'members') {
+            const { members, note } = await adapter.members(info);
+            return respond({ type: 'members', members, totalMembers: members.length, councilBodiesFound: [], note });
+        }
+        
+        // None of these portals index legislation separately from agendas
+        if (type === 'matters' || type === 'legislation') {
+            return respond({
+                type: 'legislation', legislation: [], totalItems: 0,
+                note: 'This city\'s portal publishes agendas, not a legislation index. Items appear on each meeting\'s agenda.'
+            });
+        }
+        
+        if (type === 'events' || type === 'meetings') {
+            const meetings = await adapter.meetings(info);
+            return respond({ type: 'meetings', meetings, totalMeetings: meetings.length });
+        }
+        
+        if (type === 'agenda') {
+            const eventId = params.eventId;
+            if (!eventId) {
+                return { statusCode: 400, headers, body: JSON.stringify({ error: 'eventId parameter required' }) };
+            }
+            const { meeting, items, note } = await adapter.agenda(info, eventId);
+            return respond({
+                type: 'agenda',
+                eventId,
+                meeting,
+                comment: commentInfo(city, meeting ? meeting.start : null, meeting ? meeting.inSiteURL : null),
+                items,
+                totalItems: items.length,
+                note
+            });
+        }
+        
+        if (type === 'votes' || type === 'agreement' || type === 'matter-detail') {
+            return {
+                statusCode: 400, headers,
+                body: JSON.stringify({
+                    error: `${city} doesn't publish ${type === 'matter-detail' ? 'legislation details' : 'voting records'} on its portal.`,
+                    system: adapter.system,
+                    portal: source
+                })
+            };
+        }
+        
+        return {
+            statusCode: 400, headers,
+            body: JSON.stringify({
+                error: 'Invalid type parameter',
+                validTypes: ['members', 'legislation', 'meetings', 'agenda'],
+                system: adapter.system
+            })
+        };
+    } catch (error) {
+        console.error('Error:', error);
+        return {
+            statusCode: 500, headers,
+            body: JSON.stringify({
+                error: 'Failed to fetch city council data',
+                message: error.message,
+                city,
+                source,
+                tip: 'The city\'s agenda portal may be temporarily unavailable. Try again in a moment.'
+            })
         };
-    } catch (e) {
-        results.checks.events = { pass: false, count: 0, error: e.message };
     }
-    
-    // Overall: must have at least persons OR legislation with data
-    results.overallPass = (
-        (results.checks.persons?.pass || false) || 
-        (results.checks.legislation?.pass || false)
-    );
-    
-    return results;
 }
 
 // =====================================================
 // MAIN HANDLER
 // =====================================================
 
-exports.handler = async (event) => {
+async function route(event) {
     const headers = {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Headers': 'Content-Type',
@@ -239,25 +222,45 @@ exports.handler = async (event) => {
     const { city, type } = params;
     
     // ============ LIST AVAILABLE CITIES ============
+    // The whole registry (or one state's: ?state=AZ): `hasData` places
+    // get members, meetings and agendas; the rest are portal links.
+    // Status comes from the daily city-verify-sweep.js run (lib/city-status.js).
     if (type === 'cities') {
+        const statuses = await cityStatuses();
+        const onlyState = params.state ? normalizeState(params.state) : '';
         const cities = Object.entries(CITY_DATABASE)
-            .filter(([_, info]) => info.verified === true)
+            .filter(([_, info]) => !onlyState || info.state === onlyState)
             .map(([name, info]) => ({
                 name,
                 state: info.state,
+                stateName: STATE_NAMES[info.state] || info.state,
+                kind: info.kind,
                 population: info.population,
-                verifiedDate: info.verifiedDate,
-                portalUrl: `https://${info.client}.legistar.com`
+                system: info.system || 'legistar',
+                ...cityPortal(info),
+                verified: statuses[name].verified,
+                verifiedDate: statuses[name].verifiedDate,
+                lastChecked: statuses[name].lastChecked,
+                hasData: statuses[name].verified && hasDataFeed(info)
             }))
             .sort((a, b) => b.population - a.population);
         
+        // Per-state counts, for "which states have local coverage"
+        const states = {};
+        for (const c of cities) {
+            const st = states[c.state] = states[c.state] || { name: c.stateName, cities: 0, counties: 0, withData: 0 };
+            st[c.kind === 'county' ? 'counties' : 'cities']++;
+            if (c.hasData) st.withData++;
+        }
+        
         return {
             statusCode: 200, headers,
             body: JSON.stringify({ 
                 cities,
                 totalCities: cities.length,
-                coverage: 'Arizona',
-                note: 'Only cities with verified, active Legistar data are listed. More cities added as they are verified.'
+                verifiedCities: cities.filter(c => c.hasData).length,
+                states,
+                note: 'Places with hasData have verified, active portal data; the rest link to their portals. Every portal is re-checked daily.'
             })
         };
     }
@@ -265,14 +268,43 @@ exports.handler = async (event) => {
     // ============ VERIFY A CITY ============
     // Use this to test new cities before adding them.
     // Example: ?type=verify&client=glendale-az
+    // Registry entries (any system, with the sweep's history):
+    //   ?type=verify&city=Tempe, AZ
     if (type === 'verify') {
+        const entry = city ? CITY_DATABASE[city] : null;
+        if (entry) {
+            try {
+                const [report, record] = await Promise.all([verifyEntry(entry), cityHistory(city).catch(() => null)]);
+                return {
+                    statusCode: 200, headers,
+                    body: JSON.stringify({
+                        type: 'verification-report',
+                        city,
+                        ...report,
+                        status: record ? { verified: record.verified, verifiedDate: record.verifiedDate, lastChange: record.lastChange } : null,
+                        history: record ? record.history : [],
+                        recommendation: !hasDataFeed(entry)
+                            ? 'ℹ️ Link-only portal: there is no feed to read data from.'
+                            : report.overallPass
+                                ? '✅ This portal has active data. The daily sweep will promote it.'
+                                : '❌ This portal has no usable data yet.'
+                    })
+                };
+            } catch (e) {
+                return {
+                    statusCode: 200, headers,
+                    body: JSON.stringify({ type: 'verification-report', city, overallPass: false, error: e.message })
+                };
+            }
+        }
+        
         const testClient = params.client;
         if (!testClient) {
             return { 
                 statusCode: 400, headers, 
                 body: JSON.stringify({ 
                     error: 'client parameter required for verification',
-                    usage: '?type=verify&client=phoenix',
+                    usage: '?type=verify&client=phoenix or ?type=verify&city=Tempe, AZ',
                     tip: 'The client is the subdomain from [client].legistar.com'
                 }) 
             };
@@ -304,14 +336,64 @@ exports.handler = async (event) => {
         }
     }
     
+    // ============ DISCOVER LEGISTAR CLIENTS ============
+    // Probes the usual client slugs for places not in the registry yet.
+    // Example: ?type=discover&state=CO&places=Denver,Boulder County
+    // ("... County" probes county slugs)
+    if (type === 'discover') {
+        const state = normalizeState(params.state);
+        const places = String(params.places || '').split(',').map(p => p.trim()).filter(Boolean);
+        if (!state || places.length === 0) {
+            return {
+                statusCode: 400, headers,
+                body: JSON.stringify({
+                    error: 'state and places parameters required',
+                    usage: '?type=discover&state=CO&places=Denver,Boulder County'
+                })
+            };
+        }
+        if (places.length > MAX_DISCOVER_PLACES) {
+            return { statusCode: 400, headers, body: JSON.stringify({ error: `At most ${MAX_DISCOVER_PLACES} places per request` }) };
+        }
+        
+        const results = [];
+        for (const place of places) {
+            const kind = /\bcounty$/i.test(place) ? 'county' : 'city';
+            const name = `${place}, ${state}`;
+            const known = Object.keys(CITY_DATABASE).find(k => k.toLowerCase() === name.toLowerCase()) || null;
+            const result = await discoverClients(place, state, kind);
+            results.push({
+                ...result,
+                inRegistry: known,
+                registryEntry: result.found && !known
+                    ? { name, client: result.found, kind, verified: false, verifiedDate: null, notes: 'Found by discovery; pending first sweep' }
+                    : null
+            });
+        }
+        
+        return {
+            statusCode: 200, headers,
+            body: JSON.stringify({
+                type: 'discovery-report',
+                state,
+                results,
+                found: results.filter(r => r.found).map(r => ({ place: r.place, client: r.found })),
+                tip: 'Add each registryEntry under its state in lib/cities.js; the daily sweep promotes it once verified.'
+            })
+        };
+    }
+    
     // ============ VALIDATE CITY PARAM ============
+    const statuses = await cityStatuses();
+    const availableCities = Object.keys(CITY_DATABASE).filter(c => statuses[c].verified && hasDataFeed(CITY_DATABASE[c]));
+    
     if (!city) {
         return { 
             statusCode: 400, headers, 
             body: JSON.stringify({ 
                 error: 'City parameter required.',
                 usage: '?city=Phoenix, AZ&type=members',
-                availableCities: Object.keys(CITY_DATABASE).filter(c => CITY_DATABASE[c].verified)
+                availableCities
             }) 
         };
     }
@@ -322,150 +404,38 @@ exports.handler = async (event) => {
             statusCode: 404, headers, 
             body: JSON.stringify({ 
                 error: `"${city}" is not available yet.`,
-                availableCities: Object.keys(CITY_DATABASE).filter(c => CITY_DATABASE[c].verified),
-                tip: 'We are expanding coverage across Arizona. Check back soon.'
+                availableCities,
+                tip: 'We are expanding local coverage state by state. Check back soon.'
             }) 
         };
     }
     
-    if (!cityInfo.verified) {
+    if (!availableCities.includes(city)) {
         return { 
             statusCode: 404, headers, 
             body: JSON.stringify({ 
-                error: `"${city}" has a Legistar portal but no active data yet.`,
-                portal: `https://${cityInfo.client}.legistar.com`,
-                tip: 'This city has installed Legistar but has not populated it with data. We monitor this and will enable it when data becomes available.'
+                error: hasDataFeed(cityInfo)
+                    ? `"${city}" has an agenda portal but no verified data yet.`
+                    : `"${city}" publishes agendas on its website only.`,
+                portal: cityPortal(cityInfo).portalUrl,
+                tip: hasDataFeed(cityInfo)
+                    ? 'We re-check this portal daily and will enable the city when it has data we can read.'
+                    : 'Use the portal link for meetings and agendas.'
             }) 
         };
     }
     
+    const adapter = adapterFor(cityInfo);
+    if (adapter) {
+        return adapterRoute(adapter, city, cityInfo, type, params, headers);
+    }
+    
     const { client } = cityInfo;
     
     try {
         // ============ COUNCIL MEMBERS ============
         if (type === 'persons' || type === 'members') {
-            // STRATEGY: Use OfficeRecords + Bodies to find ELECTED officials only.
-            // This prevents showing 252 city staff when citizens want the 7 council members.
-            
-            // Step 1: Get all bodies to identify council/board bodies
-            let bodies = [];
-            try {
-                bodies = await legistarFetch(client, 'Bodies');
-            } catch (e) {
-                console.log('Bodies fetch failed for', client);
-            }
-            
-            // Find council-type body IDs — prioritize the main governing body
-            // First look for the primary council body specifically
-            const primaryKeywords = ['city council', 'town council', 'mayor and council', 'mayor & council', 'board of supervisors', 'common council'];
-            const primaryBodies = bodies.filter(b => {
-                const name = (b.BodyName || '').toLowerCase();
-                return primaryKeywords.some(kw => name.includes(kw)) && b.BodyActiveFlag === 1;
-            });
-            
-            // If we found primary council bodies, use those. Otherwise fall back to broader search.
-            let councilBodies;
-            if (primaryBodies.length > 0) {
-                councilBodies = primaryBodies;
-            } else {
-                // Broader fallback — but exclude advisory boards, commissions, committees
-                const broadKeywords = ['council', 'mayor', 'aldermen'];
-                const excludeKeywords = ['advisory', 'committee', 'commission', 'subcommittee', 'task force', 'authority', 'board of adjustment', 'planning', 'zoning'];
-                councilBodies = bodies.filter(b => {
-                    const name = (b.BodyName || '').toLowerCase();
-                    const matchesBroad = broadKeywords.some(kw => name.includes(kw));
-                    const isExcluded = excludeKeywords.some(kw => name.includes(kw));
-                    return matchesBroad && !isExcluded && b.BodyActiveFlag === 1;
-                });
-            }
-            
-            const councilBodyIds = councilBodies.map(b => b.BodyId);
-            console.log(`Found ${councilBodyIds.length} council bodies for ${client}:`, councilBodies.map(b => b.BodyName));
-            
-            // Step 2: Get office records — these link persons to their elected/appointed positions
-            let officeRecords = [];
-            try {
-                officeRecords = await legistarFetch(client, 'OfficeRecords', '$orderby=OfficeRecordTitle');
-            } catch (e) {
-                console.log('Office records not available for', client);
-            }
-            
-            // Filter to active office records in council bodies
-            const now = new Date();
-            const activeCouncilOffices = officeRecords.filter(or => {
-                // Must be in a council body (or if no bodies found, keep all)
-                const inCouncilBody = councilBodyIds.length === 0 || councilBodyIds.includes(or.OfficeRecordBodyId);
-                // Must be currently active (no end date, or end date in future)
-                const isActive = !or.OfficeRecordEndDate || new Date(or.OfficeRecordEndDate) > now;
-                return inCouncilBody && isActive;
-            });
-            
-            // Get unique person IDs from active council offices
-            const councilPersonIds = [...new Set(activeCouncilOffices.map(or => or.OfficeRecordPersonId))];
-            
-            console.log(`Found ${councilPersonIds.length} council members for ${client}`);
-            
-            // Step 3: Fetch persons (use broad fetch since we'll filter by ID)
-            let persons = [];
-            try {
-                persons = await legistarFetch(client, 'Persons', '$filter=PersonActiveFlag eq 1&$orderby=PersonLastName');
-            } catch (e) {
-                console.log('Filtered persons query failed:', e.message);
-            }
-            
-            if (!persons || persons.length === 0) {
-                try {
-                    persons = await legistarFetch(client, 'Persons', '$orderby=PersonLastName&$top=500');
-                } catch (e2) {
-                    console.log('Unfiltered persons query failed:', e2.message);
-                }
-            }
-            
-            if (!persons || persons.length === 0) {
-                try {
-                    persons = await legistarFetch(client, 'Persons');
-                } catch (e3) {
-                    persons = [];
-                }
-            }
-            
-            // Step 4: Filter to only council members
-            let councilMembers;
-            if (councilPersonIds.length > 0) {
-                // We found council offices — filter strictly
-                councilMembers = persons.filter(p => councilPersonIds.includes(p.PersonId));
-            } else {
-                // No office records or bodies — fall back to all active persons
-                // but filter out obvious system/staff accounts
-                const excludeNames = ['system', 'monitor', 'view only', 'test', 'admin', 'clerk', 'secretary', 'attorney', 'manager', 'director', 'coordinator', 'analyst', 'assistant', 'staff'];
-                councilMembers = persons
-                    .filter(p => p.PersonActiveFlag === 1)
-                    .filter(p => {
-                        const name = (p.PersonFullName || '').toLowerCase();
-                        return !excludeNames.some(ex => name.includes(ex));
-                    });
-            }
-            
-            // Step 5: Enrich with office record details
-            const enrichedMembers = councilMembers.map(p => {
-                const offices = activeCouncilOffices.filter(or => or.OfficeRecordPersonId === p.PersonId);
-                const primaryOffice = offices[0];
-                return {
-                    id: p.PersonId,
-                    firstName: p.PersonFirstName,
-                    lastName: p.PersonLastName,
-                    fullName: p.PersonFullName,
-                    email: p.PersonEmail || null,
-                    phone: p.PersonPhone || null,
-                    website: p.PersonWWW || null,
-                    address: [p.PersonAddress1, p.PersonCity1, p.PersonState1, p.PersonZip1].filter(Boolean).join(', ') || null,
-                    title: primaryOffice ? primaryOffice.OfficeRecordTitle : null,
-                    bodyName: primaryOffice ? primaryOffice.OfficeRecordBodyName : null,
-                    startDate: primaryOffice ? primaryOffice.OfficeRecordStartDate : null,
-                    endDate: primaryOffice ? primaryOffice.OfficeRecordEndDate : null,
-                    active: true
-                };
-            });
+            const { members: enrichedMembers, councilBodiesFound } = await fetchCouncilMembers(client);
             
             return {
                 statusCode: 200, headers,
@@ -473,7 +443,7 @@ exports.handler = async (event) => {
                     city, type: 'members',
                     members: enrichedMembers,
                     totalMembers: enrichedMembers.length,
-                    councilBodiesFound: councilBodyIds.length,
+                    councilBodiesFound,
                     source: `https://${client}.legistar.com`
                 })
             };
@@ -528,9 +498,36 @@ exports.handler = async (event) => {
                 bodyName: m.MatterBodyName,
                 sponsor: m.MatterSponsorName || null,
                 lastModified: m.MatterLastModifiedUtc,
-                url: `https://${client}.legistar.com/LegislationDetail.aspx?ID=${m.MatterId}&GUID=${m.MatterGuid}`
+                url: matterUrl(client, m),
+                watchId: matterWatchId(client, m.MatterId),
+                howItAffectsYou: ''
             }));
             
+            // Stored AI summaries (generated when a matter is opened)
+            try {
+                await attachHowItAffectsYou(legislation, item => item.watchId);
+            } catch (e) {
+                console.log('Summary lookup failed:', e.message);
+            }
+            
+            // Record matter status history for the "What's new" feed (never fails the request)
+            try {
+                await recordSnapshots(legislation.map(item => ({
+                    id: item.watchId,
+                    source: 'legistar',
+                    city,
+                    number: item.file,
+                    title: item.title,
+                    status: item.status || '',
+                    statusDisplay: item.status || '',
+                    statusPriority: null,
+                    date: item.lastModified || item.introduced || '',
+                    url: item.url
+                })));
+            } catch (e) {
+                console.log('Snapshot recording failed:', e.message);
+            }
+            
             return {
                 statusCode: 200, headers,
                 body: JSON.stringify({
@@ -579,19 +576,7 @@ exports.handler = async (event) => {
                 }
             }
             
-            const meetings = events.map(e => ({
-                id: e.EventId,
-                date: e.EventDate,
-                time: e.EventTime,
-                bodyName: e.EventBodyName,
-                location: e.EventLocation,
-                agendaStatus: e.EventAgendaStatusName,
-                minutesStatus: e.EventMinutesStatusName,
-                inSiteURL: e.EventInSiteURL,
-                agendaURL: e.EventAgendaFile,
-                minutesURL: e.EventMinutesFile,
-                videoURL: e.EventVideoPath || null
-            }));
+            const meetings = events.map(legistarMeeting);
             
             return {
                 statusCode: 200, headers,
@@ -605,31 +590,65 @@ exports.handler = async (event) => {
         }
         
         // ============ PERSON VOTE HISTORY ============
+        // Summary stats cover the whole record; only the requested page of
+        // votes is resolved to its agenda item, matter and meeting
         if (type === 'votes') {
             const personId = params.personId;
             if (!personId) {
                 return { statusCode: 400, headers, body: JSON.stringify({ error: 'personId parameter required' }) };
             }
             
-            const votes = await legistarFetch(client, `Persons/${personId}/Votes`, '$top=200&$orderby=VoteLastModifiedUtc desc');
+            const pageSize = Math.min(Math.max(parseInt(params.pageSize, 10) || 25, 1), 50);
+            const page = Math.max(parseInt(params.page, 10) || 1, 1);
             
-            const voteHistory = votes.map(v => ({
-                id: v.VoteId,
-                personName: v.VotePersonName,
-                value: v.VoteValueId,
-                valueName: v.VoteValueName,
-                result: v.VoteResult,
-                eventItemId: v.VoteEventItemId,
-                lastModified: v.VoteLastModifiedUtc
-            }));
+            const votes = await fetchPersonVotes(client, personId);
+            const pageVotes = votes.slice((page - 1) * pageSize, page * pageSize);
+            const { items, events } = await resolveVoteItems(client, pageVotes.map(v => v.VoteEventItemId));
+            
+            const voteHistory = pageVotes.map(v => {
+                const item = items[v.VoteEventItemId] || null;
+                const meeting = item ? events[item.EventItemEventId] : null;
+                return {
+                    id: v.VoteId,
+                    personName: v.VotePersonName,
+                    value: v.VoteValueId,
+                    valueName: v.VoteValueName,
+                    vote: voteBucket(v.VoteValueName),
+                    result: v.VoteResult,
+                    eventItemId: v.VoteEventItemId,
+                    lastModified: v.VoteLastModifiedUtc,
+                    item: item ? {
+                        title: item.EventItemTitle,
+                        agendaNumber: item.EventItemAgendaNumber || null,
+                        actionName: item.EventItemActionName,
+                        passed: item.EventItemPassedFlag === 1 ? true : item.EventItemPassedFlag === 0 ? false : null,
+                        outcome: item.EventItemPassedFlagName || null,
+                        tally: item.EventItemTally || null
+                    } : null,
+                    matter: item && item.EventItemMatterId ? {
+                        id: item.EventItemMatterId,
+                        file: item.EventItemMatterFile,
+                        name: item.EventItemMatterName,
+                        type: item.EventItemMatterType,
+                        watchId: matterWatchId(client, item.EventItemMatterId)
+                    } : null,
+                    meeting: meeting ? {
+                        id: meeting.EventId,
+                        date: meeting.EventDate,
+                        bodyName: meeting.EventBodyName,
+                        inSiteURL: meeting.EventInSiteURL
+                    } : null
+                };
+            });
             
             // Calculate summary stats
+            const buckets = votes.map(v => voteBucket(v.VoteValueName));
             const summary = {
-                total: voteHistory.length,
-                yes: voteHistory.filter(v => v.valueName && (v.valueName.toLowerCase().includes('aye') || v.valueName.toLowerCase().includes('yes') || v.valueName.toLowerCase().includes('affirmative'))).length,
-                no: voteHistory.filter(v => v.valueName && (v.valueName.toLowerCase().includes('nay') || v.valueName.toLowerCase().includes('no'))).length,
-                absent: voteHistory.filter(v => v.valueName && (v.valueName.toLowerCase().includes('absent') || v.valueName.toLowerCase().includes('excused'))).length,
-                abstain: voteHistory.filter(v => v.valueName && (v.valueName.toLowerCase().includes('abstain') || v.valueName.toLowerCase().includes('present'))).length
+                total: votes.length,
+                yes: buckets.filter(b => b === 'yes').length,
+                no: buckets.filter(b => b === 'no').length,
+                absent: buckets.filter(b => b === 'absent').length,
+                abstain: buckets.filter(b => b === 'abstain').length
             };
             
             if (summary.total > 0) {
@@ -643,7 +662,48 @@ exports.handler = async (event) => {
                     personId,
                     summary,
                     votes: voteHistory,
-                    totalVotes: voteHistory.length,
+                    page,
+                    pageSize,
+                    totalVotes: votes.length,
+                    hasMore: page * pageSize < votes.length,
+                    source: `https://${client}.legistar.com`
+                })
+            };
+        }
+        
+        // ============ COLLEAGUE AGREEMENT ============
+        // How often a member votes with each colleague, over both full records.
+        // Its own request (and cached) because it reads every colleague's votes.
+        if (type === 'agreement') {
+            const personId = params.personId;
+            if (!personId) {
+                return { statusCode: 400, headers, body: JSON.stringify({ error: 'personId parameter required' }) };
+            }
+            
+            const agreement = await cached(cacheKey('council-agreement', [client, String(personId)]), { ttl: 3600 * 6, stale: 86400 }, async () => {
+                const [votes, council] = await Promise.all([
+                    fetchPersonVotes(client, personId),
+                    fetchCouncilMembers(client).catch(() => ({ members: [] }))
+                ]);
+                const mine = Object.fromEntries(votes.map(v => [v.VoteEventItemId, voteBucket(v.VoteValueName)]));
+                const colleagues = council.members.filter(m => String(m.id) !== String(personId));
+                const rows = [];
+                for (let i = 0; i < colleagues.length; i += 5) {
+                    await Promise.all(colleagues.slice(i, i + 5).map(async (m) => {
+                        const theirVotes = await fetchPersonVotes(client, m.id).catch(() => []);
+                        const theirs = Object.fromEntries(theirVotes.map(v => [v.VoteEventItemId, voteBucket(v.VoteValueName)]));
+                        rows.push({ personId: m.id, name: m.fullName, title: m.title, ...agreementWith(mine, theirs) });
+                    }));
+                }
+                return rows.sort((a, b) => (b.rate ?? -1) - (a.rate ?? -1));
+            });
+            
+            return {
+                statusCode: 200, headers,
+                body: JSON.stringify({
+                    city, type: 'agreement',
+                    personId,
+                    agreement,
                     source: `https://${client}.legistar.com`
                 })
             };
@@ -656,12 +716,25 @@ exports.handler = async (event) => {
                 return { statusCode: 400, headers, body: JSON.stringify({ error: 'matterId parameter required' }) };
             }
             
-            const [matter, sponsors, histories] = await Promise.all([
+            const [matter, sponsors, histories, matterText] = await Promise.all([
                 legistarFetch(client, `Matters/${matterId}`),
                 legistarFetch(client, `Matters/${matterId}/Sponsors`).catch(() => []),
-                legistarFetch(client, `Matters/${matterId}/Histories`).catch(() => [])
+                legistarFetch(client, `Matters/${matterId}/Histories`).catch(() => []),
+                fetchMatterText(client, matterId).catch(() => ({ text: '', version: null, attachments: [] }))
             ]);
             
+            // Plain-English summary of the latest text version (stored; see lib/summaries.js)
+            let plainSummary = null;
+            try {
+                plainSummary = await cityMatterPlainSummary({
+                    id: matterWatchId(client, matter.MatterId),
+                    city, matter, source: matterText,
+                    apiKey: process.env.ANTHROPIC_API_KEY
+                });
+            } catch (e) {
+                console.log('AI summary generation failed:', e.message);
+            }
+            
             return {
                 statusCode: 200, headers,
                 body: JSON.stringify({
@@ -676,8 +749,14 @@ exports.handler = async (event) => {
                         introduced: matter.MatterIntroDate,
                         passedDate: matter.MatterPassedDate,
                         bodyName: matter.MatterBodyName,
-                        text: matter.MatterText || null,
-                        url: `https://${client}.legistar.com/LegislationDetail.aspx?ID=${matter.MatterId}&GUID=${matter.MatterGuid}`
+                        text: matter.MatterText || matterText.text || null,
+                        textVersion: matterText.version,
+                        attachments: matterText.attachments,
+                        url: matterUrl(client, matter),
+                        watchId: matterWatchId(client, matter.MatterId),
+                        plainEnglishSummary: plainSummary ? plainSummary.text : '',
+                        plainEnglishSummaryInfo: summaryProvenance(plainSummary),
+                        howItAffectsYou: plainSummary ? plainSummary.howItAffectsYou : ''
                     },
                     sponsors: sponsors.map(s => ({
                         id: s.MatterSponsorNameId,
@@ -699,13 +778,21 @@ exports.handler = async (event) => {
         }
         
         // ============ AGENDA ITEMS ============
+        // Each item carries publicComment { open, kind }; `comment`
+        // has the deadlines and ways to submit (lib/cities.js)
         if (type === 'agenda') {
             const eventId = params.eventId;
             if (!eventId) {
                 return { statusCode: 400, headers, body: JSON.stringify({ error: 'eventId parameter required' }) };
             }
             
-            const items = await legistarFetch(client, `Events/${eventId}/EventItems`, 'AgendaNote=1&MinutesNote=1');
+            const [items, meeting] = await Promise.all([
+                legistarFetch(client, `Events/${eventId}/EventItems`, 'AgendaNote=1&MinutesNote=1'),
+                legistarFetch(client, `Events/${eventId}`).catch(() => null)
+            ]);
+            
+            const start = meeting ? eventStart(meeting) : null;
+            const comment = commentInfo(city, start, meeting ? meeting.EventInSiteURL : null);
             
             const agendaItems = items.map(item => ({
                 id: item.EventItemId,
@@ -721,14 +808,34 @@ exports.handler = async (event) => {
                 tally: item.EventItemTally,
                 agendaNote: item.EventItemAgendaNote,
                 minutesNote: item.EventItemMinutesNote,
-                rollCallFlag: item.EventItemRollCallFlag
-            }));
+                rollCallFlag: item.EventItemRollCallFlag,
+                sequence: item.EventItemAgendaSequence,
+                agendaNumber: item.EventItemAgendaNumber || null,
+                consent: item.EventItemConsent === 1,
+                publicComment: commentEligibility({
+                    title: item.EventItemTitle,
+                    hasMatter: !!item.EventItemMatterId,
+                    matterType: item.EventItemMatterType,
+                    actionName: item.EventItemActionName
+                })
+            })).sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
             
             return {
                 statusCode: 200, headers,
                 body: JSON.stringify({
                     city, type: 'agenda',
                     eventId,
+                    meeting: meeting ? {
+                        id: meeting.EventId,
+                        date: meeting.EventDate,
+                        time: meeting.EventTime,
+                        start,
+                        bodyName: meeting.EventBodyName,
+                        location: meeting.EventLocation,
+                        agendaURL: meeting.EventAgendaFile,
+                        inSiteURL: meeting.EventInSiteURL
+                    } : null,
+                    comment,
                     items: agendaItems,
                     totalItems: agendaItems.length,
                     source: `https://${client}.legistar.com`
@@ -741,14 +848,16 @@ exports.handler = async (event) => {
             statusCode: 400, headers,
             body: JSON.stringify({ 
                 error: 'Invalid type parameter',
-                validTypes: ['cities', 'verify', 'members', 'legislation', 'meetings', 'votes', 'matter-detail', 'agenda'],
+                validTypes: ['cities', 'verify', 'discover', 'members', 'legislation', 'meetings', 'votes', 'agreement', 'matter-detail', 'agenda'],
                 usage: {
-                    'List verified cities': '?type=cities',
+                    'List cities': '?type=cities or ?type=cities&state=AZ',
                     'Verify a new city': '?type=verify&client=glendale-az',
+                    'Find Legistar clients': '?type=discover&state=CO&places=Denver,Boulder County',
                     'Council members': '?city=Phoenix, AZ&type=members',
                     'Recent legislation': '?city=Phoenix, AZ&type=legislation',
                     'Upcoming meetings': '?city=Phoenix, AZ&type=meetings',
-                    'Person vote history': '?city=Phoenix, AZ&type=votes&personId=123',
+                    'Person vote history': '?city=Phoenix, AZ&type=votes&personId=123&page=1&pageSize=25',
+                    'Colleague agreement': '?city=Phoenix, AZ&type=agreement&personId=123',
                     'Bill details': '?city=Phoenix, AZ&type=matter-detail&matterId=456',
                     'Meeting agenda': '?city=Phoenix, AZ&type=agenda&eventId=789'
                 }
@@ -768,4 +877,7 @@ exports.handler = async (event) => {
             })
         };
     }
-};
+}
+
+// Successful GETs get Cache-Control + ETag (see lib/cache.js)
+export const handler = async (event) => withHttpCache(event, await route(event));
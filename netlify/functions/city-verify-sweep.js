@@ -0,0 +1,56 @@
+// netlify/functions/city-verify-sweep.js
+//
+// Scheduled: re-verifies the cities in the registry (lib/cities.js) — Legistar
+// clients, adapter portals and link-only pages — records each result, and
+// promotes or demotes cities whose portals started or stopped publishing data
+// (rules in lib/city-status.js). city-council.js ?type=cities serves the outcome.
+//
+// Each run takes the next CITIES_PER_RUN entries (cursor in lib/store.js
+// nextShard), so a run stays inside the function time limit and every city is
+// still re-checked a few times a day.
+
+import { CITY_DATABASE } from "./lib/cities.js";
+import { verifyEntry, recordVerification, writeSummary } from "./lib/city-status.js";
+import { nextShard } from "./lib/store.js";
+
+export const config = { schedule: "0 * * * *" };
+
+const CITIES_PER_RUN = 6;
+
+export async function handler() {
+  const results = {};
+  const changes = [];
+
+  const names = Object.keys(CITY_DATABASE).sort();
+  const shard = await nextShard("city-verify-sweep", names, CITIES_PER_RUN);
+
+  // One city at a time: several portals are small municipal servers
+  for (const name of shard) {
+    const info = CITY_DATABASE[name];
+    let report;
+    try {
+      report = await verifyEntry(info);
+    } catch (e) {
+      report = { overallPass: false, checks: {}, error: e.message, timestamp: new Date().toISOString() };
+    }
+    try {
+      results[name] = await recordVerification(name, report);
+      if (results[name].change) changes.push({ city: name, change: results[name].change });
+    } catch (e) {
+      console.log(`Recording verification failed for ${name}:`, e.message);
+    }
+  }
+
+  await writeSummary(results);
+
+  // Cities outside this shard keep their last summary entry
+  const summary = {
+    cities: names.length,
+    checked: Object.keys(results).length,
+    passed: Object.values(results).filter(r => r.pass).length,
+    verified: Object.values(results).filter(r => r.verified).length,
+    changes,
+  };
+  console.log("City verify sweep:", JSON.stringify(summary));
+  return { statusCode: 200, headers: { "content-type": "application/json" }, body: JSON.stringify(summary) };
+}
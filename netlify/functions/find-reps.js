@@ -0,0 +1,174 @@
+// netlify/functions/find-reps.js
+//
+// "Who represents me?" — resolves an address or ZIP to districts (see
+// lib/districts.js) and returns the matching federal members, state
+// legislators and city council.
+//
+// Query params (one of):
+//   address = "200 W Washington St, Phoenix, AZ 85003"
+//   zip     = "85003"
+//
+// Returns { location: { state, stateName, congressionalDistricts, ..., city, exact, source },
+//           federal: [...], state: [...], city: { name, members } | null, notes: [...] }
+//
+// Env vars: CONGRESS_API_KEY (federal), LEGISCAN_API_KEY (state legislators).
+// Either can be missing — that section just comes back empty with a note.
+
+import { resolveDistricts, normalizeDistrict } from "./lib/districts.js";
+import { congressFetch, currentCongress } from "./lib/congress.js";
+import { callLegiScan, STATE_NAME_TO_ABBR } from "./lib/legiscan.js";
+import { contactInfo } from "./lib/legislators.js";
+import { CITY_DATABASE, findCity } from "./lib/cities.js";
+import { fetchCouncilMembers } from "./lib/legistar.js";
+import { adapterFor } from "./lib/city-adapters.js";
+import { cityStatuses } from "./lib/city-status.js";
+import { withHttpCache } from "./lib/cache.js";
+
+const ABBR_TO_STATE_NAME = Object.fromEntries(
+  Object.entries(STATE_NAME_TO_ABBR).map(([name, abbr]) => [abbr, name.replace(/\b(?!of\b)\w/g, c => c.toUpperCase())])
+);
+
+function sameDistrict(list, district) {
+  const d = normalizeDistrict(district);
+  return list.some(x => normalizeDistrict(x) === d);
+}
+
+// "Adams, Alma S." -> "Alma S. Adams"
+function directName(name) {
+  const [last, first] = String(name || "").split(/,\s*/);
+  return first ? `${first} ${last}` : last;
+}
+
+// Senators plus the House member(s) for the district(s); every House member in the state if unknown
+async function federalReps(loc, apiKey) {
+  const data = await congressFetch(`member/congress/${currentCongress()}/${loc.state}`, apiKey, { currentMember: true, limit: 250 });
+  const members = (data?.members || []).map(m => {
+    const terms = Array.isArray(m.terms) ? m.terms : m.terms?.item || [];
+    const chamber = /senate/i.test(terms[terms.length - 1]?.chamber || "") ? "Senate" : "House";
+    return {
+      bioguideId: m.bioguideId,
+      name: directName(m.name),
+      party: m.partyName || "",
+      chamber,
+      state: loc.state,
+      district: chamber === "House" ? (m.district ?? 0) : null,
+      imageUrl: m.depiction?.imageUrl || "",
+    };
+  });
+
+  const matched = members.filter(m => m.chamber === "Senate"
+    || loc.congressionalDistricts.length === 0
+    || sameDistrict(loc.congressionalDistricts, m.district));
+
+  // Phone / contact form aren't in Congress.gov's list response
+  const contacts = await Promise.all(matched.map(m => contactInfo(m.bioguideId).catch(() => null)));
+  return matched
+    .map((m, i) => ({ ...m, contact: contacts[i], isYourDistrict: m.chamber === "Senate" || sameDistrict(loc.congressionalDistricts, m.district) }))
+    .sort((a, b) => (a.chamber === b.chamber ? 0 : a.chamber === "Senate" ? -1 : 1));
+}
+
+// Legislators for the state's current regular session whose districts match
+async function stateReps(loc, apiKey) {
+  const list = await callLegiScan("getSessionList", { state: loc.state }, apiKey);
+  const sessions = (list.sessions || []).filter(s => !s.special).sort((a, b) => b.year_start - a.year_start || b.session_id - a.session_id);
+  if (sessions.length === 0) return [];
+
+  const people = await callLegiScan("getSessionPeople", { id: sessions[0].session_id }, apiKey);
+  return (people.sessionpeople?.people || [])
+    .filter(p => {
+      const upper = /^sen/i.test(p.role || "");
+      const districts = upper ? loc.stateSenateDistricts : loc.stateHouseDistricts;
+      return districts.length > 0 && sameDistrict(districts, p.district);
+    })
+    .map(p => ({
+      peopleId: p.people_id,
+      name: p.name || `${p.first_name || ""} ${p.last_name || ""}`.trim(),
+      party: p.party || "",
+      chamber: /^sen/i.test(p.role || "") ? "Senate" : "House",
+      role: p.role || "",
+      district: normalizeDistrict(p.district),
+      ballotpediaUrl: p.ballotpedia ? `https://ballotpedia.org/${p.ballotpedia}` : "",
+    }))
+    .sort((a, b) => (a.chamber === b.chamber ? 0 : a.chamber === "Senate" ? -1 : 1));
+}
+
+async function cityCouncil(loc) {
+  const statuses = await cityStatuses().catch(() => ({}));
+  const name = loc.places.map(p => findCity(p, loc.state, statuses)).find(Boolean);
+  if (!name) return null;
+  const info = CITY_DATABASE[name];
+  const adapter = adapterFor(info);
+  const { members } = adapter ? await adapter.members(info) : await fetchCouncilMembers(info.client);
+  return { name, members };
+}
+
+export async function handler(event) {
+  try {
+    const qs = event.queryStringParameters || {};
+    const address = String(qs.address || "").trim();
+    const zip = String(qs.zip || "").trim();
+
+    if (!address && !zip) {
+      return { statusCode: 400, headers: { "content-type": "application/json" },
+        body: JSON.stringify({ error: "Missing address or zip. Usage: ?zip=85003 or ?address=200 W Washington St, Phoenix, AZ 85003" }) };
+    }
+
+    const loc = await resolveDistricts({ address, zip });
+    if (!loc) {
+      return { statusCode: 404, headers: { "content-type": "application/json" },
+        body: JSON.stringify({ error: "Could not find that location. Try a 5-digit ZIP or a full street address." }) };
+    }
+
+    const notes = [];
+    if (!loc.exact) {
+      notes.push(loc.source === "zip-prefix"
+        ? "We could only match your state from this ZIP. Enter your street address to narrow down your districts."
+        : "This ZIP code crosses district lines, so more than one representative may be listed. Enter your street address for an exact match.");
+    }
+
+    const congressKey = process.env.CONGRESS_API_KEY;
+    const legiscanKey = process.env.LEGISCAN_API_KEY;
+
+    const [federal, state, city] = await Promise.allSettled([
+      congressKey ? federalReps(loc, congressKey) : Promise.reject(new Error("Missing CONGRESS_API_KEY")),
+      legiscanKey ? stateReps(loc, legiscanKey) : Promise.reject(new Error("Missing LEGISCAN_API_KEY")),
+      cityCouncil(loc),
+    ]);
+
+    if (federal.status === "rejected") {
+      console.log("Federal reps failed:", federal.reason?.message);
+      notes.push("Federal representatives are temporarily unavailable.");
+    }
+    if (state.status === "rejected") {
+      console.log("State reps failed:", state.reason?.message);
+      notes.push("State legislators are temporarily unavailable.");
+    } else if (state.value.length === 0 && loc.stateHouseDistricts.length + loc.stateSenateDistricts.length === 0) {
+      notes.push("Enter your street address to find your state legislators.");
+    }
+    if (city.status === "rejected") {
+      console.log("City council failed:", city.reason?.message);
+    }
+
+    const cityName = city.status === "fulfilled" && city.value ? city.value.name : null;
+
+    return withHttpCache(event, {
+      statusCode: 200,
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        location: {
+          ...loc,
+          stateName: ABBR_TO_STATE_NAME[loc.state] || loc.state,
+          city: loc.places[0] || null,
+          coveredCity: cityName,
+        },
+        federal: federal.status === "fulfilled" ? federal.value : [],
+        state: state.status === "fulfilled" ? state.value : [],
+        city: city.status === "fulfilled" ? city.value : null,
+        notes,
+      }),
+    }, { maxAge: 3600, sMaxAge: 86400, staleWhileRevalidate: 86400 });
+  } catch (err) {
+    return { statusCode: 500, headers: { "content-type": "application/json" },
+      body: JSON.stringify({ error: String(err) }) };
+  }
+}
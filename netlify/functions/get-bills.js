@@ -1,96 +1,56 @@
 // netlify/functions/get-bills.js
 //
 // Fetches federal bills from Congress.gov API (119th Congress)
-// Returns { bills: [...] } with public_url pointing to Congress.gov bill pages
+// Returns { bills: [...], pagination } with public_url pointing to Congress.gov
+// bill pages, voteDate set on bills that are on the House floor schedule, and
+// topic / topics from lib/topics.js and rightsImpact from lib/rights.js
+//
+// Query params:
+//   limit  = number (default 50, max 250)
+//   offset = position in Congress.gov's list (use pagination.next_offset to continue)
+//   topic  = topic key ("privacy", "voting", ...) — only matching bills are returned;
+//            up to MAX_TOPIC_SCAN bills are scanned per request, so a page can come
+//            back short: continue from pagination.next_offset
 //
 // Required Netlify env var: CONGRESS_API_KEY
 
-// Map API bill type codes to Congress.gov URL slugs
-const TYPE_MAP = {
-  hr:      "house-bill",
-  s:       "senate-bill",
-  hjres:   "house-joint-resolution",
-  sjres:   "senate-joint-resolution",
-  hconres: "house-concurrent-resolution",
-  sconres: "senate-concurrent-resolution",
-  hres:    "house-resolution",
-  sres:    "senate-resolution",
-};
-
-function ordinalSuffix(n) {
-  const num = Number(n);
-  const mod100 = num % 100;
-  if (mod100 >= 11 && mod100 <= 13) return num + "th";
-  const mod10 = num % 10;
-  if (mod10 === 1) return num + "st";
-  if (mod10 === 2) return num + "nd";
-  if (mod10 === 3) return num + "rd";
-  return num + "th";
+import { congressFetch, billSubjects, normalizeBill, currentCongress } from "./lib/congress.js";
+import { recordSnapshots } from "./lib/snapshots.js";
+import { scheduledVotesById } from "./lib/floor.js";
+import { attachHowItAffectsYou } from "./lib/summaries.js";
+import { attachTopics, hasTopic, TOPICS } from "./lib/topics.js";
+import { attachRightsImpact } from "./lib/rights.js";
+import { withHttpCache } from "./lib/cache.js";
+
+// Bills per request whose policy area and subjects are looked up for topic
+// classification (two cached fetches each; stored afterwards, so each bill pays once)
+const TOPIC_ENRICH_LIMIT = 15;
+
+// Topic filtering walks Congress.gov's list in pages of SCAN_PAGE_SIZE; one
+// list call and its stored-topic reads per request keeps it well inside the
+// function time limit
+const SCAN_PAGE_SIZE = 250;
+const MAX_TOPIC_SCAN = 250;
+
+function toInt(x, dflt) {
+  const n = Number(x);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : dflt;
 }
 
-// Build a public Congress.gov URL from bill fields
-function buildPublicUrl(bill) {
-  const congress = bill.congress || "";
-  const type = (bill.type || "").toLowerCase();
-  const number = bill.number || "";
-
-  if (congress && type && number) {
-    const slug = TYPE_MAP[type];
-    if (slug) {
-      const num = String(number).replace(/[^0-9]/g, "");
-      if (num) {
-        return `https://www.congress.gov/bill/${ordinalSuffix(congress)}-congress/${slug}/${num}`;
-      }
-    }
-  }
-
-  // Fallback: parse the API URL
-  try {
-    const u = new URL(bill.url || bill.apiUrl || "");
-    const parts = u.pathname.split("/").filter(Boolean);
-    const i = parts.indexOf("bill");
-    if (i >= 0 && parts.length >= i + 4) {
-      const c = parts[i + 1];
-      const t = parts[i + 2].toLowerCase();
-      const n = parts[i + 3];
-      const slug = TYPE_MAP[t] || (t + "-bill");
-      return `https://www.congress.gov/bill/${ordinalSuffix(c)}-congress/${slug}/${n}`;
-    }
-  } catch {}
-
-  return "https://www.congress.gov/";
+function billListPage(apiKey, limit, offset) {
+  // IMPORTANT: congress is a PATH parameter, not a query parameter
+  // Correct:   /v3/bill/119
+  // Wrong:     /v3/bill?congress=119
+  return congressFetch(`bill/${currentCongress()}`, apiKey, { sort: "updateDate+desc", limit, offset })
+    .then(data => (data?.bills || data?.results || []).map(normalizeBill));
 }
 
-// Determine bill STAGE (what citizens care about) from the latest action text
-function deriveBillStage(actionText) {
-  const t = (actionText || "").toLowerCase();
-
-  if (t.includes("became public law") || t.includes("signed by president") || t.includes("enacted")) {
-    return { display: "Signed Into Law", priority: 10 };
-  }
-  if (t.includes("vetoed")) {
-    return { display: "Vetoed", priority: 9 };
-  }
-  if (t.includes("passed house") || t.includes("passed senate") || t.includes("agreed to in")) {
-    return { display: "Passed Chamber", priority: 8 };
-  }
-  if (t.includes("cloture") || t.includes("floor consideration") || t.includes("placed on calendar")) {
-    return { display: "Floor Vote Pending", priority: 7 };
-  }
-  if (t.includes("reported by") || t.includes("ordered to be reported")) {
-    return { display: "Reported by Committee", priority: 6 };
-  }
-  if (t.includes("hearing") || t.includes("markup")) {
-    return { display: "Committee Hearing", priority: 5 };
-  }
-  if (t.includes("referred to") || t.includes("subcommittee")) {
-    return { display: "In Committee", priority: 4 };
-  }
-  if (t.includes("introduced") || t.includes("read twice") || t.includes("sponsor introductory")) {
-    return { display: "Introduced", priority: 3 };
-  }
-
-  return { display: "In Progress", priority: 3 };
+// Policy area and legislative subjects, for topic classification
+async function billTopicMeta(bill, apiKey) {
+  const path = `bill/${bill.congress}/${String(bill.type).toLowerCase()}/${bill.billNumber}`;
+  const [data, subjects] = await Promise.all([congressFetch(path, apiKey), billSubjects(path, apiKey)]);
+  if (!data?.bill) return null;
+  return { policyArea: data.bill.policyArea?.name || "", subjects };
 }
 
 export async function handler(event) {
@@ -103,63 +63,94 @@ export async function handler(event) {
       };
     }
 
+    const apiKey = process.env.CONGRESS_API_KEY;
     const qs = event.queryStringParameters || {};
-    const limit = qs.limit || "50";
-    const offset = qs.offset || "0";
-
-    // IMPORTANT: congress is a PATH parameter, not a query parameter
-    // Correct:   /v3/bill/119
-    // Wrong:     /v3/bill?congress=119
-    const url = new URL("https://api.congress.gov/v3/bill/119");
-    url.searchParams.set("format", "json");
-    url.searchParams.set("sort", "updateDate+desc");
-    url.searchParams.set("limit", limit);
-    url.searchParams.set("offset", offset);
-    url.searchParams.set("api_key", process.env.CONGRESS_API_KEY);
-
-    const resp = await fetch(url.toString());
-    const data = await resp.json();
-
-    const rawBills = data?.bills || data?.results || [];
-
-    const bills = rawBills.map(b => {
-      const publicUrl = buildPublicUrl(b);
-      const actionText = b.latestAction?.text || "";
-      const actionDate = b.latestAction?.actionDate || b.updateDate || "";
-      const stage = deriveBillStage(actionText);
-
-      // Build readable bill number like "H.R. 1234"
-      const TYPE_DISPLAY = {
-        HR: "H.R.", S: "S.", HJRES: "H.J.Res.", SJRES: "S.J.Res.",
-        HCONRES: "H.Con.Res.", SCONRES: "S.Con.Res.", HRES: "H.Res.", SRES: "S.Res."
-      };
-      const typeUpper = (b.type || "").toUpperCase();
-      const typeLabel = TYPE_DISPLAY[typeUpper] || typeUpper;
-      const displayNumber = b.number ? `${typeLabel} ${b.number}` : "";
+    const limit = Math.min(toInt(qs.limit, 50), 250);
+    const offset = toInt(qs.offset, 0);
+    const topic = String(qs.topic || "").toLowerCase();
 
+    if (topic && topic !== "all" && topic !== "other" && !TOPICS[topic]) {
       return {
-        id: `${b.congress}-${(b.type||"").toLowerCase()}-${b.number}`,
-        number: displayNumber,
-        title: b.title || "",
-        howItAffectsYou: b.title || "",
-        date: actionDate,
-        status: actionText,
-        statusDisplay: stage.display,
-        statusPriority: stage.priority,
-        url: publicUrl,
-        public_url: publicUrl,
-        congress_url: publicUrl,
-        api_url: b.url || "",
-        type: b.type || "",
-        congress: b.congress || 119,
+        statusCode: 400,
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ error: `Unknown topic. Use one of: ${Object.keys(TOPICS).join(", ")}, other` }),
       };
-    });
+    }
 
-    return {
+    let bills;
+    let nextOffset;
+    let scanned = 0;
+
+    if (!topic || topic === "all") {
+      bills = await billListPage(apiKey, limit, offset);
+      await attachTopics(bills, { enrich: b => billTopicMeta(b, apiKey), enrichLimit: TOPIC_ENRICH_LIMIT });
+      scanned = bills.length;
+      nextOffset = bills.length === limit ? offset + limit : null;
+    } else {
+      // Walk the list until `limit` bills match; stored classifications plus
+      // keywords only, so a scan never costs a detail fetch per bill
+      bills = [];
+      nextOffset = offset;
+      while (bills.length < limit && scanned < MAX_TOPIC_SCAN) {
+        const page = await billListPage(apiKey, SCAN_PAGE_SIZE, nextOffset);
+        await attachTopics(page);
+        let used = 0;
+        for (const bill of page) {
+          used++;
+          if (hasTopic(bill, topic)) bills.push(bill);
+          if (bills.length === limit) break;
+        }
+        scanned += used;
+        nextOffset += used;
+        if (page.length < SCAN_PAGE_SIZE && used === page.length) {
+          nextOffset = null; // end of the list
+          break;
+        }
+      }
+    }
+
+    // Floor schedule feeds the BillCard countdown
+    try {
+      const scheduled = await scheduledVotesById();
+      for (const bill of bills) {
+        const item = scheduled[bill.id];
+        if (item) Object.assign(bill, { voteDate: item.voteDate, voteWindowEnd: item.voteWindowEnd });
+      }
+    } catch (e) {
+      console.log("Floor schedule lookup failed:", e.message);
+    }
+
+    // Rights impact: stored full-text analysis, else title rules (lib/rights.js)
+    try {
+      await attachRightsImpact(bills);
+    } catch (e) {
+      console.log("Rights impact lookup failed:", e.message);
+    }
+
+    // Stored AI summaries replace the title copy in howItAffectsYou
+    try {
+      await attachHowItAffectsYou(bills);
+    } catch (e) {
+      console.log("Summary lookup failed:", e.message);
+    }
+
+    // Record history for the "What's new" feed; never fail the request over it
+    try {
+      await recordSnapshots(bills);
+    } catch (e) {
+      console.log("Snapshot recording failed:", e.message);
+    }
+
+    return withHttpCache(event, {
       statusCode: 200,
       headers: { "content-type": "application/json" },
-      body: JSON.stringify({ bills, source: "congress.gov" }),
-    };
+      body: JSON.stringify({
+        bills,
+        pagination: { limit, offset, returned: bills.length, scanned, next_offset: nextOffset },
+        topic: topic || "all",
+        source: "congress.gov",
+      }),
+    });
   } catch (err) {
     return {
       statusCode: 500,
@@ -0,0 +1,86 @@
+// netlify/functions/lib/bill-refs.js
+//
+// One id scheme for everything a user can watch, matching the `id`s the UI
+// already stores in its watchlist:
+//
+//   "119-hr-187"               federal bill  (get-bills.js)
+//   "1893421"                  state bill    (state-bills.js, LegiScan bill_id)
+//   "legistar-phoenix-12345"   city matter   (city-council.js watchId)
+//
+// fetchBillStatus() resolves any of them to its current latest action using
+// the same upstream fetchers the list/detail endpoints use.
+
+import { congressFetch, displayBillNumber, billPublicUrl } from "./congress.js";
+import { callLegiScan } from "./legiscan.js";
+import { legistarFetch, matterUrl } from "./legistar.js";
+
+export function parseBillRef(id) {
+  const s = String(id || "").trim();
+  let m = s.match(/^(\d+)-([a-z]+)-(\d+)$/i);
+  if (m) return { id: s, source: "congress.gov", congress: m[1], type: m[2].toLowerCase(), number: m[3] };
+  m = s.match(/^legistar-([a-z0-9-]+)-(\d+)$/i);
+  if (m) return { id: s, source: "legistar", client: m[1].toLowerCase(), matterId: m[2] };
+  if (/^\d+$/.test(s)) return { id: s, source: "legiscan", billId: s };
+  return null;
+}
+
+// -> { id, source, number, title, status, date, url }
+export async function fetchBillStatus(ref) {
+  if (ref.source === "congress.gov") {
+    const apiKey = process.env.CONGRESS_API_KEY;
+    if (!apiKey) throw new Error("Missing CONGRESS_API_KEY");
+    const data = await congressFetch(`bill/${ref.congress}/${ref.type}/${ref.number}`, apiKey);
+    const bill = data?.bill;
+    if (!bill) throw new Error(`Congress.gov has no bill ${ref.id}`);
+    return {
+      id: ref.id,
+      source: ref.source,
+      number: displayBillNumber(ref.type, ref.number),
+      title: bill.title || "",
+      status: bill.latestAction?.text || "",
+      date: bill.latestAction?.actionDate || bill.updateDate || "",
+      url: billPublicUrl(ref.congress, ref.type, ref.number),
+    };
+  }
+
+  if (ref.source === "legiscan") {
+    const apiKey = process.env.LEGISCAN_API_KEY;
+    if (!apiKey) throw new Error("Missing LEGISCAN_API_KEY");
+    const data = await callLegiScan("getBill", { id: ref.billId }, apiKey);
+    const bill = data.bill || {};
+    const history = Array.isArray(bill.history) ? bill.history : [];
+    const last = history.length > 0 ? history[history.length - 1] : {};
+    return {
+      id: ref.id,
+      source: ref.source,
+      number: [bill.state, bill.bill_number].filter(Boolean).join(" "),
+      title: bill.title || "",
+      status: last.action || "",
+      date: last.date || bill.status_date || "",
+      url: bill.state_link || bill.url || "",
+    };
+  }
+
+  if (ref.source === "legistar") {
+    const [matter, histories] = await Promise.all([
+      legistarFetch(ref.client, `Matters/${ref.matterId}`),
+      legistarFetch(ref.client, `Matters/${ref.matterId}/Histories`).catch(() => []),
+    ]);
+    const sorted = (histories || [])
+      .slice()
+      .sort((a, b) => new Date(a.MatterHistoryActionDate || 0) - new Date(b.MatterHistoryActionDate || 0));
+    const last = sorted[sorted.length - 1] || {};
+    const lastAction = [last.MatterHistoryActionName, last.MatterHistoryActionBodyName].filter(Boolean).join(" — ");
+    return {
+      id: ref.id,
+      source: ref.source,
+      number: matter.MatterFile || String(matter.MatterId),
+      title: matter.MatterTitle || matter.MatterName || "",
+      status: lastAction || matter.MatterStatusName || "",
+      date: last.MatterHistoryActionDate || matter.MatterLastModifiedUtc || "",
+      url: matterUrl(ref.client, matter),
+    };
+  }
+
+  throw new Error(`Unsupported bill source "${ref.source}"`);
+}
@@ -0,0 +1,299 @@
+// netlify/functions/lib/bill-text.js
+//
+// Bill text for the in-app reader (bill-text.js): sanitizing the HTML that
+// Congress.gov and state legislatures publish, splitting it into sections,
+// and a section-by-section word diff between two versions.
+//
+// Sanitizing is an allow-list: known formatting tags survive without their
+// attributes, everything else is dropped (scripts and styles with their
+// content). Inline "line-through"/"underline" spans are kept as <s>/<u>,
+// since several legislatures mark struck and added statute text that way.
+//
+// diffSections() -> { sections: [section], stats }
+//   section = { key, heading, status: "added" | "removed" | "changed" | "unchanged",
+//               html?, omitted?, wordsAdded, wordsRemoved }
+//   `html` (changed/added/removed only) is escaped text with <ins>/<del>
+//   marks and "\n" line breaks. It is left out, with `omitted: true`, for
+//   added/removed sections over MAX_WHOLE_SECTION_WORDS and for every section
+//   once the diff reaches MAX_DIFF_HTML_CHARS, so an omnibus diff stays inside
+//   the function response limit.
+
+import { decodeEntities } from "./xml.js";
+
+// Edit-distance cap for one section; past it the section shows as replaced
+const MAX_EDITS = 1500;
+// Whole sections added or removed past this many words come back as stats only
+const MAX_WHOLE_SECTION_WORDS = 2000;
+// Total diff html; later sections come back as stats only
+const MAX_DIFF_HTML_CHARS = 1500000;
+
+const ALLOWED_TAGS = new Set([
+  "p", "br", "h1", "h2", "h3", "h4", "h5", "h6", "ul", "ol", "li", "dl", "dt", "dd",
+  "table", "thead", "tbody", "tr", "td", "th", "pre", "blockquote", "section", "div", "span",
+  "b", "strong", "i", "em", "u", "s", "strike", "del", "ins", "sub", "sup", "center",
+]);
+
+const BLOCK_TAGS = /^(p|br|h[1-6]|li|dt|dd|tr|pre|blockquote|section|div|center|table)$/;
+
+// Section starts: "SEC. 2.", "SECTION 1.", "Sec. 3.", "Section 101." — the
+// period after the number keeps "Section 5 is repealed." in the body
+const SECTION_HEADING = /^\s*(?:SEC(?:TION)?|Sec(?:tion)?)\.?\s+(\d+[A-Za-z]?(?:[.-]\d+)*)\.(?:\s|$)/;
+
+export function escapeHtml(s) {
+  return String(s || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function withoutNoise(html) {
+  return String(html || "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<!DOCTYPE[^>]*>/gi, "")
+    .replace(/<(script|style|head|title|noscript|iframe|object)\b[\s\S]*?<\/\1\s*>/gi, "");
+}
+
+// Allow-listed tags, no attributes; all text re-escaped
+export function sanitizeHtml(html) {
+  const open = [];
+  let out = "";
+  for (const token of withoutNoise(html).match(/<[^>]*>|[^<]+|</g) || []) {
+    if (!token.startsWith("<") || token === "<") {
+      out += escapeHtml(decodeEntities(token));
+      continue;
+    }
+    const m = token.match(/^<\s*(\/)?\s*([a-z0-9]+)([^>]*)>$/i);
+    if (!m) continue;
+    const closing = !!m[1];
+    let tag = m[2].toLowerCase();
+    if (!ALLOWED_TAGS.has(tag)) continue;
+    if (tag === "br") {
+      out += "<br>";
+      continue;
+    }
+    if (tag === "span") {
+      // Spans only matter for struck/added text
+      if (closing) {
+        tag = open.pop() || "";
+        if (tag) out += `</${tag}>`;
+        continue;
+      }
+      const style = m[3].toLowerCase();
+      tag = /line-through/.test(style) ? "s" : /underline/.test(style) ? "u" : "";
+      open.push(tag);
+      if (tag) out += `<${tag}>`;
+      continue;
+    }
+    out += closing ? `</${tag}>` : `<${tag}>`;
+  }
+  return out;
+}
+
+// HTML -> plain text, one line per paragraph. Block elements and blank lines
+// end a paragraph; single line breaks (the wrapped lines of Congress.gov's
+// <pre> text) don't, so re-wrapping between versions isn't a change.
+export function htmlToText(html) {
+  const withBreaks = withoutNoise(html).replace(/<\s*(\/)?\s*([a-z0-9]+)[^>]*>/gi, (tag, _, name) =>
+    BLOCK_TAGS.test(name.toLowerCase()) ? "\n\n" : " "
+  );
+  return decodeEntities(withBreaks)
+    .split(/\n[^\S\n]*\n/)
+    .map(p => p.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Plain text -> [{ key, heading, text }]; text before the first section is "preamble"
+export function textSections(text) {
+  const sections = [];
+  const seen = {};
+  let current = { key: "preamble", heading: "Preamble", lines: [] };
+  for (const line of String(text || "").split("\n")) {
+    const m = line.match(SECTION_HEADING);
+    if (m) {
+      if (current.lines.length > 0) sections.push(current);
+      const base = `sec-${m[1].toLowerCase()}`;
+      seen[base] = (seen[base] || 0) + 1;
+      current = { key: seen[base] > 1 ? `${base}-${seen[base]}` : base, heading: line.trim().slice(0, 120), lines: [] };
+    }
+    current.lines.push(line);
+  }
+  if (current.lines.length > 0) sections.push(current);
+  return sections.map(s => ({ key: s.key, heading: s.heading, text: s.lines.join("\n") }));
+}
+
+function tokens(text) {
+  return String(text || "").match(/\n|[^\s]+/g) || [];
+}
+
+// Myers O(ND) diff of a and b -> [{ op, token }] in order, or null past maxEdits
+function myers(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(a, b, trace, offset);
+    }
+  }
+  return null;
+}
+
+function backtrack(a, b, trace, offset) {
+  const out = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      out.push({ op: "eq", token: a[x] });
+    }
+    if (d > 0) out.push(x === prevX ? { op: "ins", token: b[--y] } : { op: "del", token: a[--x] });
+    x = prevX;
+    y = prevY;
+  }
+  return out.reverse();
+}
+
+// Token arrays -> [{ op: "eq" | "ins" | "del", tokens }]
+function diffTokens(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  const push = (op, list) => {
+    if (list.length === 0) return;
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.tokens.push(...list);
+    else ops.push({ op, tokens: [...list] });
+  };
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  push("eq", a.slice(0, start));
+  const edits = middleA.length && middleB.length ? myers(middleA, middleB, MAX_EDITS) : null;
+  if (edits) {
+    for (const e of edits) push(e.op, [e.token]);
+  } else {
+    push("del", middleA);
+    push("ins", middleB);
+  }
+  push("eq", a.slice(endA));
+  return ops;
+}
+
+function renderOps(ops) {
+  let html = "";
+  let lineStart = true;
+  for (const { op, tokens: list } of ops) {
+    let chunk = "";
+    for (const t of list) {
+      if (t === "\n") {
+        chunk += "\n";
+        lineStart = true;
+      } else {
+        chunk += (lineStart ? "" : " ") + escapeHtml(t);
+        lineStart = false;
+      }
+    }
+    html += op === "eq" ? chunk : `<${op}>${chunk}</${op}>`;
+  }
+  return html;
+}
+
+function countWords(list) {
+  return list.filter(t => t !== "\n").length;
+}
+
+// A whole section added or removed; too long to show, it is counted only
+function wholeSection(s, status, op) {
+  const list = tokens(s.text);
+  const words = countWords(list);
+  const shown = words <= MAX_WHOLE_SECTION_WORDS
+    ? { html: renderOps([{ op, tokens: list }]) }
+    : { omitted: true };
+  return {
+    key: s.key, heading: s.heading, status, ...shown,
+    wordsAdded: op === "ins" ? words : 0, wordsRemoved: op === "del" ? words : 0,
+  };
+}
+
+function compareSection(from, to) {
+  if (!from) return wholeSection(to, "added", "ins");
+  if (!to) return wholeSection(from, "removed", "del");
+  const ops = diffTokens(tokens(from.text), tokens(to.text));
+  const wordsAdded = ops.filter(o => o.op === "ins").reduce((n, o) => n + countWords(o.tokens), 0);
+  const wordsRemoved = ops.filter(o => o.op === "del").reduce((n, o) => n + countWords(o.tokens), 0);
+  if (wordsAdded === 0 && wordsRemoved === 0) {
+    return { key: to.key, heading: to.heading, status: "unchanged", wordsAdded: 0, wordsRemoved: 0 };
+  }
+  return { key: to.key, heading: to.heading, status: "changed", html: renderOps(ops), wordsAdded, wordsRemoved };
+}
+
+// Two versions' plain text -> sections in the newer version's order, with
+// dropped sections placed after the section that preceded them
+export function diffSections(fromText, toText) {
+  const from = textSections(fromText);
+  const to = textSections(toText);
+  const fromByKey = new Map(from.map(s => [s.key, s]));
+  const toKeys = new Set(to.map(s => s.key));
+
+  // Removed sections, keyed by the nearest earlier section that survives
+  const removedAfter = new Map();
+  let anchor = null;
+  for (const s of from) {
+    if (toKeys.has(s.key)) {
+      anchor = s.key;
+    } else {
+      if (!removedAfter.has(anchor)) removedAfter.set(anchor, []);
+      removedAfter.get(anchor).push(s);
+    }
+  }
+
+  const sections = (removedAfter.get(null) || []).map(s => compareSection(s, null));
+  for (const s of to) {
+    sections.push(compareSection(fromByKey.get(s.key), s));
+    for (const r of removedAfter.get(s.key) || []) sections.push(compareSection(r, null));
+  }
+
+  let htmlChars = 0;
+  for (const s of sections) {
+    if (!s.html) continue;
+    htmlChars += s.html.length;
+    if (htmlChars > MAX_DIFF_HTML_CHARS) {
+      delete s.html;
+      s.omitted = true;
+    }
+  }
+
+  const stats = {
+    sections: sections.length,
+    changed: sections.filter(s => s.status === "changed").length,
+    added: sections.filter(s => s.status === "added").length,
+    removed: sections.filter(s => s.status === "removed").length,
+    wordsAdded: sections.reduce((n, s) => n + s.wordsAdded, 0),
+    wordsRemoved: sections.reduce((n, s) => n + s.wordsRemoved, 0),
+  };
+  return { sections, stats };
+}
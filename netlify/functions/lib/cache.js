@@ -0,0 +1,105 @@
+// netlify/functions/lib/cache.js
+//
+// Shared cache for upstream API responses (Congress.gov, LegiScan, Legistar),
+// plus HTTP caching headers for our own responses.
+//
+// Two tiers: a per-instance Map in front of the "api-cache" store (lib/store.js,
+// so Netlify Blobs in production and memory/file locally). Each entry is fresh
+// for `ttl` seconds, then served stale for up to `stale` more seconds while a
+// single background refresh runs. Errors are never cached.
+//
+// Env: API_CACHE=off bypasses the cache entirely (debugging).
+
+import { createHash } from "node:crypto";
+import { getStore } from "./store.js";
+
+const MEMORY_LIMIT = 500;
+
+const memory = new Map();   // key -> entry
+const inFlight = new Map(); // key -> Promise<value>
+
+let store = null;
+function cacheStore() {
+  if (!store) store = getStore("api-cache");
+  return store;
+}
+
+export function cacheKey(namespace, parts) {
+  return `${namespace}/${createHash("sha1").update(JSON.stringify(parts)).digest("hex")}`;
+}
+
+function remember(key, entry) {
+  memory.delete(key);
+  memory.set(key, entry);
+  if (memory.size > MEMORY_LIMIT) memory.delete(memory.keys().next().value); // oldest first
+}
+
+async function refresh(key, ttl, stale, fetcher) {
+  if (inFlight.has(key)) return inFlight.get(key);
+  const p = (async () => {
+    const value = await fetcher();
+    // null/undefined means "nothing usable" (e.g. congressFetch on a 404) — don't pin it
+    if (value !== null && value !== undefined) {
+      const now = Date.now();
+      const entry = { value, storedAt: now, freshUntil: now + ttl * 1000, staleUntil: now + (ttl + stale) * 1000 };
+      remember(key, entry);
+      try {
+        await cacheStore().set(key, entry);
+      } catch (e) {
+        console.log("Cache write failed:", e.message);
+      }
+    }
+    return value;
+  })().finally(() => inFlight.delete(key));
+  inFlight.set(key, p);
+  return p;
+}
+
+// Returns fetcher()'s value, cached for `ttl` seconds and served stale for `stale` more
+export async function cached(key, { ttl, stale = 0 }, fetcher) {
+  if (process.env.API_CACHE === "off" || !ttl) return fetcher();
+
+  let entry = memory.get(key);
+  if (!entry) {
+    try {
+      entry = await cacheStore().get(key);
+      if (entry) remember(key, entry);
+    } catch (e) {
+      console.log("Cache read failed:", e.message);
+    }
+  }
+
+  const now = Date.now();
+  if (entry && now < entry.freshUntil) return entry.value;
+  if (entry && now < entry.staleUntil) {
+    refresh(key, ttl, stale, fetcher).catch(e => console.log("Background refresh failed:", e.message));
+    return entry.value;
+  }
+  return refresh(key, ttl, stale, fetcher);
+}
+
+// First matching rule wins: [{ match: RegExp, ttl, stale }]
+export function ttlFor(rules, subject) {
+  return rules.find(r => r.match.test(subject)) || { ttl: 0 };
+}
+
+// --- HTTP response caching --------------------------------------------------
+
+// Adds ETag + Cache-Control to a successful JSON response and answers
+// If-None-Match with a 304. `maxAge` is for browsers, `sMaxAge` for the CDN.
+export function withHttpCache(event, response, { maxAge = 60, sMaxAge = 300, staleWhileRevalidate = 600 } = {}) {
+  if (!response || response.statusCode !== 200 || (event?.httpMethod && event.httpMethod !== "GET")) return response;
+
+  const etag = `W/"${createHash("sha1").update(response.body || "").digest("base64url").slice(0, 27)}"`;
+  const headers = {
+    ...response.headers,
+    "cache-control": `public, max-age=${maxAge}, s-maxage=${sMaxAge}, stale-while-revalidate=${staleWhileRevalidate}`,
+    etag,
+  };
+
+  const ifNoneMatch = event?.headers?.["if-none-match"] || event?.headers?.["If-None-Match"];
+  if (ifNoneMatch && ifNoneMatch.split(/\s*,\s*/).includes(etag)) {
+    return { statusCode: 304, headers, body: "" };
+  }
+  return { ...response, headers };
+}
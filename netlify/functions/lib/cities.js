@@ -0,0 +1,454 @@
+// =====================================================
+// SHARED: lib/cities.js
+//
+// The city registry: which cities we serve council data
+// for, and from which portal (Legistar unless `system`
+// says otherwise). Used by city-council.js and find-reps.js.
+// =====================================================
+
+// =====================================================
+// CITY REGISTRY — BY STATE
+//
+// Every city and county we know a meeting portal for,
+// keyed by state code, then "Name, ST". The UI gets
+// this list from city-council.js ?type=cities; nothing
+// about cities lives in index.html.
+//
+// kind: 'city' (default) or 'county' — counties are
+// boards of supervisors / commissioners / councils.
+//
+// SYSTEMS:
+//   legistar (default)  client = [client].legistar.com
+//   civicclerk          tenant = [tenant].portal.civicclerk.com
+//   civicplus / onbase  base   = site root / AgendaOnline
+//   anything else       link only: `portal` is opened as-is
+// The first three are read through lib/legistar.js and
+// lib/city-adapters.js.
+//
+// STATUS KEY:
+//   verified: true  = We confirmed this city has active
+//                     data we can read
+//   verified: false = Link only, or the portal is empty
+//                     (like Glendale)
+// `verified` is the starting point. city-verify-sweep.js
+// re-checks every entry in turn and promotes or demotes it
+// (lib/city-status.js); the stored result wins.
+//
+// HOW TO ADD A CITY:
+//   1. Find the city's agenda portal and its system
+//      (e.g., phoenix.legistar.com → client = "phoenix").
+//      For Legistar, ?type=discover&state=CO&places=Denver
+//      probes the usual client slugs for you
+//   2. Run the verify endpoint:
+//      ?type=verify&client=glendale-az (Legistar) or
+//      ?type=verify&city=Tempe, AZ (entry on another system)
+//   3. Add it under its state with verified: false —
+//      the sweep promotes it once its portal passes
+//
+// OPTIONAL: participation — how residents comment on
+// agenda items, merged over DEFAULT_PARTICIPATION:
+//   { email, onlineForm, speakerCardMinutesBefore,
+//     writtenHoursBefore, inPerson, notes, source }
+// Only add values published by the city clerk, with the
+// page they came from as `source`. Deadlines are only
+// shown for cities that publish one; everywhere else
+// residents are sent to the posted agenda.
+// =====================================================
+
+const CITY_REGISTRY = {
+    AZ: {
+        // ---- VERIFIED & ACTIVE ----
+        'Phoenix, AZ': { 
+            client: 'phoenix', 
+            population: 1680992, 
+            verified: true,
+            verifiedDate: '2026-02-23',
+            notes: 'Full data: members, legislation, meetings, votes'
+        },
+        'Mesa, AZ': { 
+            client: 'mesa', 
+            population: 504258, 
+            verified: true,
+            verifiedDate: '2026-02-23',
+            notes: 'Active portal with agendas and legislation'
+        },
+        'Apache Junction, AZ': { 
+            client: 'apachejunction', 
+            population: 44632, 
+            verified: true,
+            verifiedDate: '2026-02-23',
+            notes: 'Active meeting records from 2016 to present'
+        },
+        'Goodyear, AZ': {
+            client: 'goodyear',
+            population: 101399,
+            verified: true,
+            verifiedDate: '2026-02-27',
+            notes: 'Legistar portal active'
+        },
+        'Lake Havasu City, AZ': {
+            client: 'lakehavasucity',
+            population: 57761,
+            verified: true,
+            verifiedDate: '2026-02-27',
+            notes: 'Legistar portal active'
+        },
+        'Maricopa, AZ': {
+            client: 'maricopa',
+            population: 58722,
+            verified: true,
+            verifiedDate: '2026-02-27',
+            notes: 'Legistar portal active'
+        },
+        'Yuma, AZ': {
+            client: 'yuma-az',
+            population: 100000,
+            verified: true,
+            verifiedDate: '2026-02-27',
+            notes: 'Legistar portal active'
+        },
+    
+        // ---- OTHER PORTALS (lib/city-adapters.js) ----
+        'Surprise, AZ': {
+            system: 'civicclerk',
+            tenant: 'surpriseaz',
+            population: 143148,
+            verified: false,
+            verifiedDate: null,
+            notes: 'CivicClerk portal: meetings and agenda items, no roster'
+        },
+        'Avondale, AZ': {
+            system: 'civicclerk',
+            tenant: 'avondaleaz',
+            population: 89334,
+            verified: false,
+            verifiedDate: null,
+            notes: 'CivicClerk portal: meetings and agenda items, no roster'
+        },
+        'Prescott, AZ': {
+            system: 'civicclerk',
+            tenant: 'prescottaz',
+            population: 45827,
+            verified: false,
+            verifiedDate: null,
+            notes: 'CivicClerk portal: meetings and agenda items, no roster'
+        },
+        'Tolleson, AZ': {
+            system: 'civicclerk',
+            tenant: 'tollesonaz',
+            population: 7216,
+            verified: false,
+            verifiedDate: null,
+            notes: 'CivicClerk portal: meetings and agenda items, no roster'
+        },
+        'Tempe, AZ': {
+            system: 'onbase',
+            base: 'https://tempe.hylandcloud.com/AgendaOnline',
+            population: 180587,
+            verified: false,
+            verifiedDate: null,
+            notes: 'OnBase AgendaOnline: meetings and agenda items, no roster'
+        },
+        'San Luis, AZ': {
+            system: 'civicplus',
+            base: 'https://www.sanluisaz.gov',
+            population: 35257,
+            verified: false,
+            verifiedDate: null,
+            notes: 'CivicPlus AgendaCenter: meetings; items only for HTML agendas'
+        },
+        'Douglas, AZ': {
+            system: 'civicplus',
+            base: 'https://www.douglasaz.gov',
+            population: 16534,
+            verified: false,
+            verifiedDate: null,
+            notes: 'CivicPlus AgendaCenter: meetings; items only for HTML agendas'
+        },
+        'Safford, AZ': {
+            system: 'civicplus',
+            base: 'https://www.cityofsafford.us',
+            population: 10129,
+            verified: false,
+            verifiedDate: null,
+            notes: 'CivicPlus AgendaCenter: meetings; items only for HTML agendas'
+        },
+    
+        // ---- KNOWN BUT NOT ACTIVE ----
+        'Glendale, AZ': {
+            client: 'glendale-az',
+            population: 248325,
+            verified: false,
+            verifiedDate: '2026-02-23',
+            notes: 'Legistar installed but Members(0), Legislation(0), Calendar(0)'
+        },
+    
+        // ---- LINK ONLY (no readable feed) ----
+        'Tucson, AZ': {
+            system: 'citysite',
+            portal: 'https://www.tucsonaz.gov/Government/Mayor-Council-and-City-Manager/Meeting-Schedules-Agendas',
+            population: 542629,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Custom city site, no API'
+        },
+        'Scottsdale, AZ': {
+            system: 'granicus',
+            portal: 'https://ww2.scottsdaleaz.gov/council/meeting-information/agendas-minutes',
+            population: 241361,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Granicus video + custom agenda pages'
+        },
+        'Peoria, AZ': {
+            system: 'citysite',
+            portal: 'https://www.peoriaaz.gov/residents/public-meetings/city-council-meetings',
+            population: 190985,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Custom city site, no API'
+        },
+        'Flagstaff, AZ': {
+            system: 'destinyhosted',
+            portal: 'https://www.flagstaff.az.gov/991/Agendas-Minutes',
+            population: 76831,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Destiny Agenda Manager, no API'
+        },
+        'Kingman, AZ': {
+            system: 'citysite',
+            portal: 'https://www.cityofkingman.gov/government/agendas-minutes',
+            population: 32689,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Custom city site, no API'
+        },
+        'Eloy, AZ': {
+            system: 'granicus',
+            portal: 'https://eloyaz.gov/574/Agendas-Minutes-Public-Notices',
+            population: 15635,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Granicus agenda pages, no API'
+        },
+        'Coolidge, AZ': {
+            system: 'citysite',
+            portal: 'https://www.coolidgeaz.com/index.asp?SEC=D192363A-7D8F-4DB2-ABE7-68D2F6DE3894',
+            population: 13218,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Custom city site, no API'
+        },
+        'Camp Verde, AZ': {
+            system: 'citysite',
+            portal: 'https://www.campverde.az.gov/government/town_council/agendas_minutes.php',
+            population: 12147,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Custom town site, no API'
+        },
+        'Cottonwood, AZ': {
+            system: 'citysite',
+            portal: 'https://cottonwoodaz.gov/129/Agendas-Minutes',
+            population: 12029,
+            verified: false,
+            verifiedDate: null,
+            notes: 'City site agenda page, no API'
+        },
+        'Show Low, AZ': {
+            system: 'citysite',
+            portal: 'https://www.showlowaz.gov/o/cosl/page/open-meeting-law-information',
+            population: 11732,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Custom city site, no API'
+        },
+        'Sedona, AZ': {
+            system: 'citysite',
+            portal: 'https://www.sedonaaz.gov/your-government/meetings-documents',
+            population: 9684,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Custom city site, no API'
+        },
+        'Winslow, AZ': {
+            system: 'citysite',
+            portal: 'https://www.winslowaz.gov/page/boards-agendas-minutes',
+            population: 9005,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Custom city site, no API'
+        },
+        'Benson, AZ': {
+            system: 'citysite',
+            portal: 'https://www.bensonaz.gov/government/city_council/agendas_minutes___public_notices.php',
+            population: 5355,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Custom city site, no API'
+        },
+        'Bisbee, AZ': {
+            system: 'citysite',
+            portal: 'https://www.bisbeeaz.gov/66/Agendas-Minutes',
+            population: 4923,
+            verified: false,
+            verifiedDate: null,
+            notes: 'City site agenda page, no API'
+        },
+        'Willcox, AZ': {
+            system: 'citysite',
+            portal: 'https://willcox.az.gov/city-council-agendas-minutes-archive',
+            population: 3213,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Custom city site, no API'
+        },
+        'Williams, AZ': {
+            system: 'citysite',
+            portal: 'https://www.williamsaz.gov/government/meetings/city_council',
+            population: 3202,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Custom city site, no API'
+        },
+        'Tombstone, AZ': {
+            system: 'citysite',
+            portal: 'https://cityoftombstoneaz.gov/agendas-minutes/',
+            population: 1308,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Custom city site, no API'
+        }
+    
+        // Chandler, Gilbert — no agenda portal found yet
+    },
+
+    WA: {
+        'Seattle, WA': {
+            client: 'seattle',
+            population: 737015,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Legistar portal; pending first sweep',
+            participation: {
+                email: 'council@seattle.gov',
+                onlineForm: 'https://www.seattle.gov/council/committees/public-comment',
+                source: 'https://www.seattle.gov/council/committees/public-comment'
+            }
+        },
+        'King County, WA': {
+            client: 'kingcounty',
+            kind: 'county',
+            population: 2269675,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Metropolitan King County Council on Legistar; pending first sweep'
+        }
+    },
+    
+    IL: {
+        'Chicago, IL': {
+            client: 'chicago',
+            population: 2746388,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Legistar portal; pending first sweep'
+        },
+        'Cook County, IL': {
+            client: 'cook-county',
+            kind: 'county',
+            population: 5275541,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Board of Commissioners on Legistar; pending first sweep'
+        }
+    },
+    
+    CA: {
+        'San Francisco, CA': {
+            client: 'sfgov',
+            population: 873965,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Board of Supervisors on Legistar; pending first sweep',
+            participation: {
+                email: 'bos@sfgov.org',
+                notes: 'Written comments to the Clerk of the Board are added to the file for the item. Check the posted agenda for public comment times.',
+                source: 'https://sfbos.org/'
+            }
+        },
+        'Oakland, CA': {
+            client: 'oakland',
+            population: 440646,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Legistar portal; pending first sweep'
+        }
+    },
+    
+    MA: {
+        'Boston, MA': {
+            client: 'boston',
+            population: 675647,
+            verified: false,
+            verifiedDate: null,
+            notes: 'Legistar portal; pending first sweep'
+        }
+    }
+};
+
+// Flat "Name, ST" -> entry view for lookups, with `state` and `kind` filled in
+const CITY_DATABASE = Object.fromEntries(
+    Object.entries(CITY_REGISTRY).flatMap(([state, places]) =>
+        Object.entries(places).map(([name, info]) => [name, { state, kind: 'city', ...info }]))
+);
+
+// Used where a city has no clerk-published participation details. No
+// deadlines: they differ by city and meeting, so the agenda is the source.
+const DEFAULT_PARTICIPATION = {
+    email: null,
+    onlineForm: null,
+    speakerCardMinutesBefore: null,
+    writtenHoursBefore: null,
+    inPerson: 'Most councils take in-person comment on a speaker card handed to the Clerk before the item is called.',
+    notes: 'Check the posted agenda for comment deadlines, time limits and where to send written comments.',
+    source: null
+};
+
+function participationFor(cityName) {
+    const info = CITY_DATABASE[cityName] || {};
+    return { ...DEFAULT_PARTICIPATION, ...(info.participation || {}) };
+}
+
+const PROCEDURAL_ITEM = /^(\d+[.)]?\s*)?(call to order|roll call|pledge|invocation|moment of silence|adjourn|recess|approval of (the )?minutes|minutes of|executive session|consent agenda$|reports? of|announcements?)/i;
+const GENERAL_COMMENT = /call to (the )?public|public comments?\b|citizen comments?|oral communications/i;
+const PUBLIC_HEARING = /public hearing/i;
+
+// Whether residents can speak or write on an agenda item, and in what form.
+// No portal flags this, so it is read from the item itself:
+//   public-hearing  hearings the council must open to comment
+//   general         "Call to the Public" — any topic, usually not agendized
+//   action-item     a matter the council acts on; comment when it's called
+// `hasMatter` is true for business items (Legistar: the item has a matter;
+// other portals: it isn't a section heading). Only Legistar has matter types.
+function commentEligibility({ title, hasMatter, matterType, actionName }) {
+    const t = String(title || '').trim();
+    const text = `${t} ${matterType || ''} ${actionName || ''}`;
+    if (PUBLIC_HEARING.test(text)) return { open: true, kind: 'public-hearing' };
+    if ((!hasMatter || !matterType) && GENERAL_COMMENT.test(t)) return { open: true, kind: 'general' };
+    if (!hasMatter || PROCEDURAL_ITEM.test(t)) return { open: false, kind: null };
+    return { open: true, kind: 'action-item' };
+}
+
+// "Phoenix" + "AZ" -> "Phoenix, AZ" if that city is verified, else null.
+// `statuses` (lib/city-status.js cityStatuses) overrides the registry flag.
+function findCity(name, state, statuses = {}) {
+    const key = `${String(name || '').trim()}, ${String(state || '').trim().toUpperCase()}`;
+    const info = Object.entries(CITY_DATABASE).find(([k]) => k.toLowerCase() === key.toLowerCase());
+    if (!info) return null;
+    const verified = statuses[info[0]] ? statuses[info[0]].verified : info[1].verified;
+    return verified ? info[0] : null;
+}
+
+export { CITY_REGISTRY, CITY_DATABASE, findCity, participationFor, commentEligibility };
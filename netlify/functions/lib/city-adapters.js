@@ -0,0 +1,458 @@
+// =====================================================
+// SHARED: lib/city-adapters.js
+//
+// City data for portals that aren't Legistar. Each
+// adapter reads one vendor and returns the same shapes
+// the Legistar branch of city-council.js does, so
+// CityCouncilView doesn't care who hosts the agendas.
+//
+// ADAPTER INTERFACE (all async except portal):
+//   portal(info)          -> portal home URL
+//   members(info)         -> { members: [member], note }
+//   meetings(info)        -> [meeting]
+//   agenda(info, eventId) -> { meeting, items: [item], note }
+// `info` is the city's CITY_DATABASE entry (lib/cities.js).
+// member/meeting/item use the Legistar branch's field
+// names; fields a vendor doesn't publish are null.
+// meeting.start is local "YYYY-MM-DDTHH:MM".
+//
+// VENDORS:
+//   civicclerk  public JSON API at {tenant}.api.civicclerk.com
+//               (needs info.tenant, e.g. 'avondaleaz')
+//   civicplus   AgendaCenter RSS feed + HTML agendas
+//               (needs info.base, the city website root)
+//   onbase      Hyland AgendaOnline meeting pages
+//               (needs info.base, .../AgendaOnline)
+// None of them publish a council roster or roll-call
+// votes, so members come back empty with a note.
+// =====================================================
+
+import { cached, cacheKey } from './cache.js';
+import { elements, text, stripTags, decodeEntities } from './xml.js';
+import { commentEligibility } from './cities.js';
+
+// Agendas are posted days ahead and amended rarely
+const PORTAL_TTL = { ttl: 900, stale: 3600 * 6 };
+
+const NO_ROSTER = 'This city\'s agenda portal doesn\'t publish a council roster. See the city website for members and contact details.';
+
+// { fresh: true } skips the cache — verification must see the portal as it is now
+async function portalFetch(url, as = 'json', { fresh = false } = {}) {
+    const load = async () => {
+        console.log(`Fetching: ${url}`);
+
+        const response = await fetch(url, {
+            headers: { 'Accept': as === 'json' ? 'application/json' : 'text/html, application/xml;q=0.9, */*;q=0.8' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Portal error: ${response.status} for ${url}`);
+        }
+
+        if (as === 'json') return response.json();
+
+        // PDFs aren't parsed — keep the type so callers can say so
+        const contentType = response.headers.get('content-type') || '';
+        return { contentType, body: /pdf/i.test(contentType) ? '' : await response.text() };
+    };
+    return fresh ? load() : cached(cacheKey('city-portal', url), PORTAL_TTL, load);
+}
+
+// "18:00" -> "6:00 PM" (Legistar's EventTime format)
+function timeLabel(hhmm) {
+    const m = String(hhmm || '').match(/^(\d{2}):(\d{2})/);
+    if (!m || m[0] === '00:00') return null;
+    const hours = Number(m[1]);
+    return `${hours % 12 || 12}:${m[2]} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+// "6:00 PM" -> "18:00"
+function time24(label) {
+    const m = String(label || '').match(/(\d{1,2}):(\d{2})\s*([AP])\.?M/i);
+    if (!m) return '00:00';
+    let hours = Number(m[1]) % 12;
+    if (m[3].toUpperCase() === 'P') hours += 12;
+    return `${String(hours).padStart(2, '0')}:${m[2]}`;
+}
+
+// "10/14/2025" or "October 14, 2025" -> "2025-10-14"
+function isoDay(s) {
+    const str = String(s || '');
+    const us = str.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/);
+    if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+    const d = new Date(str.match(/[A-Z][a-z]+\.? \d{1,2}, \d{4}/)?.[0] || NaN);
+    return isNaN(d) ? null : `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function meeting(fields) {
+    return {
+        id: null, date: null, time: null, start: null, bodyName: null, location: null,
+        agendaStatus: null, minutesStatus: null, inSiteURL: null, agendaURL: null,
+        minutesURL: null, videoURL: null, comment: null, lastModified: null,
+        ...fields
+    };
+}
+
+// Agenda item in the Legistar branch's shape. `hasMatter` marks a real
+// business item (not a section heading) for commentEligibility.
+function agendaItem({ hasMatter, ...fields }) {
+    const item = {
+        id: null, title: '', matterId: null, matterFile: null, matterName: null,
+        matterType: null, matterStatus: null, actionName: null, actionText: null,
+        passedFlag: null, tally: null, agendaNote: null, minutesNote: null,
+        rollCallFlag: null, sequence: null, agendaNumber: null, consent: false,
+        ...fields
+    };
+    item.publicComment = commentEligibility({ title: item.title, hasMatter });
+    return item;
+}
+
+// HTML -> one line per block element, for outline-numbered agendas
+function htmlLines(html) {
+    return decodeEntities(String(html || '')
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<(br|\/p|\/div|\/li|\/tr|\/h\d)[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, ' '))
+        .split('\n')
+        .map(l => l.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+// "1." / "A." / "3.b" / "IV." at the start of a line
+const OUTLINE_NUMBER = /^((?:\d+|[A-Z]|[IVX]+)(?:\.\d+|\.[a-z])*)[.)]\s+(.{4,})$/;
+
+// Agendas typed as HTML: numbered lines are items, lines under a
+// "Consent" heading are consent items
+function outlineItems(html) {
+    const items = [];
+    let consent = false;
+    for (const line of htmlLines(html)) {
+        const m = line.match(OUTLINE_NUMBER);
+        if (!m) continue;
+        const isHeading = /^[IVX]+$|^[A-Z]$/.test(m[1]) || m[2] === m[2].toUpperCase();
+        if (isHeading) consent = /consent/i.test(m[2]);
+        items.push(agendaItem({
+            id: items.length + 1,
+            title: m[2],
+            agendaNumber: m[1],
+            sequence: items.length + 1,
+            consent: consent && !isHeading,
+            hasMatter: !isHeading
+        }));
+    }
+    return items;
+}
+
+// =====================================================
+// CIVICCLERK
+// =====================================================
+
+function civicclerkApi(info) {
+    return `https://${info.tenant}.api.civicclerk.com/v1`;
+}
+
+// CivicClerk's startDateTime carries the city's wall-clock time
+// with a "Z" suffix, so it is read as local, not converted
+function civicclerkMeeting(info, e) {
+    const api = civicclerkApi(info);
+    const day = String(e.startDateTime || e.eventDate || '').slice(0, 10);
+    const hhmm = String(e.startDateTime || '').slice(11, 16);
+    const files = Array.isArray(e.publishedFiles) ? e.publishedFiles : [];
+    const fileUrl = (type) => {
+        const f = files.find(f => new RegExp(type, 'i').test(f.type || f.name || ''));
+        return f ? `${api}/Meetings/GetMeetingFileStream(fileId=${f.fileId},plainText=false)` : null;
+    };
+    const loc = e.eventLocation || {};
+    return meeting({
+        id: e.id,
+        date: day ? `${day}T00:00:00` : null,
+        time: timeLabel(hhmm),
+        start: day ? `${day}T${hhmm || '00:00'}` : null,
+        bodyName: e.eventName || e.categoryName || null,
+        location: [loc.address1, loc.address2, loc.city].filter(Boolean).join(', ') || null,
+        agendaStatus: e.agendaId ? 'Final' : null,
+        inSiteURL: `https://${info.tenant}.portal.civicclerk.com/event/${e.id}/files`,
+        agendaURL: fileUrl('^agenda'),
+        minutesURL: fileUrl('minutes'),
+        videoURL: e.externalMediaUrl || null,
+        agendaId: e.agendaId || null
+    });
+}
+
+// Meeting items nest sections -> items -> sub-items
+function civicclerkItems(nodes, out = [], depth = 0, consent = false) {
+    for (const n of nodes || []) {
+        const title = stripTags(n.agendaObjectItemName || n.name || '');
+        const children = n.childItems || n.items || [];
+        const isSection = depth === 0 && children.length > 0;
+        const inConsent = consent || (isSection && /consent/i.test(title));
+        out.push(agendaItem({
+            id: n.id,
+            title,
+            agendaNumber: n.agendaObjectItemOutlineNumber || null,
+            agendaNote: stripTags(n.agendaObjectItemDescription || '') || null,
+            sequence: out.length + 1,
+            consent: inConsent && !isSection,
+            hasMatter: !isSection
+        }));
+        civicclerkItems(children, out, depth + 1, inConsent);
+    }
+    return out;
+}
+
+const civicclerk = {
+    system: 'civicclerk',
+
+    portal(info) {
+        return `https://${info.tenant}.portal.civicclerk.com`;
+    },
+
+    async members() {
+        return { members: [], note: NO_ROSTER };
+    },
+
+    async meetings(info, opts = {}) {
+        const api = civicclerkApi(info);
+        const today = new Date().toISOString().slice(0, 10);
+
+        // Upcoming first; fall back to the most recent when nothing is scheduled
+        let data = await portalFetch(`${api}/Events?$filter=startDateTime ge ${today}T00:00:00Z&$orderby=startDateTime asc&$top=20`, 'json', opts);
+        if (!data?.value?.length) {
+            data = await portalFetch(`${api}/Events?$orderby=startDateTime desc&$top=20`, 'json', opts);
+        }
+        return (data?.value || []).map(e => civicclerkMeeting(info, e));
+    },
+
+    async agenda(info, eventId, opts = {}) {
+        const api = civicclerkApi(info);
+        const e = await portalFetch(`${api}/Events/${encodeURIComponent(eventId)}`, 'json', opts);
+        const m = civicclerkMeeting(info, e);
+        if (!m.agendaId) {
+            return { meeting: m, items: [], note: 'The agenda hasn\'t been published yet.' };
+        }
+        const agenda = await portalFetch(`${api}/Meetings/${m.agendaId}`, 'json', opts);
+        return { meeting: m, items: civicclerkItems(agenda?.items), note: null };
+    }
+};
+
+// =====================================================
+// CIVICPLUS AGENDACENTER
+// =====================================================
+
+// ModID 65 is the Agenda Center module on every CivicPlus site
+function agendaCenterFeed(info) {
+    return `${info.base}/RSSFeed.aspx?ModID=65&CID=All-0`;
+}
+
+// Agenda links look like /AgendaCenter/ViewFile/Agenda/_10142025-1234
+const AGENDA_FILE = /\/AgendaCenter\/ViewFile\/Agenda\/_(\d{2})(\d{2})(\d{4})-(\d+)/i;
+
+function civicplusMeeting(info, rssItem) {
+    const link = text(rssItem, 'link');
+    const m = link.match(AGENDA_FILE);
+    if (!m) return null;
+    const description = text(rssItem, 'description');
+    const day = `${m[3]}-${m[1]}-${m[2]}`;
+    const time = (description.match(/\d{1,2}:\d{2}\s*[AP]\.?M\.?/i) || [null])[0];
+    return meeting({
+        id: `${m[1]}${m[2]}${m[3]}-${m[4]}`,
+        date: `${day}T00:00:00`,
+        time: time ? time.toUpperCase().replace(/\./g, '') : null,
+        start: `${day}T${time24(time)}`,
+        bodyName: text(rssItem, 'category') || text(rssItem, 'title').replace(/\s*agenda\s*$/i, '') || null,
+        agendaStatus: 'Final',
+        inSiteURL: `${info.base}/AgendaCenter`,
+        agendaURL: `${info.base}/AgendaCenter/ViewFile/Agenda/_${m[1]}${m[2]}${m[3]}-${m[4]}`,
+        minutesURL: null
+    });
+}
+
+const civicplus = {
+    system: 'civicplus',
+
+    portal(info) {
+        return `${info.base}/AgendaCenter`;
+    },
+
+    async members() {
+        return { members: [], note: NO_ROSTER };
+    },
+
+    async meetings(info, opts = {}) {
+        const { body } = await portalFetch(agendaCenterFeed(info), 'text', opts);
+        const all = elements(body, 'item')
+            .map(el => civicplusMeeting(info, el.inner))
+            .filter(Boolean);
+
+        // The feed is newest-posted first; show upcoming soonest-first, else recent
+        const today = new Date().toISOString().slice(0, 10);
+        const upcoming = all.filter(m => m.date.slice(0, 10) >= today).sort((a, b) => a.date.localeCompare(b.date));
+        return (upcoming.length > 0 ? upcoming : all.sort((a, b) => b.date.localeCompare(a.date))).slice(0, 20);
+    },
+
+    async agenda(info, eventId, opts = {}) {
+        const id = String(eventId).replace(/[^0-9-]/g, '');
+        const m = id.match(/^(\d{2})(\d{2})(\d{4})-\d+$/);
+        if (!m) throw new Error(`Invalid AgendaCenter agenda id: ${eventId}`);
+
+        const meetings = await civicplus.meetings(info, opts).catch(() => []);
+        const day = `${m[3]}-${m[1]}-${m[2]}`;
+        const found = meetings.find(x => x.id === id) || meeting({
+            id, date: `${day}T00:00:00`, start: `${day}T00:00`,
+            inSiteURL: `${info.base}/AgendaCenter`,
+            agendaURL: `${info.base}/AgendaCenter/ViewFile/Agenda/_${id}`
+        });
+
+        // Agendas built in Agenda Center render as HTML; uploaded ones are PDFs
+        const { contentType, body } = await portalFetch(`${found.agendaURL}?html=true`, 'text', opts);
+        const items = /html/i.test(contentType) ? outlineItems(body) : [];
+        return {
+            meeting: found,
+            items,
+            note: items.length === 0 ? 'This agenda is only published as a PDF — open it for the item list.' : null
+        };
+    }
+};
+
+// =====================================================
+// ONBASE AGENDAONLINE
+// =====================================================
+
+// Meeting links: Meetings/ViewMeeting?id=1234&doctype=1 (1 = agenda)
+const VIEW_MEETING = /<a[^>]+href="[^"]*ViewMeeting\?id=(\d+)&(?:amp;)?doctype=1[^"]*"[^>]*>([\s\S]*?)<\/a>/gi;
+
+// Item links inside a meeting: ViewMeetingAgendaItem?meetingId=1234&itemId=5678
+const VIEW_ITEM = /<a[^>]+href="[^"]*ViewMeetingAgendaItem\?meetingId=\d+&(?:amp;)?itemId=(\d+)[^"]*"[^>]*>([\s\S]*?)<\/a>/gi;
+
+// AgendaOnline's home page lists upcoming and recent meetings; the date and
+// time sit in the text just before each link
+function onbaseMeetings(info, html) {
+    const seen = new Set();
+    const out = [];
+    let m;
+    while ((m = VIEW_MEETING.exec(html))) {
+        if (seen.has(m[1])) continue;
+        seen.add(m[1]);
+        const context = stripTags(html.slice(Math.max(0, m.index - 400), m.index + m[0].length));
+        const day = isoDay(context.slice(-200)) || isoDay(stripTags(m[2]));
+        const time = (context.slice(-200).match(/\d{1,2}:\d{2}\s*[AP]\.?M\.?/gi) || []).pop() || null;
+        out.push(meeting({
+            id: m[1],
+            date: day ? `${day}T00:00:00` : null,
+            time: time ? time.toUpperCase().replace(/\./g, '') : null,
+            start: day ? `${day}T${time24(time)}` : null,
+            bodyName: stripTags(m[2]).replace(/\s*-?\s*\d{1,2}\/\d{1,2}\/\d{4}.*$/, '') || null,
+            agendaStatus: 'Final',
+            inSiteURL: `${info.base}/Meetings/ViewMeeting?id=${m[1]}&doctype=1`
+        }));
+    }
+    VIEW_MEETING.lastIndex = 0;
+    return out;
+}
+
+const onbase = {
+    system: 'onbase',
+
+    portal(info) {
+        return info.base;
+    },
+
+    async members() {
+        return { members: [], note: NO_ROSTER };
+    },
+
+    async meetings(info, opts = {}) {
+        const { body } = await portalFetch(info.base, 'text', opts);
+        const all = onbaseMeetings(info, body);
+        const today = new Date().toISOString().slice(0, 10);
+        const upcoming = all.filter(m => m.date && m.date.slice(0, 10) >= today).sort((a, b) => a.date.localeCompare(b.date));
+        return (upcoming.length > 0 ? upcoming : all).slice(0, 20);
+    },
+
+    async agenda(info, eventId, opts = {}) {
+        const id = String(eventId).replace(/[^0-9]/g, '');
+        const meetings = await onbase.meetings(info, opts).catch(() => []);
+        const found = meetings.find(x => x.id === id) || meeting({ id, inSiteURL: `${info.base}/Meetings/ViewMeeting?id=${id}&doctype=1` });
+
+        const { body } = await portalFetch(found.inSiteURL, 'text', opts);
+        const items = [];
+        const seen = new Set();
+        let m;
+        while ((m = VIEW_ITEM.exec(body))) {
+            const title = stripTags(m[2]);
+            if (seen.has(m[1]) || !title) continue;
+            seen.add(m[1]);
+            const number = title.match(/^((?:\d+|[A-Z])(?:\.\d+|\.[a-z])*)[.)]?\s+/);
+            items.push(agendaItem({
+                id: Number(m[1]),
+                title: number ? title.slice(number[0].length) : title,
+                agendaNumber: number ? number[1] : null,
+                sequence: items.length + 1,
+                hasMatter: true
+            }));
+        }
+        VIEW_ITEM.lastIndex = 0;
+        return {
+            meeting: found,
+            items,
+            note: items.length === 0 ? 'Open the meeting page for the agenda packet.' : null
+        };
+    }
+};
+
+// =====================================================
+// REGISTRY
+// =====================================================
+
+const ADAPTERS = { civicclerk, civicplus, onbase };
+
+// The adapter for a CITY_DATABASE entry, or null for Legistar cities
+function adapterFor(info) {
+    const system = (info && info.system) || 'legistar';
+    return ADAPTERS[system] || null;
+}
+
+// Report card in the shape of city-council.js verifyCity():
+// a portal passes when it lists meetings. The agenda check is informational
+// (PDF-only agendas still get a link) and never fails the report.
+// Reads bypass the cache unless { fresh: false }.
+async function verifyPortal(info, { fresh = true } = {}) {
+    const adapter = adapterFor(info);
+    const results = {
+        system: adapter.system,
+        portal: adapter.portal(info),
+        checks: {},
+        overallPass: false,
+        timestamp: new Date().toISOString()
+    };
+
+    let meetings = [];
+    try {
+        meetings = await adapter.meetings(info, { fresh });
+        results.checks.events = {
+            pass: meetings.length > 0,
+            count: meetings.length,
+            sample: meetings.slice(0, 3).map(m => `${m.bodyName} - ${m.date}`)
+        };
+    } catch (e) {
+        results.checks.events = { pass: false, count: 0, error: e.message };
+    }
+
+    const withAgenda = meetings.find(m => m.agendaStatus);
+    try {
+        const agenda = withAgenda ? await adapter.agenda(info, withAgenda.id, { fresh }) : { items: [] };
+        results.checks.agenda = {
+            informational: true,
+            pass: agenda.items.length > 0,
+            count: agenda.items.length,
+            sample: agenda.items.slice(0, 3).map(i => i.title)
+        };
+    } catch (e) {
+        results.checks.agenda = { informational: true, pass: false, count: 0, error: e.message };
+    }
+
+    results.overallPass = results.checks.events.pass;
+    return results;
+}
+
+export { adapterFor, verifyPortal };
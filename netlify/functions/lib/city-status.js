@@ -0,0 +1,147 @@
+// =====================================================
+// SHARED: lib/city-status.js
+//
+// Whether each registry city (lib/cities.js) currently
+// has data we can serve, kept up to date by
+// city-verify-sweep.js.
+//
+// The registry's `verified` flag is the starting point.
+// Each sweep run verifies the next few entries against
+// the live portal (never the API cache) and records the
+// results; a city is promoted after PROMOTE_AFTER passes
+// in a row and demoted after DEMOTE_AFTER failures in a
+// row, so one flaky request doesn't flip it. Link-only entries
+// (no adapter) are checked for a live portal page but
+// never promoted.
+//
+// Store: city-verification
+//   city/{name} -> { verified, verifiedDate, passes, fails,
+//                    lastChecked, lastChange, history: [run] }
+//   summary     -> { {name}: { verified, verifiedDate, lastChecked } }
+//   run = { at, pass, checks: { check: { pass, count } } }
+// =====================================================
+
+import { getStore } from './store.js';
+import { CITY_DATABASE } from './cities.js';
+import { verifyCity } from './legistar.js';
+import { adapterFor, verifyPortal } from './city-adapters.js';
+
+const PROMOTE_AFTER = 2;
+const DEMOTE_AFTER = 3;
+const HISTORY_LIMIT = 60;
+
+function statusStore() {
+    return getStore('city-verification');
+}
+
+function systemOf(info) {
+    return (info && info.system) || 'legistar';
+}
+
+// Legistar or an adapter: we can serve members/meetings/agendas
+function hasDataFeed(info) {
+    return systemOf(info) === 'legistar' || !!adapterFor(info);
+}
+
+// { portalUrl, calendarUrl } for the "Open Meeting Portal" / "Portal Home" links
+function cityPortal(info) {
+    if (systemOf(info) === 'legistar') {
+        const base = `https://${info.client}.legistar.com`;
+        return { portalUrl: base, calendarUrl: `${base}/Calendar.aspx` };
+    }
+    const adapter = adapterFor(info);
+    const url = adapter ? adapter.portal(info) : info.portal || '';
+    return { portalUrl: url, calendarUrl: url };
+}
+
+// Link-only entries: is the page still there?
+async function verifyLink(info) {
+    const results = { system: systemOf(info), portal: info.portal, checks: {}, overallPass: false, timestamp: new Date().toISOString() };
+    try {
+        const response = await fetch(info.portal, { method: 'GET', redirect: 'follow' });
+        results.checks.portal = { pass: response.ok, status: response.status };
+    } catch (e) {
+        results.checks.portal = { pass: false, error: e.message };
+    }
+    return results;
+}
+
+// Report card for any registry entry (shape of verifyCity)
+async function verifyEntry(info) {
+    if (systemOf(info) === 'legistar') return verifyCity(info.client);
+    if (adapterFor(info)) return verifyPortal(info);
+    return verifyLink(info);
+}
+
+function registryStatus(info) {
+    return { verified: !!info.verified, verifiedDate: info.verifiedDate || null, lastChecked: null };
+}
+
+// Folds one report into the city's record and applies promotion/demotion.
+// Returns { name, pass, verified, verifiedDate, lastChecked, change: 'promoted' | 'demoted' | null }.
+async function recordVerification(name, report) {
+    const info = CITY_DATABASE[name];
+    const store = statusStore();
+    const prev = (await store.get(`city/${name}`)) || { ...registryStatus(info), passes: 0, fails: 0, lastChange: null, history: [] };
+
+    const pass = !!report.overallPass;
+    const next = {
+        ...prev,
+        passes: pass ? prev.passes + 1 : 0,
+        fails: pass ? 0 : prev.fails + 1,
+        lastChecked: report.timestamp || new Date().toISOString()
+    };
+
+    let change = null;
+    if (!prev.verified && pass && next.passes >= PROMOTE_AFTER && hasDataFeed(info)) {
+        next.verified = true;
+        next.verifiedDate = next.lastChecked.slice(0, 10);
+        change = 'promoted';
+    } else if (prev.verified && !pass && next.fails >= DEMOTE_AFTER) {
+        next.verified = false;
+        change = 'demoted';
+    }
+    if (change) next.lastChange = { change, at: next.lastChecked };
+
+    const checks = {};
+    for (const [key, c] of Object.entries(report.checks || {})) {
+        checks[key] = { pass: !!c.pass, count: c.count ?? null };
+    }
+    next.history = [...(prev.history || []), { at: next.lastChecked, pass, checks }].slice(-HISTORY_LIMIT);
+
+    await store.set(`city/${name}`, next);
+    return { name, pass, verified: next.verified, verifiedDate: next.verifiedDate, lastChecked: next.lastChecked, change };
+}
+
+// Effective status for every registry city: the sweep's summary where it has
+// one, else the registry flag
+async function cityStatuses() {
+    const summary = (await statusStore().get('summary').catch(() => null)) || {};
+    const statuses = {};
+    for (const [name, info] of Object.entries(CITY_DATABASE)) {
+        statuses[name] = summary[name] || registryStatus(info);
+    }
+    return statuses;
+}
+
+// `results` = { name: recordVerification() result }; cities missing from it
+// keep their last summary (or the registry flag)
+async function writeSummary(results) {
+    const prev = (await statusStore().get('summary')) || {};
+    const summary = {};
+    for (const name of Object.keys(CITY_DATABASE)) {
+        const r = results[name];
+        summary[name] = r
+            ? { verified: r.verified, verifiedDate: r.verifiedDate, lastChecked: r.lastChecked }
+            : prev[name] || registryStatus(CITY_DATABASE[name]);
+    }
+    await statusStore().set('summary', summary);
+    return summary;
+}
+
+// Stored record (with history) for one city, or null before the first sweep
+async function cityHistory(name) {
+    return statusStore().get(`city/${name}`);
+}
+
+export { cityPortal, hasDataFeed, verifyEntry, recordVerification, cityStatuses, writeSummary, cityHistory };
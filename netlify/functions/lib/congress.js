@@ -0,0 +1,189 @@
+// netlify/functions/lib/congress.js
+//
+// Shared Congress.gov helpers (URL building + authenticated fetch).
+//
+// Required env var for callers: CONGRESS_API_KEY
+
+import { cached, cacheKey, ttlFor } from "./cache.js";
+import { federalStage } from "./stage.js";
+
+export const TYPE_MAP = {
+  hr: "house-bill", s: "senate-bill",
+  hjres: "house-joint-resolution", sjres: "senate-joint-resolution",
+  hconres: "house-concurrent-resolution", sconres: "senate-concurrent-resolution",
+  hres: "house-resolution", sres: "senate-resolution",
+};
+
+export const TYPE_DISPLAY = {
+  HR: "H.R.", S: "S.", HJRES: "H.J.Res.", SJRES: "S.J.Res.",
+  HCONRES: "H.Con.Res.", SCONRES: "S.Con.Res.", HRES: "H.Res.", SRES: "S.Res."
+};
+
+export function ordinalSuffix(n) {
+  const num = Number(n);
+  const mod100 = num % 100;
+  if (mod100 >= 11 && mod100 <= 13) return num + "th";
+  const mod10 = num % 10;
+  if (mod10 === 1) return num + "st";
+  if (mod10 === 2) return num + "nd";
+  if (mod10 === 3) return num + "rd";
+  return num + "th";
+}
+
+// "hr", "187" -> "H.R. 187"
+export function displayBillNumber(type, number) {
+  const typeUpper = String(type || "").toUpperCase();
+  const typeLabel = TYPE_DISPLAY[typeUpper] || typeUpper;
+  return number ? `${typeLabel} ${number}` : "";
+}
+
+const AMENDMENT_TYPES = {
+  hamdt: { display: "H.Amdt.", slug: "house-amendment" },
+  samdt: { display: "S.Amdt.", slug: "senate-amendment" },
+  suamdt: { display: "S.Up.Amdt.", slug: "senate-amendment" },
+};
+
+// "samdt", "2110" -> "S.Amdt. 2110"
+export function displayAmendmentNumber(type, number) {
+  const t = AMENDMENT_TYPES[String(type || "").toLowerCase()];
+  return `${t ? t.display : String(type || "").toUpperCase()} ${number}`;
+}
+
+export function amendmentPublicUrl(congress, type, number) {
+  const t = AMENDMENT_TYPES[String(type || "").toLowerCase()];
+  return `https://www.congress.gov/amendment/${ordinalSuffix(congress)}-congress/${t ? t.slug : "amendment"}/${number}`;
+}
+
+export function billPublicUrl(congress, type, number) {
+  const t = String(type || "").toLowerCase();
+  const slug = TYPE_MAP[t] || (t + "-bill");
+  const num = String(number).replace(/[^0-9]/g, "");
+  return `https://www.congress.gov/bill/${ordinalSuffix(congress)}-congress/${slug}/${num}`;
+}
+
+// Cache lifetimes (seconds) by path; first match wins. See lib/cache.js.
+const CONGRESS_TTLS = [
+  { match: /^bill\/\d+$/, ttl: 300, stale: 900 },                           // list pages move constantly
+  { match: /^bill\/\d+\/\w+\/\d+\/(actions|cosponsors|amendments)$/, ttl: 900, stale: 3600 }, // amendments move during floor debate
+  { match: /^bill\/\d+\/\w+\/\d+\/(summaries|committees|subjects|text|relatedbills)$/, ttl: 3600 * 6, stale: 86400 },
+  { match: /^bill\//, ttl: 900, stale: 3600 },
+  { match: /^house-vote\//, ttl: 900, stale: 3600 },
+  { match: /^amendment\//, ttl: 900, stale: 3600 },
+  { match: /^member\/[^/]+\/(sponsored|cosponsored)-legislation$/, ttl: 3600, stale: 86400 },
+  { match: /^member\//, ttl: 86400, stale: 86400 * 7 },
+  { match: /.*/, ttl: 900, stale: 3600 },
+];
+
+// `path` is relative to /v3/ (e.g. "bill/119/hr/187/actions"); returns null on HTTP errors
+export async function congressFetch(path, apiKey, params = {}) {
+  const url = new URL(`https://api.congress.gov/v3/${path}`);
+  url.searchParams.set("format", "json");
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, String(v));
+
+  // The key stays out of the cache key
+  return cached(cacheKey("congress", url.toString()), ttlFor(CONGRESS_TTLS, path), async () => {
+    url.searchParams.set("api_key", apiKey);
+    const resp = await fetch(url.toString());
+    if (!resp.ok) return null;
+    return resp.json();
+  });
+}
+
+// Every page of a list endpoint (e.g. "bill/119/hr/187/actions") merged into
+// one response: follows pagination.next, up to maxPages of `limit` items.
+// Returns null when the first page fails.
+export async function congressFetchAll(path, apiKey, listKey, { limit = 250, maxPages = 10 } = {}) {
+  const first = await congressFetch(path, apiKey, { limit });
+  if (!first) return null;
+  const items = [...(first[listKey] || [])];
+  let next = first.pagination?.next;
+  for (let page = 1; next && page < maxPages; page++) {
+    const data = await congressFetch(path, apiKey, { limit, offset: page * limit });
+    if (!data) break;
+    items.push(...(data[listKey] || []));
+    next = data.pagination?.next;
+  }
+  return { ...first, [listKey]: items };
+}
+
+// Legislative subject names for a bill (the bill record itself only links to them)
+export async function billSubjects(basePath, apiKey) {
+  const data = await congressFetch(`${basePath}/subjects`, apiKey, { limit: 250 });
+  return (data?.subjects?.legislativeSubjects || []).map(s => s.name).filter(Boolean);
+}
+
+// Build a public Congress.gov URL from bill fields
+export function buildPublicUrl(bill) {
+  const congress = bill.congress || "";
+  const type = (bill.type || "").toLowerCase();
+  const number = bill.number || "";
+
+  if (congress && type && number) {
+    const slug = TYPE_MAP[type];
+    if (slug) {
+      const num = String(number).replace(/[^0-9]/g, "");
+      if (num) {
+        return `https://www.congress.gov/bill/${ordinalSuffix(congress)}-congress/${slug}/${num}`;
+      }
+    }
+  }
+
+  // Fallback: parse the API URL
+  try {
+    const u = new URL(bill.url || bill.apiUrl || "");
+    const parts = u.pathname.split("/").filter(Boolean);
+    const i = parts.indexOf("bill");
+    if (i >= 0 && parts.length >= i + 4) {
+      const c = parts[i + 1];
+      const t = parts[i + 2].toLowerCase();
+      const n = parts[i + 3];
+      const slug = TYPE_MAP[t] || (t + "-bill");
+      return `https://www.congress.gov/bill/${ordinalSuffix(c)}-congress/${slug}/${n}`;
+    }
+  } catch {}
+
+  return "https://www.congress.gov/";
+}
+
+// Congress.gov list item -> the bill object the UI renders (see get-bills.js)
+export function normalizeBill(b) {
+  const publicUrl = buildPublicUrl(b);
+  const actionText = b.latestAction?.text || "";
+  const actionDate = b.latestAction?.actionDate || b.updateDate || "";
+  const stage = federalStage([b.latestAction], { billType: b.type, originChamber: b.originChamber });
+
+  return {
+    id: `${b.congress}-${(b.type||"").toLowerCase()}-${b.number}`,
+    number: displayBillNumber(b.type, b.number),
+    title: b.title || "",
+    howItAffectsYou: b.title || "",
+    date: actionDate,
+    status: actionText,
+    statusDisplay: stage.display,
+    statusPriority: stage.priority,
+    stage,
+    url: publicUrl,
+    public_url: publicUrl,
+    congress_url: publicUrl,
+    api_url: b.url || "",
+    type: b.type || "",
+    billNumber: b.number || "",
+    congress: b.congress || 119,
+    source: "congress.gov",
+  };
+}
+
+// Congress number for a date: the 1st Congress began in 1789, each lasts two
+// years and starts on January 3 of odd years.
+export function currentCongress(date = new Date()) {
+  const year = date.getUTCFullYear();
+  const beforeJan3 = date.getUTCMonth() === 0 && date.getUTCDate() < 3;
+  const y = year % 2 === 1 && beforeJan3 ? year - 1 : year;
+  return Math.floor((y - 1789) / 2) + 1;
+}
+
+// "H.R. 4021", "hr4021", "S 512", "H.J.Res. 3" -> { type: "hr", number: "4021" } or null
+export function parseBillNumber(input) {
+  const m = String(input || "").trim().toLowerCase().replace(/[.\s]/g, "").match(/^(hr|s|hjres|sjres|hconres|sconres|hres|sres)(\d+)$/);
+  return m ? { type: m[1], number: m[2] } : null;
+}
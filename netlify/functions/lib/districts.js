@@ -0,0 +1,141 @@
+// netlify/functions/lib/districts.js
+//
+// Address / ZIP -> state, congressional district, state legislative
+// districts and city. Used by find-reps.js.
+//
+// Resolution order:
+//   1. ZIP in the bundled crosswalk (lib/zip-districts.js) — offline
+//   2. Full street address via the Census Geocoder (no key required)
+//   3. ZIP prefix -> state only (offline; every district in the state is a candidate,
+//      though at-large states still get their one House seat)
+
+import { ZIP_DISTRICTS } from "./zip-districts.js";
+
+// First three ZIP digits -> state (USPS prefix ranges, inclusive)
+const ZIP3_RANGES = [
+  [5, 5, "NY"], [6, 7, "PR"], [8, 8, "VI"], [9, 9, "PR"], [10, 27, "MA"], [28, 29, "RI"], [30, 38, "NH"],
+  [39, 49, "ME"], [50, 54, "VT"], [55, 55, "MA"], [56, 59, "VT"], [60, 69, "CT"], [70, 89, "NJ"],
+  [100, 149, "NY"], [150, 196, "PA"], [197, 199, "DE"], [200, 200, "DC"], [201, 201, "VA"], [202, 205, "DC"],
+  [206, 219, "MD"], [220, 246, "VA"], [247, 268, "WV"], [270, 289, "NC"], [290, 299, "SC"], [300, 319, "GA"],
+  [320, 339, "FL"], [341, 349, "FL"], [350, 369, "AL"], [370, 385, "TN"], [386, 397, "MS"], [398, 399, "GA"],
+  [400, 427, "KY"], [430, 459, "OH"], [460, 479, "IN"], [480, 499, "MI"], [500, 528, "IA"], [530, 549, "WI"],
+  [550, 567, "MN"], [569, 569, "DC"], [570, 577, "SD"], [580, 588, "ND"], [590, 599, "MT"], [600, 629, "IL"],
+  [630, 658, "MO"], [660, 679, "KS"], [680, 693, "NE"], [700, 714, "LA"], [716, 729, "AR"], [730, 732, "OK"],
+  [733, 733, "TX"], [734, 749, "OK"], [750, 799, "TX"], [800, 816, "CO"], [820, 831, "WY"], [832, 838, "ID"],
+  [840, 847, "UT"], [850, 865, "AZ"], [870, 884, "NM"], [885, 885, "TX"], [889, 898, "NV"], [900, 961, "CA"],
+  [967, 968, "HI"], [970, 979, "OR"], [980, 994, "WA"], [995, 999, "AK"],
+];
+
+// States (and DC) with a single at-large House seat, so the ZIP alone settles the district
+const AT_LARGE = new Set(["AK", "DE", "ND", "SD", "VT", "WY", "DC"]);
+
+export function stateFromZip(zip) {
+  const prefix = Number(String(zip).slice(0, 3));
+  const range = ZIP3_RANGES.find(([lo, hi]) => prefix >= lo && prefix <= hi);
+  return range ? range[2] : "";
+}
+
+export function parseZip(input) {
+  const m = String(input || "").match(/\b(\d{5})(?:-\d{4})?\b/);
+  return m ? m[1] : "";
+}
+
+// "024" -> "24", "HD-024" -> "24", "Chittenden-1" stays as-is (lowercased for comparison)
+export function normalizeDistrict(d) {
+  const s = String(d ?? "").trim().replace(/^(HD|SD|AD|LD|CD)[-\s]*/i, "");
+  return /^\d+$/.test(s) ? String(Number(s)) : s.toLowerCase();
+}
+
+// "Phoenix city" -> "Phoenix"
+function placeName(name) {
+  return String(name || "").replace(/\s+(city|town|village|CDP|municipality|borough)$/i, "").trim();
+}
+
+function result(fields) {
+  return {
+    state: "", congressionalDistricts: [], stateSenateDistricts: [], stateHouseDistricts: [], places: [],
+    exact: false, matchedAddress: "", source: "", ...fields,
+  };
+}
+
+function fromCrosswalk(zip) {
+  const row = ZIP_DISTRICTS[zip];
+  if (!row) return null;
+  return result({
+    state: row.s,
+    congressionalDistricts: row.cd || [],
+    stateSenateDistricts: row.u || [],
+    stateHouseDistricts: row.l || [],
+    places: row.p || [],
+    // A ZIP that straddles district lines needs a street address to narrow down
+    exact: (row.cd || []).length <= 1 && (row.u || []).length <= 1 && (row.l || []).length <= 1,
+    source: "crosswalk",
+  });
+}
+
+// Census Geocoder layer names carry the vintage ("119th Congressional Districts",
+// "2024 State Legislative Districts - Upper"), so match them by pattern
+function layer(geographies, pattern) {
+  const key = Object.keys(geographies || {}).find(k => pattern.test(k));
+  return key ? geographies[key] : [];
+}
+
+async function fromCensusGeocoder(address) {
+  const url = new URL("https://geocoding.geo.census.gov/geocoder/geographies/onelineaddress");
+  url.searchParams.set("address", address);
+  url.searchParams.set("benchmark", "Public_AR_Current");
+  url.searchParams.set("vintage", "Current_Current");
+  url.searchParams.set("layers", "all");
+  url.searchParams.set("format", "json");
+
+  const resp = await fetch(url.toString());
+  if (!resp.ok) throw new Error(`Census geocoder error: ${resp.status}`);
+  const data = await resp.json();
+  const match = data?.result?.addressMatches?.[0];
+  if (!match) return null;
+
+  const g = match.geographies || {};
+  const cdField = (cd) => Object.keys(cd).find(k => /^CD\d+$/.test(k));
+  const state = layer(g, /^States$/)[0]?.STUSAB || match.addressComponents?.state || "";
+  const cds = layer(g, /Congressional Districts/).map(cd => normalizeDistrict(cd[cdField(cd)] ?? cd.BASENAME));
+
+  return result({
+    state,
+    congressionalDistricts: cds.map(d => (d === "98" ? "0" : d)),
+    stateSenateDistricts: layer(g, /Legislative Districts - Upper/).map(d => normalizeDistrict(d.BASENAME || d.SLDU)),
+    stateHouseDistricts: layer(g, /Legislative Districts - Lower/).map(d => normalizeDistrict(d.BASENAME || d.SLDL)),
+    places: layer(g, /Incorporated Places/).map(p => placeName(p.NAME || p.BASENAME)),
+    exact: true,
+    matchedAddress: match.matchedAddress || "",
+    source: "census-geocoder",
+  });
+}
+
+// { address } or { zip } -> district result, or null if nothing could be resolved
+export async function resolveDistricts({ address, zip }) {
+  const street = String(address || "").trim();
+  const zip5 = parseZip(zip) || parseZip(street);
+
+  // A bare ZIP (or a ZIP that maps to exactly one of everything) needs no network call
+  const crosswalk = zip5 ? fromCrosswalk(zip5) : null;
+  if (crosswalk && (crosswalk.exact || !street || street === zip5)) return crosswalk;
+
+  if (street && street !== zip5) {
+    try {
+      const geocoded = await fromCensusGeocoder(street);
+      if (geocoded) return geocoded;
+    } catch (e) {
+      console.log("Census geocoder failed:", e.message);
+    }
+  }
+  if (crosswalk) return crosswalk;
+
+  const state = zip5 ? stateFromZip(zip5) : "";
+  if (!state) return null;
+  return result({
+    state,
+    congressionalDistricts: AT_LARGE.has(state) ? ["0"] : [],
+    exact: AT_LARGE.has(state),
+    source: "zip-prefix",
+  });
+}
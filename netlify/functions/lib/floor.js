@@ -0,0 +1,93 @@
+// netlify/functions/lib/floor.js
+//
+// Upcoming floor votes, used to fill `voteDate` on federal bills (the
+// BillCard countdown):
+//   - House: the Majority Leader's weekly floor schedule XML on docs.house.gov
+//     ("bills this week") — week-level, so we report the week's window
+//   - Either chamber: unanimous-consent agreements in the actions feed
+//     ("...vote on cloture to occur at 5:30 p.m. on Monday, March 3, 2025")
+
+import { elements, text } from "./xml.js";
+import { parseBillNumber, currentCongress } from "./congress.js";
+
+const SCHEDULE_TTL_MS = 60 * 60 * 1000;
+
+let cachedSchedule = null; // { at, items }
+
+function ymd(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+function mondayOf(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d;
+}
+
+async function fetchWeek(monday) {
+  const stamp = ymd(monday).replace(/-/g, "");
+  const resp = await fetch(`https://docs.house.gov/billsthisweek/${stamp}/${stamp}.xml`);
+  if (!resp.ok) return [];
+  const xml = await resp.text();
+  const weekOf = elements(xml, "floorschedule")[0]?.attrs["week-date"] || ymd(monday);
+  const friday = new Date(Date.parse(weekOf) + 4 * 24 * 60 * 60 * 1000);
+  const congress = currentCongress(monday);
+
+  return elements(xml, "floor-item")
+    .filter(item => !item.attrs["remove-date"])
+    .map(item => {
+      const legisNum = text(item.inner, "legis-num");
+      const parsed = parseBillNumber(legisNum);
+      if (!parsed) return null;
+      return {
+        id: `${congress}-${parsed.type}-${parsed.number}`,
+        chamber: "House",
+        legisNum,
+        title: text(item.inner, "floor-text"),
+        voteDate: weekOf,
+        voteWindowEnd: ymd(friday),
+        source: "house-floor-schedule",
+      };
+    })
+    .filter(Boolean);
+}
+
+// This week's and next week's House floor items (next week's is usually posted by Friday)
+export async function houseFloorSchedule(now = new Date()) {
+  if (cachedSchedule && now - cachedSchedule.at < SCHEDULE_TTL_MS) return cachedSchedule.items;
+  const thisWeek = mondayOf(now);
+  const nextWeek = new Date(thisWeek.getTime() + 7 * 24 * 60 * 60 * 1000);
+  const weeks = await Promise.all([thisWeek, nextWeek].map(w => fetchWeek(w).catch(() => [])));
+  const items = weeks.flat();
+  cachedSchedule = { at: now, items };
+  return items;
+}
+
+// bill id -> schedule entry, for decorating lists
+export async function scheduledVotesById(now = new Date()) {
+  const byId = {};
+  for (const item of await houseFloorSchedule(now)) {
+    if (!byId[item.id] || item.voteDate < byId[item.id].voteDate) byId[item.id] = item;
+  }
+  return byId;
+}
+
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+
+// Future vote date from the newest UC agreement in `actions` (newest first), or null
+export function scheduledVoteFromActions(actions, now = new Date()) {
+  const today = ymd(now);
+  // Bounded gaps rather than [^.] — the times read "5:30 p.m."
+  const re = /\b(?:vote|votes|cloture)\b.{0,120}?\boccur\b.{0,80}?\bon\s+(?:[a-z]+day,\s+)?([a-z]+)\s+(\d{1,2}),\s+(\d{4})/i;
+  for (const a of actions || []) {
+    const m = String(a.text || "").match(re);
+    if (!m) continue;
+    const month = MONTHS.indexOf(m[1].toLowerCase());
+    if (month < 0) continue;
+    const date = `${m[3]}-${String(month + 1).padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+    if (date >= today) {
+      return { voteDate: date, voteWindowEnd: null, chamber: a.chamber || "", source: "actions" };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,162 @@
+// netlify/functions/lib/ics.js
+//
+// Minimal iCalendar (RFC 5545) writer for the subscribable feeds in
+// calendar.js. Events carry a stable UID so calendar apps update them in
+// place when a meeting moves or gets an agenda.
+//
+// Timed events are written in UTC (converted from the wall-clock time in
+// their zone), so the feed needs no VTIMEZONE blocks. DTSTAMP comes from the
+// source's last-modified time, or midnight UTC of the day the feed was built
+// when the source has none (never the event's start, which may be in the
+// future), so an unchanged feed renders the same all day and keeps its ETag.
+//
+// Event shape:
+//   { uid, summary, description, location, url, status,
+//     start: "YYYY-MM-DDTHH:MM" (local wall-clock) | "YYYY-MM-DD" (all day),
+//     end?:  same form as start (default: +2h, or the next day for all-day),
+//     timeZone: IANA zone for timed events,
+//     updated?: when the source last changed the event (ISO timestamp) }
+
+const PRODID = "-//Civic Rights Alert//Calendar Feeds//EN";
+
+// Where each state's legislature sits — the zone its hearing times are in
+const STATE_TIME_ZONES = {
+  AL: "America/Chicago", AK: "America/Anchorage", AZ: "America/Phoenix", AR: "America/Chicago",
+  CA: "America/Los_Angeles", CO: "America/Denver", CT: "America/New_York", DE: "America/New_York",
+  DC: "America/New_York", FL: "America/New_York", GA: "America/New_York", HI: "Pacific/Honolulu",
+  ID: "America/Boise", IL: "America/Chicago", IN: "America/Indiana/Indianapolis", IA: "America/Chicago",
+  KS: "America/Chicago", KY: "America/New_York", LA: "America/Chicago", ME: "America/New_York",
+  MD: "America/New_York", MA: "America/New_York", MI: "America/Detroit", MN: "America/Chicago",
+  MS: "America/Chicago", MO: "America/Chicago", MT: "America/Denver", NE: "America/Chicago",
+  NV: "America/Los_Angeles", NH: "America/New_York", NJ: "America/New_York", NM: "America/Denver",
+  NY: "America/New_York", NC: "America/New_York", ND: "America/Chicago", OH: "America/New_York",
+  OK: "America/Chicago", OR: "America/Los_Angeles", PA: "America/New_York", RI: "America/New_York",
+  SC: "America/New_York", SD: "America/Chicago", TN: "America/Chicago", TX: "America/Chicago",
+  UT: "America/Denver", VT: "America/New_York", VA: "America/New_York", WA: "America/Los_Angeles",
+  WV: "America/New_York", WI: "America/Chicago", WY: "America/Denver",
+};
+
+export function stateTimeZone(state) {
+  return STATE_TIME_ZONES[String(state || "").toUpperCase()] || "America/New_York";
+}
+
+function escapeText(s) {
+  return String(s || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const out = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > (out.length === 0 ? 75 : 74)) {
+      out.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+function stamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function isAllDay(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// "2026-03-10" -> "20260310"; "2026-03-10T17:00" -> "20260310T170000"
+function localValue(value) {
+  return isAllDay(value) ? value.replace(/-/g, "") : `${value.replace(/[-:]/g, "").slice(0, 13)}00`;
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `date`
+function zoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - date.getTime();
+}
+
+// "2026-03-10T17:00" in America/Phoenix -> "20260311T000000Z"
+function utcValue(local, timeZone) {
+  const wall = new Date(`${local}:00Z`);
+  const guess = new Date(wall.getTime() - zoneOffset(wall, timeZone));
+  // Re-read the offset at the guessed instant in case a DST change sits between
+  return stamp(new Date(wall.getTime() - zoneOffset(guess, timeZone)));
+}
+
+function dtstamp(e, builtOn) {
+  const updated = e.updated ? new Date(e.updated) : null;
+  if (updated && !isNaN(updated)) return stamp(updated);
+  return `${localValue(builtOn)}T000000Z`;
+}
+
+function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function addHours(local, n) {
+  const d = new Date(`${local}:00Z`);
+  d.setUTCHours(d.getUTCHours() + n);
+  return d.toISOString().slice(0, 16);
+}
+
+function eventLines(e, builtOn) {
+  const allDay = isAllDay(e.start);
+  const end = e.end ? (allDay ? addDays(e.end, 1) : e.end) : allDay ? addDays(e.start, 1) : addHours(e.start, 2);
+  const when = (prop, value) => allDay
+    ? `${prop};VALUE=DATE:${localValue(value)}`
+    : `${prop}:${utcValue(value, e.timeZone || "America/New_York")}`;
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${e.uid}`,
+    `DTSTAMP:${dtstamp(e, builtOn)}`,
+    when("DTSTART", e.start),
+    when("DTEND", end),
+    `SUMMARY:${escapeText(e.summary)}`,
+  ];
+  if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+  if (e.location) lines.push(`LOCATION:${escapeText(e.location)}`);
+  if (e.url) lines.push(`URL:${e.url}`);
+  if (e.status) lines.push(`STATUS:${e.status}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// -> the .ics text. `name` shows as the calendar's title in most apps;
+// `refreshHours` is how often they should re-fetch.
+export function buildCalendar({ name, description = "", events, refreshHours = 6 }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`,
+    `X-PUBLISHED-TTL:PT${refreshHours}H`,
+  ];
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  const builtOn = new Date().toISOString().slice(0, 10);
+  for (const e of events || []) {
+    if (e?.start) lines.push(...eventLines(e, builtOn));
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
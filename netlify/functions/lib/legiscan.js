@@ -0,0 +1,122 @@
+// netlify/functions/lib/legiscan.js
+//
+// Shared LegiScan helpers used by state-bills.js and state-bill-detail.js.
+// Not a function endpoint itself — Netlify only deploys top-level files
+// (and subdirectories with an index.js), so lib/ is safe for shared code.
+
+import { cached, cacheKey, ttlFor } from "./cache.js";
+import { stripTags } from "./xml.js";
+import { stateStage } from "./stage.js";
+
+export const STATE_NAME_TO_ABBR = {
+  "alabama": "AL", "alaska": "AK", "arizona": "AZ", "arkansas": "AR", "california": "CA",
+  "colorado": "CO", "connecticut": "CT", "delaware": "DE", "florida": "FL", "georgia": "GA",
+  "hawaii": "HI", "idaho": "ID", "illinois": "IL", "indiana": "IN", "iowa": "IA",
+  "kansas": "KS", "kentucky": "KY", "louisiana": "LA", "maine": "ME", "maryland": "MD",
+  "massachusetts": "MA", "michigan": "MI", "minnesota": "MN", "mississippi": "MS", "missouri": "MO",
+  "montana": "MT", "nebraska": "NE", "nevada": "NV", "new hampshire": "NH", "new jersey": "NJ",
+  "new mexico": "NM", "new york": "NY", "north carolina": "NC", "north dakota": "ND", "ohio": "OH",
+  "oklahoma": "OK", "oregon": "OR", "pennsylvania": "PA", "rhode island": "RI", "south carolina": "SC",
+  "south dakota": "SD", "tennessee": "TN", "texas": "TX", "utah": "UT", "vermont": "VT",
+  "virginia": "VA", "washington": "WA", "west virginia": "WV", "wisconsin": "WI", "wyoming": "WY",
+  "district of columbia": "DC"
+};
+
+export function normalizeState(input) {
+  const s = String(input || "").trim();
+  if (!s) return "";
+  if (s.length === 2) return s.toUpperCase();
+  const key = s.toLowerCase();
+  return STATE_NAME_TO_ABBR[key] || "";
+}
+
+// Cache lifetimes (seconds) per operation. LegiScan's public tier is capped at
+// 30k queries/month, and getMasterList is a whole session per call.
+const LEGISCAN_TTLS = [
+  { match: /^getMasterList$/, ttl: 3600, stale: 3600 * 6 },
+  { match: /^(getBill|getSearch)$/, ttl: 1800, stale: 3600 * 6 },
+  { match: /^(getRollCall|getBillText|getPerson)$/, ttl: 86400 * 7, stale: 86400 * 7 }, // never change once published
+  { match: /^(getSessionList|getSessionPeople)$/, ttl: 86400, stale: 86400 * 7 },
+  { match: /.*/, ttl: 1800, stale: 3600 },
+];
+
+export async function callLegiScan(op, params, apiKey) {
+  const u = new URL("https://api.legiscan.com/");
+  u.searchParams.set("op", op);
+  for (const [k, v] of Object.entries(params || {})) u.searchParams.set(k, String(v));
+
+  // The key stays out of the cache key; errors throw, so they are never cached
+  return cached(cacheKey("legiscan", u.toString()), ttlFor(LEGISCAN_TTLS, op), async () => {
+    u.searchParams.set("key", apiKey);
+    const resp = await fetch(u.toString());
+    const data = await resp.json();
+
+    // LegiScan often returns { status: "OK", ... } or { status:"ERROR", alert:{...} }
+    if (!data || data.status !== "OK") {
+      const msg = data?.alert?.message || data?.alert || data?.status || "LegiScan error";
+      throw new Error(`LegiScan ${op} failed: ${msg}`);
+    }
+    return data;
+  });
+}
+
+// LegiScan answers a bill_id it doesn't have with status "ERROR" and an alert
+// like "Unknown bill id" — callers turn that into a 404 rather than a 500
+export function isLegiScanNotFound(err) {
+  return /LegiScan \w+ failed: .*(unknown|invalid|no such|not found)/i.test(err?.message || "");
+}
+
+// getMasterList entry -> the bill object the UI renders (see state-bills.js)
+export function normalizeMasterlistBill(b, stateAbbr) {
+  const number = b.number || b.bill_number || b.bill || "";
+  const title = b.title || b.description || "";
+  // `status` is LegiScan's numeric status code; the text is the last action
+  const statusText = b.last_action || b.status_text || b.status_detail || "";
+  const stage = stateStage(b, { state: stateAbbr });
+
+  // LegiScan provides a "url" to the bill page on LegiScan
+  const url = b.url || "";
+
+  // Use last_action_date if present
+  const date = b.last_action_date || b.last_action || b.introduced_date || "";
+
+  return {
+    id: String(b.bill_id || b.id || number || url),
+    number,
+    title,
+    description: b.description && b.description !== title ? b.description : "",
+    howItAffectsYou: title,          // your UI falls back to title; keep simple
+    date,
+    status: statusText,
+    statusDisplay: stage.display,
+    statusPriority: stage.priority,
+    stage,
+    url,                              // keep this as the "Read" link
+    legiscan_url: url,                // explicit field for frontend fallback chain
+    state: stateAbbr,
+    source: "legiscan"                // BillDetailsModal routes to state-bill-detail on this
+  };
+}
+
+// getMasterList returns an object keyed by bill_id plus a "session" key
+export function masterlistEntries(ml) {
+  const masterlist = ml?.masterlist || {};
+  return Object.entries(masterlist)
+    .filter(([k, v]) => k !== "session" && v && typeof v === "object")
+    .map(([, v]) => v);
+}
+
+// Newest text version we can read without a PDF parser (HTML / plain text), or null
+export function readableTextDoc(texts) {
+  return (Array.isArray(texts) ? texts : [])
+    .slice()
+    .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+    .find(t => /^text\/(html|plain)/i.test(t?.mime || "")) || null;
+}
+
+// getBillText document -> plain text ("" when empty)
+export async function billTextPlain(docId, apiKey) {
+  const data = await callLegiScan("getBillText", { id: docId }, apiKey);
+  const encoded = data?.text?.doc || "";
+  return encoded ? stripTags(Buffer.from(encoded, "base64").toString("utf8")) : "";
+}
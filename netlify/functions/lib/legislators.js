@@ -0,0 +1,121 @@
+// netlify/functions/lib/legislators.js
+//
+// Member data Congress.gov's API does not expose, from the public-domain
+// @unitedstates congress-legislators dataset:
+//   - committee assignments (committee-membership-current.json + committees-current.json)
+//   - Senate LIS ids, used to match Senate roll-call XML to bioguide ids (legislators-current.json)
+//   - office phone numbers and web contact forms (legislators-current.json)
+//   - committee rosters (who to contact about a referred bill)
+//
+// The files are fetched once per warm function instance.
+
+const DATA_BASE = "https://unitedstates.github.io/congress-legislators";
+
+const loaded = {};
+
+async function loadJson(file) {
+  if (!loaded[file]) {
+    loaded[file] = fetch(`${DATA_BASE}/${file}`)
+      .then(r => {
+        if (!r.ok) throw new Error(`${file}: ${r.status}`);
+        return r.json();
+      })
+      .catch(e => {
+        delete loaded[file]; // retry on the next call instead of caching the failure
+        throw e;
+      });
+  }
+  return loaded[file];
+}
+
+export async function loadLegislators() {
+  return loadJson("legislators-current.json");
+}
+
+// thomas_id ("HSJU", "HSJU08") -> { name, chamber, parent }
+async function committeeIndex() {
+  const committees = await loadJson("committees-current.json");
+  const index = {};
+  for (const c of committees) {
+    const chamber = c.type === "house" ? "House" : c.type === "senate" ? "Senate" : "Joint";
+    index[c.thomas_id] = { name: c.name, chamber, parent: null, url: c.url || "" };
+    for (const sc of c.subcommittees || []) {
+      index[c.thomas_id + sc.thomas_id] = { name: sc.name, chamber, parent: c.name, url: "" };
+    }
+  }
+  return index;
+}
+
+// -> [{ code, name, chamber, parent, title, rank, side }]
+export async function committeeAssignments(bioguideId) {
+  const [membership, index] = await Promise.all([loadJson("committee-membership-current.json"), committeeIndex()]);
+  const out = [];
+  for (const [code, members] of Object.entries(membership)) {
+    const seat = (members || []).find(m => m.bioguide === bioguideId);
+    if (!seat) continue;
+    const info = index[code] || { name: code, chamber: "", parent: null };
+    out.push({
+      code,
+      name: info.name,
+      chamber: info.chamber,
+      parent: info.parent,
+      title: seat.title || "",
+      rank: seat.rank ?? null,
+      side: seat.party || "", // "majority" | "minority"
+    });
+  }
+  // Full committees first, then their subcommittees
+  return out.sort((a, b) => (a.parent ? 1 : 0) - (b.parent ? 1 : 0) || a.name.localeCompare(b.name));
+}
+
+// Senate roll-call XML identifies senators by LIS id ("S428")
+export async function bioguideByLisId() {
+  const legislators = await loadLegislators();
+  const map = {};
+  for (const l of legislators) if (l.id?.lis) map[l.id.lis] = l.id.bioguide;
+  return map;
+}
+
+function termContact(term) {
+  return { phone: term.phone || "", office: term.address || term.office || "", website: term.url || "", contactForm: term.contact_form || "" };
+}
+
+// Current-term contact details: { phone, office, website, contactForm }
+export async function contactInfo(bioguideId) {
+  const legislators = await loadLegislators();
+  const l = legislators.find(x => x.id?.bioguide === bioguideId);
+  const term = l?.terms?.[l.terms.length - 1];
+  if (!term) return null;
+  return termContact(term);
+}
+
+// bioguideId -> { bioguideId, name, party, state, district, chamber, contact }, or null if not serving
+export async function currentLegislator(bioguideId) {
+  const legislators = await loadLegislators();
+  const l = legislators.find(x => x.id?.bioguide === bioguideId);
+  const term = l?.terms?.[l.terms.length - 1];
+  if (!term) return null;
+  return {
+    bioguideId,
+    name: l.name?.official_full || `${l.name?.first || ""} ${l.name?.last || ""}`.trim(),
+    party: term.party || "",
+    state: term.state || "",
+    district: term.type === "rep" ? (term.district ?? null) : null,
+    chamber: term.type === "sen" ? "Senate" : "House",
+    contact: termContact(term),
+  };
+}
+
+// Congress.gov committee systemCode ("hsju00", "hsju08") -> thomas_id ("HSJU", "HSJU08")
+export function thomasIdFromSystemCode(systemCode) {
+  const code = String(systemCode || "").toUpperCase();
+  return code.endsWith("00") ? code.slice(0, -2) : code;
+}
+
+// thomas_id -> [{ bioguideId, name, title, rank, side }], chair and ranking member first
+export async function committeeMembers(code) {
+  const membership = await loadJson("committee-membership-current.json");
+  return (membership[code] || [])
+    .map(m => ({ bioguideId: m.bioguide, name: m.name, title: m.title || "", rank: m.rank ?? null, side: m.party || "" }))
+    .sort((a, b) => (b.title ? 1 : 0) - (a.title ? 1 : 0) || (a.side === b.side ? 0 : a.side === "majority" ? -1 : 1) || (a.rank ?? 99) - (b.rank ?? 99));
+}
@@ -0,0 +1,385 @@
+// =====================================================
+// SHARED: lib/legistar.js
+//
+// Legistar Web API (Granicus) fetch helpers, shared by
+// city-council.js and anything else that needs to read
+// a city's Legistar data (alerts, snapshots, ...).
+// =====================================================
+
+import { cached, cacheKey, ttlFor } from './cache.js';
+
+const LEGISTAR_BASE = 'https://webapi.legistar.com/v1';
+
+// Cache lifetimes (seconds) by endpoint — people and bodies barely change,
+// matters and events do. First match wins. See lib/cache.js.
+const LEGISTAR_TTLS = [
+    { match: /^Persons\/\d+\/Votes/, ttl: 3600, stale: 3600 * 6 },
+    { match: /^(Bodies|Persons|OfficeRecords)/, ttl: 86400, stale: 86400 * 7 },
+    { match: /^Matters\/\d+\/(Attachments|Texts)/, ttl: 86400, stale: 86400 * 7 },
+    { match: /^(Matters|Events|EventItems)/, ttl: 900, stale: 3600 * 6 },
+    { match: /.*/, ttl: 1800, stale: 3600 * 6 }
+];
+
+// { fresh: true } skips the cache (verification must not pass on week-old data)
+async function legistarFetch(client, endpoint, params = '', { fresh = false } = {}) {
+    const url = `${LEGISTAR_BASE}/${client}/${endpoint}${params ? '?' + params : ''}`;
+
+    const load = async () => {
+        console.log(`Fetching: ${url}`);
+
+        const response = await fetch(url, {
+            headers: { 'Accept': 'application/json' },
+            timeout: 15000
+        });
+
+        if (!response.ok) {
+            throw new Error(`Legistar API error: ${response.status} for ${url}`);
+        }
+
+        const text = await response.text();
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            console.log(`JSON parse failed for ${client}/${endpoint}. First 200 chars: ${text.substring(0, 200)}`);
+            throw new Error(`Legistar API returned non-JSON for ${client}/${endpoint}`);
+        }
+    };
+    return fresh ? load() : cached(cacheKey('legistar', url), ttlFor(LEGISTAR_TTLS, endpoint), load);
+}
+
+// Elected council members for a Legistar client (mayor + council, or a
+// county board of supervisors), not every staff account Legistar knows.
+// Returns { members, councilBodiesFound }.
+async function fetchCouncilMembers(client) {
+    // STRATEGY: Use OfficeRecords + Bodies to find ELECTED officials only.
+    // This prevents showing 252 city staff when citizens want the 7 council members.
+    
+    // Step 1: Get all bodies to identify council/board bodies
+    let bodies = [];
+    try {
+        bodies = await legistarFetch(client, 'Bodies');
+    } catch (e) {
+        console.log('Bodies fetch failed for', client);
+    }
+    
+    // Find council-type body IDs — prioritize the main governing body
+    // First look for the primary council body specifically
+    const primaryKeywords = ['city council', 'town council', 'mayor and council', 'mayor & council', 'board of supervisors', 'common council'];
+    const primaryBodies = bodies.filter(b => {
+        const name = (b.BodyName || '').toLowerCase();
+        return primaryKeywords.some(kw => name.includes(kw)) && b.BodyActiveFlag === 1;
+    });
+    
+    // If we found primary council bodies, use those. Otherwise fall back to broader search.
+    let councilBodies;
+    if (primaryBodies.length > 0) {
+        councilBodies = primaryBodies;
+    } else {
+        // Broader fallback — but exclude advisory boards, commissions, committees
+        const broadKeywords = ['council', 'mayor', 'aldermen'];
+        const excludeKeywords = ['advisory', 'committee', 'commission', 'subcommittee', 'task force', 'authority', 'board of adjustment', 'planning', 'zoning'];
+        councilBodies = bodies.filter(b => {
+            const name = (b.BodyName || '').toLowerCase();
+            const matchesBroad = broadKeywords.some(kw => name.includes(kw));
+            const isExcluded = excludeKeywords.some(kw => name.includes(kw));
+            return matchesBroad && !isExcluded && b.BodyActiveFlag === 1;
+        });
+    }
+    
+    const councilBodyIds = councilBodies.map(b => b.BodyId);
+    console.log(`Found ${councilBodyIds.length} council bodies for ${client}:`, councilBodies.map(b => b.BodyName));
+    
+    // Step 2: Get office records — these link persons to their elected/appointed positions
+    let officeRecords = [];
+    try {
+        officeRecords = await legistarFetch(client, 'OfficeRecords', '$orderby=OfficeRecordTitle');
+    } catch (e) {
+        console.log('Office records not available for', client);
+    }
+    
+    // Filter to active office records in council bodies
+    const now = new Date();
+    const activeCouncilOffices = officeRecords.filter(or => {
+        // Must be in a council body (or if no bodies found, keep all)
+        const inCouncilBody = councilBodyIds.length === 0 || councilBodyIds.includes(or.OfficeRecordBodyId);
+        // Must be currently active (no end date, or end date in future)
+        const isActive = !or.OfficeRecordEndDate || new Date(or.OfficeRecordEndDate) > now;
+        return inCouncilBody && isActive;
+    });
+    
+    // Get unique person IDs from active council offices
+    const councilPersonIds = [...new Set(activeCouncilOffices.map(or => or.OfficeRecordPersonId))];
+    
+    console.log(`Found ${councilPersonIds.length} council members for ${client}`);
+    
+    // Step 3: Fetch persons (use broad fetch since we'll filter by ID)
+    let persons = [];
+    try {
+        persons = await legistarFetch(client, 'Persons', '$filter=PersonActiveFlag eq 1&$orderby=PersonLastName');
+    } catch (e) {
+        console.log('Filtered persons query failed:', e.message);
+    }
+    
+    if (!persons || persons.length === 0) {
+        try {
+            persons = await legistarFetch(client, 'Persons', '$orderby=PersonLastName&$top=500');
+        } catch (e2) {
+            console.log('Unfiltered persons query failed:', e2.message);
+        }
+    }
+    
+    if (!persons || persons.length === 0) {
+        try {
+            persons = await legistarFetch(client, 'Persons');
+        } catch (e3) {
+            persons = [];
+        }
+    }
+    
+    // Step 4: Filter to only council members
+    let councilMembers;
+    if (councilPersonIds.length > 0) {
+        // We found council offices — filter strictly
+        councilMembers = persons.filter(p => councilPersonIds.includes(p.PersonId));
+    } else {
+        // No office records or bodies — fall back to all active persons
+        // but filter out obvious system/staff accounts
+        const excludeNames = ['system', 'monitor', 'view only', 'test', 'admin', 'clerk', 'secretary', 'attorney', 'manager', 'director', 'coordinator', 'analyst', 'assistant', 'staff'];
+        councilMembers = persons
+            .filter(p => p.PersonActiveFlag === 1)
+            .filter(p => {
+                const name = (p.PersonFullName || '').toLowerCase();
+                return !excludeNames.some(ex => name.includes(ex));
+            });
+    }
+    
+    // Step 5: Enrich with office record details
+    const enrichedMembers = councilMembers.map(p => {
+        const offices = activeCouncilOffices.filter(or => or.OfficeRecordPersonId === p.PersonId);
+        const primaryOffice = offices[0];
+        return {
+            id: p.PersonId,
+            firstName: p.PersonFirstName,
+            lastName: p.PersonLastName,
+            fullName: p.PersonFullName,
+            email: p.PersonEmail || null,
+            phone: p.PersonPhone || null,
+            website: p.PersonWWW || null,
+            address: [p.PersonAddress1, p.PersonCity1, p.PersonState1, p.PersonZip1].filter(Boolean).join(', ') || null,
+            title: primaryOffice ? primaryOffice.OfficeRecordTitle : null,
+            bodyName: primaryOffice ? primaryOffice.OfficeRecordBodyName : null,
+            startDate: primaryOffice ? primaryOffice.OfficeRecordStartDate : null,
+            endDate: primaryOffice ? primaryOffice.OfficeRecordEndDate : null,
+            active: true
+        };
+    });
+    
+    return { members: enrichedMembers, councilBodiesFound: councilBodyIds.length };
+}
+
+// Latest text version and attachment list for a matter. MatterText on the
+// matter itself is usually empty; the body lives under Versions/Texts.
+async function fetchMatterText(client, matterId) {
+    const [versions, attachments] = await Promise.all([
+        legistarFetch(client, `Matters/${matterId}/Versions`).catch(() => []),
+        legistarFetch(client, `Matters/${matterId}/Attachments`).catch(() => [])
+    ]);
+
+    let text = '';
+    let version = null;
+    // Versions come back as [{ Key: MatterTextId, Value: "1" }, ...]
+    const latest = (versions || []).slice().sort((a, b) => Number(b.Value) - Number(a.Value))[0];
+    if (latest) {
+        version = latest.Value;
+        try {
+            const t = await legistarFetch(client, `Matters/${matterId}/Texts/${latest.Key}`);
+            text = (t && t.MatterTextPlain) || '';
+        } catch (e) {
+            console.log(`Matter text fetch failed for ${client}/${matterId}:`, e.message);
+        }
+    }
+
+    return {
+        text,
+        version,
+        attachments: (attachments || []).map(a => ({
+            id: a.MatterAttachmentId,
+            name: a.MatterAttachmentName,
+            url: a.MatterAttachmentHyperlink,
+            fileName: a.MatterAttachmentFileName || null
+        }))
+    };
+}
+
+// Public legislation page for a matter on the city's Legistar site
+function matterUrl(client, matter) {
+    return `https://${client}.legistar.com/LegislationDetail.aspx?ID=${matter.MatterId}&GUID=${matter.MatterGuid}`;
+}
+
+// Watchlist / alert id for a matter: "legistar-{client}-{matterId}".
+// Client slugs can contain dashes (yuma-az), so the matter id is always the last segment.
+function matterWatchId(client, matterId) {
+    return `legistar-${client}-${matterId}`;
+}
+
+// Legistar caps a page at 1000 rows
+const VOTES_PAGE_SIZE = 1000;
+const MAX_VOTE_PAGES = 10;
+
+// A person's whole voting record, newest first. Each page is cached on its own
+// (lib/cache.js), so a warm record costs nothing.
+async function fetchPersonVotes(client, personId) {
+    const votes = [];
+    for (let page = 0; page < MAX_VOTE_PAGES; page++) {
+        const batch = await legistarFetch(client, `Persons/${personId}/Votes`,
+            `$top=${VOTES_PAGE_SIZE}&$skip=${page * VOTES_PAGE_SIZE}&$orderby=VoteLastModifiedUtc desc`);
+        votes.push(...batch);
+        if (batch.length < VOTES_PAGE_SIZE) break;
+    }
+    return votes;
+}
+
+// EventDate ("2026-03-10T00:00:00") + EventTime ("5:00 PM") -> local "2026-03-10T17:00"
+function eventStart(event) {
+    const day = String(event.EventDate || '').slice(0, 10);
+    if (!day) return null;
+    const m = String(event.EventTime || '').match(/(\d{1,2}):(\d{2})\s*([AP])\.?M/i);
+    if (!m) return `${day}T00:00`;
+    let hours = Number(m[1]) % 12;
+    if (m[3].toUpperCase() === 'P') hours += 12;
+    return `${day}T${String(hours).padStart(2, '0')}:${m[2]}`;
+}
+
+// Legistar event -> the meeting shape city-council.js serves (and
+// lib/city-adapters.js matches)
+function legistarMeeting(e) {
+    return {
+        id: e.EventId,
+        date: e.EventDate,
+        time: e.EventTime,
+        start: eventStart(e),
+        bodyName: e.EventBodyName,
+        location: e.EventLocation,
+        agendaStatus: e.EventAgendaStatusName,
+        minutesStatus: e.EventMinutesStatusName,
+        inSiteURL: e.EventInSiteURL,
+        agendaURL: e.EventAgendaFile,
+        minutesURL: e.EventMinutesFile,
+        videoURL: e.EventVideoPath || null,
+        comment: e.EventComment || null,
+        lastModified: e.EventLastModifiedUtc || null
+    };
+}
+
+// Tests if a Legistar client actually has data.
+// Checks for: active persons, recent matters, events.
+// Returns a report card with pass/fail for each. Reads bypass the cache
+// unless { fresh: false }.
+async function verifyCity(client, { fresh = true } = {}) {
+    const results = {
+        client,
+        portal: `https://${client}.legistar.com`,
+        checks: {},
+        overallPass: false,
+        timestamp: new Date().toISOString()
+    };
+    
+    // Check 1: Active persons (council members)
+    try {
+        const persons = await legistarFetch(client, 'Persons', '$top=10&$filter=PersonActiveFlag eq 1', { fresh });
+        const realPersons = persons.filter(p => 
+            p.PersonActiveFlag === 1 && 
+            p.PersonFullName && 
+            !p.PersonFullName.includes('System') && 
+            !p.PersonFullName.includes('View Only')
+        );
+        results.checks.persons = {
+            pass: realPersons.length > 0,
+            count: realPersons.length,
+            sample: realPersons.slice(0, 3).map(p => p.PersonFullName)
+        };
+    } catch (e) {
+        results.checks.persons = { pass: false, count: 0, error: e.message };
+    }
+    
+    // Check 2: Recent legislation (matters in last 12 months)
+    try {
+        const since = new Date();
+        since.setMonth(since.getMonth() - 12);
+        const recentDate = since.toISOString().split('T')[0];
+        const matters = await legistarFetch(client, 'Matters', 
+            `$top=10&$filter=MatterIntroDate ge datetime'${recentDate}'&$orderby=MatterIntroDate desc`,
+            { fresh }
+        );
+        results.checks.legislation = {
+            pass: matters.length > 0,
+            count: matters.length,
+            sample: matters.slice(0, 3).map(m => m.MatterFile || m.MatterName || 'Untitled')
+        };
+    } catch (e) {
+        results.checks.legislation = { pass: false, count: 0, error: e.message };
+    }
+    
+    // Check 3: Any events (past or future)
+    try {
+        const events = await legistarFetch(client, 'Events', '$top=10&$orderby=EventDate desc', { fresh });
+        results.checks.events = {
+            pass: events.length > 0,
+            count: events.length,
+            sample: events.slice(0, 3).map(e => `${e.EventBodyName} - ${e.EventDate}`)
+        };
+    } catch (e) {
+        results.checks.events = { pass: false, count: 0, error: e.message };
+    }
+    
+    // Overall: must have at least persons OR legislation with data
+    results.overallPass = (
+        (results.checks.persons?.pass || false) || 
+        (results.checks.legislation?.pass || false)
+    );
+    
+    return results;
+}
+
+// Usual Legistar client slugs for a place, most common first:
+// "Fort Collins", "CO" -> fortcollins, fortcollins-co, fortcollinsco, cityoffortcollins
+// "Pima County", "AZ"  -> pimacounty, pima-county, pimacountyaz, pima-county-az, pima
+function candidateClients(place, state, kind = 'city') {
+    const st = String(state || '').toLowerCase();
+    const base = String(place || '').toLowerCase()
+        .replace(/^(city|town|village) of\s+/, '')
+        .replace(/\s+county$/, '')
+        .replace(/[^a-z0-9]/g, '');
+    if (!base) return [];
+    const slugs = kind === 'county'
+        ? [`${base}county`, `${base}-county`, `${base}county${st}`, `${base}-county-${st}`, base]
+        : [base, `${base}-${st}`, `${base}${st}`, `cityof${base}`, `${base}city`];
+    return [...new Set(slugs)];
+}
+
+// Probes each candidate slug: a cheap Bodies request to see whether the client
+// exists, then verifyCity for the ones that do. `found` is the first slug that
+// passes. Sequential, to stay polite to Legistar.
+async function discoverClients(place, state, kind = 'city') {
+    const candidates = [];
+    let found = null;
+    for (const client of candidateClients(place, state, kind)) {
+        let exists = false;
+        try {
+            await legistarFetch(client, 'Bodies', '$top=1');
+            exists = true;
+        } catch (e) {
+            // Unknown clients answer with an error status
+        }
+        if (!exists) {
+            candidates.push({ client, exists, overallPass: false });
+            continue;
+        }
+        const report = await verifyCity(client);
+        candidates.push({ client, exists, overallPass: report.overallPass, checks: report.checks });
+        if (report.overallPass && !found) found = client;
+    }
+    return { place, state, kind, found, candidates };
+}
+
+export { LEGISTAR_BASE, legistarFetch, fetchCouncilMembers, fetchPersonVotes, fetchMatterText, matterUrl, matterWatchId, eventStart, legistarMeeting, verifyCity, candidateClients, discoverClients };
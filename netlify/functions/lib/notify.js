@@ -0,0 +1,156 @@
+// netlify/functions/lib/notify.js
+//
+// Pluggable notification transports for bill alerts.
+//
+//   getTransport("email") / getTransport("sms") -> { name, send(message) }
+//   message = { to, subject, text, headers }   (subject/headers ignored for SMS)
+//
+// Env vars:
+//   ALERT_EMAIL_TRANSPORT = smtp | file | console   (default console)
+//   ALERT_SMS_TRANSPORT   = twilio | file | console (default console)
+//   ALERT_OUTBOX_FILE     = JSON-lines file used by the file transport
+//                           (default <tmpdir>/civic-alerts-outbox.jsonl)
+//
+//   SMTP: SMTP_HOST, SMTP_PORT (implicit TLS, default 465), SMTP_USER, SMTP_PASS, ALERT_FROM_EMAIL
+//   Twilio: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER
+
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import tls from "node:tls";
+
+const consoleTransport = {
+  name: "console",
+  async send(message) {
+    console.log(`[alert → ${message.to}] ${message.subject || ""}\n${message.text}`);
+  },
+};
+
+function fileTransport(channel) {
+  return {
+    name: "file",
+    async send(message) {
+      const file = process.env.ALERT_OUTBOX_FILE || path.join(os.tmpdir(), "civic-alerts-outbox.jsonl");
+      const line = JSON.stringify({ channel, sentAt: new Date().toISOString(), ...message });
+      await fs.appendFile(file, line + "\n");
+    },
+  };
+}
+
+// -----------------------------------------------------
+// SMTP (implicit TLS, AUTH LOGIN) — just enough protocol
+// to hand one message to a relay such as SES or Postmark.
+// -----------------------------------------------------
+
+function smtpReader(socket) {
+  let buffer = "";
+  const waiters = [];
+  let failure = null;
+
+  const drain = () => {
+    while (waiters.length > 0) {
+      if (failure) { waiters.shift().reject(failure); continue; }
+      // A reply is any number of "250-..." lines followed by one "250 ..." line
+      const m = buffer.match(/^(?:\d{3}-[^\r\n]*\r\n)*(\d{3})(?: [^\r\n]*)?\r\n/);
+      if (!m) return;
+      buffer = buffer.slice(m[0].length);
+      waiters.shift().resolve({ code: Number(m[1]), text: m[0].trim() });
+    }
+  };
+
+  socket.setEncoding("utf8");
+  socket.on("data", chunk => { buffer += chunk; drain(); });
+  socket.on("error", err => { failure = err; drain(); });
+  socket.on("close", () => { failure = failure || new Error("SMTP connection closed"); drain(); });
+
+  return () => new Promise((resolve, reject) => { waiters.push({ resolve, reject }); drain(); });
+}
+
+async function smtpSend(message) {
+  const host = process.env.SMTP_HOST;
+  const port = Number(process.env.SMTP_PORT || 465);
+  const from = process.env.ALERT_FROM_EMAIL;
+  if (!host || !from) throw new Error("SMTP transport needs SMTP_HOST and ALERT_FROM_EMAIL");
+
+  const socket = tls.connect({ host, port, servername: host });
+  socket.setTimeout(15000, () => socket.destroy(new Error("SMTP timeout")));
+  const nextReply = smtpReader(socket);
+
+  const expect = async (codes, command) => {
+    if (command !== undefined) socket.write(command + "\r\n");
+    const reply = await nextReply();
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP ${command ? command.split(" ")[0] : "greeting"} failed: ${reply.text}`);
+    }
+    return reply;
+  };
+
+  try {
+    await expect([220]);
+    await expect([250], `EHLO ${os.hostname()}`);
+    if (process.env.SMTP_USER) {
+      await expect([334], "AUTH LOGIN");
+      await expect([334], Buffer.from(process.env.SMTP_USER).toString("base64"));
+      await expect([235], Buffer.from(process.env.SMTP_PASS || "").toString("base64"));
+    }
+    await expect([250], `MAIL FROM:<${from}>`);
+    await expect([250, 251], `RCPT TO:<${message.to}>`);
+    await expect([354], "DATA");
+
+    const headers = {
+      From: from,
+      To: message.to,
+      Subject: message.subject || "Civic Rights Alert",
+      Date: new Date().toUTCString(),
+      "MIME-Version": "1.0",
+      "Content-Type": "text/plain; charset=utf-8",
+      "Content-Transfer-Encoding": "8bit",
+      ...(message.headers || {}),
+    };
+    const head = Object.entries(headers).map(([k, v]) => `${k}: ${String(v).replace(/[\r\n]+/g, " ")}`).join("\r\n");
+    // Dot-stuffing: a line starting with "." must be doubled inside DATA
+    const body = String(message.text || "").replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+    await expect([250], `${head}\r\n\r\n${body}\r\n.`);
+    socket.write("QUIT\r\n");
+  } finally {
+    socket.end();
+  }
+}
+
+const smtpTransport = { name: "smtp", send: smtpSend };
+
+// -----------------------------------------------------
+// Twilio SMS
+// -----------------------------------------------------
+
+const twilioTransport = {
+  name: "twilio",
+  async send(message) {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const token = process.env.TWILIO_AUTH_TOKEN;
+    const from = process.env.TWILIO_FROM_NUMBER;
+    if (!sid || !token || !from) throw new Error("Twilio transport needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER");
+
+    const resp = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+      method: "POST",
+      headers: {
+        "Authorization": "Basic " + Buffer.from(`${sid}:${token}`).toString("base64"),
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({ To: message.to, From: from, Body: message.text }).toString(),
+    });
+    if (!resp.ok) throw new Error(`Twilio send failed: ${resp.status} ${await resp.text()}`);
+  },
+};
+
+export function getTransport(channel) {
+  const name = channel === "sms"
+    ? (process.env.ALERT_SMS_TRANSPORT || "console")
+    : (process.env.ALERT_EMAIL_TRANSPORT || "console");
+
+  if (name === "console") return consoleTransport;
+  if (name === "file") return fileTransport(channel);
+  if (name === "smtp" && channel === "email") return smtpTransport;
+  if (name === "twilio" && channel === "sms") return twilioTransport;
+  throw new Error(`Unknown ${channel} transport "${name}"`);
+}
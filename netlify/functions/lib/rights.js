@@ -0,0 +1,195 @@
+// netlify/functions/lib/rights.js
+//
+// Rights-impact analysis: which civil rights a bill touches, whether it
+// expands or restricts them, and why.
+//
+// Rules first: the text (CRS summary or bill text on detail views, the title
+// and description on lists) is split into sentences; a sentence that mentions
+// a right (RIGHTS[*].mention) and contains an expanding or restricting cue
+// counts toward that right. The strongest sentence becomes the rationale.
+// These are heuristics — they read wording, not intent — so every result
+// says what it was based on.
+//
+// Optional LLM pass (RIGHTS_LLM=on + ANTHROPIC_API_KEY): when the rules find
+// at least one right in full text, the model re-judges direction and writes
+// the rationale. Runs once per source version.
+//
+// Store:
+//   bill-rights  {bill id} -> analysis (see analyzeRights) + { version }
+//
+// Analysis shape:
+//   { direction: "expands" | "restricts" | "mixed" | "none", score,
+//     rights: [{ right, label, direction, confidence }], rationale, basis, analyzedAt }
+// `score` (0..~5) is the sum of per-right confidence — the "Rights impact" sort key.
+
+import { getStore } from "./store.js";
+import { generateText } from "./summaries.js";
+import { stripTags } from "./xml.js";
+
+export const RIGHTS = {
+  speech: { label: "Free speech", mention: /\bfree(dom of)? speech\b|\bspeech\b|\bexpression\b|first amendment|\bcensor\w*|content moderation|social media platforms?/i },
+  press: { label: "Press freedom", mention: /\bfreedom of the press\b|\bjournalis\w+|\bnews ?media\b|\breporters?\b/i },
+  religion: { label: "Religious freedom", mention: /\breligio\w+|\bfaith-based\b|\bworship\b|\bchurch(es)?\b/i },
+  assembly: { label: "Assembly & protest", mention: /\bassembl(y|e)\b|\bprotest\w*|\bdemonstrat(ions?|ors?)\b|\bpicket\w*|\briot\w*/i },
+  privacy: { label: "Privacy", mention: /\bprivacy\b|\bsurveil\w*|personal (data|information)|\bbiometric|facial recognition|data brokers?|\bwarrant(less)?\b|search(es)? and seizures?|fourth amendment|location data|\bgeolocation\b|\bwiretap\w*/i },
+  voting: { label: "Voting rights", mention: /\bvot(e|er|ers|ing)\b|\bballots?\b|\belections?\b|\bpolling\b|\bredistrict\w*/i },
+  dueProcess: { label: "Due process", mention: /due process|\bhabeas\b|\bbail\b|\bdetention\b|\bdetain\w*|\bjury\b|\btrial\b|\bcounsel\b|asset forfeiture|qualified immunity|\bdeport\w*|removal proceedings|\bsentenc\w*/i },
+  equalProtection: { label: "Equal protection", mention: /\bdiscriminat\w*|equal (protection|treatment|pay|opportunity)|civil rights|\bracial\b|sexual orientation|gender identity|\bdisabilit(y|ies)\b|national origin|\blgbtq?\+?|affirmative action|diversity, equity/i },
+  arms: { label: "Right to bear arms", mention: /\bfirearms?\b|\bguns?\b|second amendment|\bammunition\b|concealed carry/i },
+};
+
+// "prohibits agencies from purchasing location data without a warrant" — the
+// restriction is on the government, so it widens the right
+const PROTECTIVE_PROHIBITION = /\bprohibit\w*\b.{0,60}\bfrom (collecting|selling|sharing|using|purchasing|obtaining|accessing|tracking|discriminat\w*|surveil\w*|detain\w*|censor\w*|retaliat\w*)/i;
+
+// Wording that typically widens a right...
+const EXPANDS = [
+  /\bprotect(s|ing|ion|ions)?\b|\bsafeguard\w*|\bguarantee\w*|\brestor(e|es|ing)\b|\bstrengthen\w*/i,
+  /establish(es)? (a|the) right|\bright to\b|private right of action|access to counsel|appointed counsel/i,
+  PROTECTIVE_PROHIBITION,
+  /require\w* (a|an|the) (search )?warrant|\bbans? (the use of )?(facial recognition|surveillance|discrimination)/i,
+  /limits? (on )?(the )?(collection|retention|sharing|use) of|expand\w* (access|eligibility)/i,
+  /automatic voter registration|same[- ]day registration|early voting|mail(-in)? (voting|ballots?)/i,
+];
+
+// ...and wording that typically narrows one
+const RESTRICTS = [
+  /\brestrict\w*|\blimit(s|ing)? (access|the ability|eligibility)/i,
+  /\bprohibit\w* (any )?(person|individual|protest\w*|demonstrat\w*|the display|speech|gathering)s?\b(?!.{0,60}\bfrom (collecting|selling|sharing|using|purchasing|obtaining|accessing|tracking|discriminat|surveil|detain|censor|retaliat))/i,
+  /\bcriminaliz\w*|\bnew (criminal )?penalt(y|ies)\b|\bfelony\b/i,
+  /authoriz\w* (the )?(collection|surveillance|interception|monitoring|detention)|without a warrant|\bwarrantless\b|expand\w* (the )?(authority|surveillance|collection)/i,
+  /\bpurg(e|es|ing)\b|remov(e|es|al) (of )?(voters?|names) from|proof of citizenship|(photo|voter) (identification|id)\b|documentary proof/i,
+  /\bban(s|ning)? (books?|drag|the teaching)|mandatory minimum|eliminat\w* (the )?(right|protections?)|exempt\w* from (the )?(civil rights|anti-?discrimination)/i,
+];
+
+function sentences(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.;!?])\s+(?=[A-Z(])/)
+    .map(s => s.trim())
+    .filter(s => s.length > 10);
+}
+
+function count(patterns, sentence) {
+  return patterns.filter(re => re.test(sentence)).length;
+}
+
+function snippet(sentence) {
+  return sentence.length > 180 ? sentence.slice(0, 177).replace(/\s+\S*$/, "") + "…" : sentence;
+}
+
+function overallDirection(rights) {
+  const dirs = new Set(rights.map(r => r.direction));
+  if (dirs.size === 0) return "none";
+  if (dirs.size === 1) return [...dirs][0];
+  return "mixed";
+}
+
+// Rules-only analysis of `text`. `basis` says what the text was ("crs", "text", "title", ...).
+export function analyzeRights(text, { basis = "title" } = {}) {
+  const perRight = {};
+  for (const sentence of sentences(stripTags(text))) {
+    const up = count(EXPANDS, sentence);
+    const down = count(RESTRICTS, PROTECTIVE_PROHIBITION.test(sentence) ? sentence.replace(/without a warrant|\bwarrantless\b/gi, "") : sentence);
+    if (!up && !down) continue;
+    for (const [right, def] of Object.entries(RIGHTS)) {
+      if (!def.mention.test(sentence)) continue;
+      const r = perRight[right] = perRight[right] || { up: 0, down: 0, best: null, bestWeight: 0 };
+      r.up += up;
+      r.down += down;
+      if (up + down > r.bestWeight) { r.best = sentence; r.bestWeight = up + down; }
+    }
+  }
+
+  // Titles are one sentence; cap their confidence below anything read from real text
+  const maxConfidence = basis === "title" ? 0.5 : 0.9;
+  const rights = Object.entries(perRight).map(([right, r]) => ({
+    right,
+    label: RIGHTS[right].label,
+    direction: r.up && r.down ? "mixed" : r.up ? "expands" : "restricts",
+    confidence: Math.min(maxConfidence, Math.round((0.35 + 0.15 * (r.up + r.down)) * 100) / 100),
+    evidence: r.best,
+  })).sort((a, b) => b.confidence - a.confidence);
+
+  const rationale = rights.slice(0, 2)
+    .map(r => `${r.direction === "mixed" ? "Mixed effect on" : r.direction === "expands" ? "Expands" : "Restricts"} ${r.label.toLowerCase()}: "${snippet(r.evidence)}"`)
+    .join(" ");
+
+  return {
+    direction: overallDirection(rights),
+    score: Math.round(rights.reduce((sum, r) => sum + r.confidence, 0) * 100) / 100,
+    rights: rights.map(({ evidence, ...r }) => r),
+    rationale,
+    basis,
+  };
+}
+
+// Model re-judges the rules' candidates; returns null when the reply isn't usable
+async function llmRights(text, title, rules, apiKey) {
+  const prompt = `You are assessing how a bill affects civil rights and liberties. Bill: "${title}".\n\nText:\n${String(stripTags(text)).replace(/\s+/g, " ").slice(0, 12000)}\n\nWhich of these rights does it materially affect, and does it expand or restrict each one? Rights: ${Object.keys(RIGHTS).join(", ")}. An automated first pass suggested: ${rules.rights.map(r => `${r.right} (${r.direction})`).join(", ") || "none"}.\n\nAnswer with JSON only, no prose: {"rights":[{"right":"privacy","direction":"expands|restricts|mixed"}],"rationale":"one or two neutral, factual sentences"}. Use an empty list if no right is materially affected.`;
+  const reply = await generateText(prompt, apiKey, { maxTokens: 400 });
+  const json = reply.match(/\{[\s\S]*\}/);
+  if (!json) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(json[0]);
+  } catch {
+    return null;
+  }
+  const rights = (Array.isArray(parsed.rights) ? parsed.rights : [])
+    .filter(r => RIGHTS[r.right] && ["expands", "restricts", "mixed"].includes(r.direction))
+    .map(r => ({ right: r.right, label: RIGHTS[r.right].label, direction: r.direction, confidence: 0.8 }));
+  return {
+    direction: overallDirection(rights),
+    score: Math.round(rights.length * 0.8 * 100) / 100,
+    rights,
+    rationale: String(parsed.rationale || "").slice(0, 500),
+    basis: "llm",
+  };
+}
+
+function rightsStore() {
+  return getStore("bill-rights");
+}
+
+function llmEnabled() {
+  return /^(on|1|true)$/i.test(process.env.RIGHTS_LLM || "") && !!process.env.ANTHROPIC_API_KEY;
+}
+
+// Detail views: analyze full text once per `version` and store it for lists.
+// `text` may be an async function so it's only fetched for a new version.
+export async function billRightsImpact({ id, version, title, text: textOrFn, basis }) {
+  const store = rightsStore();
+  const stored = await store.get(String(id));
+  if (stored && stored.version === version) return stored;
+
+  const text = typeof textOrFn === "function" ? await textOrFn() : textOrFn;
+
+  const source = [title, text].filter(Boolean).join(". ");
+  let analysis = analyzeRights(source, { basis });
+  if (analysis.rights.length > 0 && text && llmEnabled()) {
+    try {
+      analysis = (await llmRights(text, title, analysis, process.env.ANTHROPIC_API_KEY)) || analysis;
+    } catch (e) {
+      console.log("Rights LLM pass failed:", e.message);
+    }
+  }
+
+  const record = { ...analysis, version, analyzedAt: new Date().toISOString() };
+  await store.set(String(id), record);
+  return record;
+}
+
+// Lists: stored analysis when there is one, else rules over title + description
+export async function attachRightsImpact(bills) {
+  const store = rightsStore();
+  const list = bills || [];
+  for (let i = 0; i < list.length; i += 10) {
+    await Promise.all(list.slice(i, i + 10).map(async (bill) => {
+      const stored = await store.get(String(bill.id)).catch(() => null);
+      const { version, analyzedAt, ...analysis } = stored || analyzeRights([bill.title, bill.description].filter(Boolean).join(". "), { basis: "title" });
+      bill.rightsImpact = analysis;
+    }));
+  }
+  return list;
+}
@@ -0,0 +1,160 @@
+// netlify/functions/lib/similar.js
+//
+// The same bill in other legislatures: model bills introduced in several
+// states, or one state's bill copied from another's. state-bill-detail.js
+// returns the matches as `similarBills`.
+//
+// Candidates come from a LegiScan full-text search (all states, current
+// sessions) on the bill's most distinctive title words. Each is scored by
+// title overlap once state names and "relating to"-style boilerplate are
+// removed; borderline titles are settled by comparing the opening of the
+// bill texts (5-word shingles), which catches renamed copies.
+//
+// The search costs up to ten LegiScan calls, so similarStateBills keeps the
+// result until the bill's change_hash moves or it is SIMILAR_MAX_AGE_MS old
+// (other legislatures keep introducing copies):
+//   similar-bills  {bill_id} -> { changeHash, checkedAt, bills }
+
+import { callLegiScan, readableTextDoc, billTextPlain, STATE_NAME_TO_ABBR } from "./legiscan.js";
+import { stateStage } from "./stage.js";
+import { getStore } from "./store.js";
+
+// Title overlap (Dice, 0..1) that counts as the same bill on its own
+const TITLE_MATCH = 0.6;
+// Below TITLE_MATCH but at least this: compare texts
+const TITLE_MAYBE = 0.25;
+// Shared 5-word shingles (share of the shorter text) that counts as the same text
+const TEXT_MATCH = 0.3;
+// getBill + getBillText per borderline candidate
+const MAX_TEXT_CHECKS = 4;
+// Opening of each text compared; the operative sections come first
+const TEXT_CHARS = 6000;
+const MAX_RESULTS = 25;
+const SIMILAR_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "or", "the", "of", "to", "in", "on", "for", "by", "with", "as", "at", "from", "be",
+  "is", "are", "that", "this", "which", "its", "their", "any", "all", "certain", "other", "such",
+  "act", "acts", "bill", "relating", "relative", "concerning", "regarding", "providing", "provide",
+  "amend", "amending", "amends", "amended", "section", "sections", "chapter", "title", "statute",
+  "statutes", "revised", "code", "annotated", "law", "laws", "state", "states", "general", "making",
+  "establish", "establishing", "create", "creating", "requirement", "requirements", "related", "matters",
+  "appropriation", "appropriations", "effective", "date", "purposes", "thereto", "therein",
+]);
+
+const STATE_WORDS = new Set(Object.keys(STATE_NAME_TO_ABBR).flatMap(name => name.split(" ")));
+
+// "Relating to the Arizona Voting Rights Act; amending sections 16-101..." -> ["voting", "right"]
+export function titleTerms(title) {
+  const words = String(title || "")
+    .toLowerCase()
+    .replace(/[^a-z\s-]/g, " ")
+    .split(/[\s-]+/)
+    .map(w => (w.length > 4 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w))
+    .filter(w => w.length > 2 && !STOPWORDS.has(w) && !STATE_WORDS.has(w));
+  return [...new Set(words)];
+}
+
+// Dice coefficient of two term lists
+export function titleSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  const shared = a.filter(t => setB.has(t)).length;
+  return (2 * shared) / (a.length + b.length);
+}
+
+function shingles(text) {
+  const words = String(text || "").slice(0, TEXT_CHARS).toLowerCase().match(/[a-z0-9]+/g) || [];
+  const out = new Set();
+  for (let i = 0; i + 5 <= words.length; i++) out.add(words.slice(i, i + 5).join(" "));
+  return out;
+}
+
+// Shared shingles as a share of the shorter text (0..1)
+export function textSimilarity(a, b) {
+  const sa = shingles(a);
+  const sb = shingles(b);
+  if (sa.size === 0 || sb.size === 0) return 0;
+  let shared = 0;
+  for (const s of sa) if (sb.has(s)) shared++;
+  return shared / Math.min(sa.size, sb.size);
+}
+
+// getSearch results are keyed "0", "1", ... plus "summary"
+function searchResults(data) {
+  const results = data?.searchresult || {};
+  return Object.entries(results).filter(([k, v]) => k !== "summary" && v && typeof v === "object").map(([, v]) => v);
+}
+
+async function readableText(billId, apiKey) {
+  const data = await callLegiScan("getBill", { id: billId }, apiKey);
+  const doc = readableTextDoc(data.bill?.texts);
+  return doc ? billTextPlain(doc.doc_id, apiKey) : "";
+}
+
+function toBill(r, similarity, basis) {
+  const status = r.last_action || "";
+  const stage = stateStage(r);
+  return {
+    id: String(r.bill_id),
+    number: r.bill_number || "",
+    title: r.title || "",
+    date: r.last_action_date || "",
+    status,
+    statusDisplay: stage.display,
+    statusPriority: stage.priority,
+    stage,
+    url: r.url || "",
+    legiscan_url: r.url || "",
+    state: r.state || "",
+    source: "legiscan",
+    similarity: Math.round(similarity * 100) / 100,
+    basis,
+  };
+}
+
+// `bill` is a LegiScan getBill bill; `text` an optional async () => its plain text.
+// -> [bill-list objects + { similarity, basis: "title" | "text" }], best first
+export async function findSimilarStateBills(bill, apiKey, { text } = {}) {
+  const terms = titleTerms(bill.title || bill.description);
+  if (terms.length < 2) return [];
+
+  // Longer words are usually the distinctive ones; too many terms and nothing matches
+  const query = [...terms].sort((a, b) => b.length - a.length).slice(0, 4).join(" ");
+  const data = await callLegiScan("getSearch", { state: "ALL", query }, apiKey);
+
+  const scored = searchResults(data)
+    .filter(r => r.state !== bill.state && String(r.bill_id) !== String(bill.bill_id))
+    .map(r => ({ r, score: titleSimilarity(terms, titleTerms(r.title)) }))
+    .filter(c => c.score >= TITLE_MAYBE)
+    .sort((a, b) => b.score - a.score);
+
+  const matches = scored.filter(c => c.score >= TITLE_MATCH).map(c => toBill(c.r, c.score, "title"));
+
+  const borderline = scored.filter(c => c.score < TITLE_MATCH).slice(0, MAX_TEXT_CHECKS);
+  const sourceText = borderline.length > 0 && text ? await text().catch(() => "") : "";
+  if (sourceText) {
+    const texts = await Promise.all(borderline.map(c => readableText(c.r.bill_id, apiKey).catch(() => "")));
+    borderline.forEach((c, i) => {
+      const score = textSimilarity(sourceText, texts[i]);
+      if (score >= TEXT_MATCH) matches.push(toBill(c.r, score, "text"));
+    });
+  }
+
+  return matches.sort((a, b) => b.similarity - a.similarity).slice(0, MAX_RESULTS);
+}
+
+// findSimilarStateBills through the "similar-bills" store
+export async function similarStateBills(bill, apiKey, opts = {}) {
+  const store = getStore("similar-bills");
+  const key = String(bill.bill_id);
+  const changeHash = bill.change_hash || "";
+  const stored = await store.get(key);
+  if (stored && stored.changeHash === changeHash && Date.now() - Date.parse(stored.checkedAt) < SIMILAR_MAX_AGE_MS) {
+    return stored.bills;
+  }
+
+  const bills = await findSimilarStateBills(bill, apiKey, opts);
+  await store.set(key, { changeHash, checkedAt: new Date().toISOString(), bills });
+  return bills;
+}
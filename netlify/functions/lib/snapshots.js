@@ -0,0 +1,166 @@
+// netlify/functions/lib/snapshots.js
+//
+// Bill history snapshots: every list fetch (and the scheduled snapshot-sweep)
+// records each bill's stage / statusPriority / latest action, so we can answer
+// "what changed since yesterday?".
+//
+// Stores:
+//   bill-snapshots  {bill id} -> { id, source, bill, firstSeenAt, lastSeenAt, changedAt, history: [...] }
+//   bill-changes    {source}/{YYYY-MM-DD}/{state|city|-}/{changedAt}:{bill id} -> change record
+//                   (source, day and scope prefixes let the changes endpoint filter on the listing)
+//
+// Works with any normalized bill object that has id + source + status fields
+// (get-bills.js, state-bills.js, city-council.js legislation).
+
+import { getStore } from "./store.js";
+
+const HISTORY_LIMIT = 20;
+const MAX_CHANGE_WINDOW_DAYS = 31;
+const CHANGE_SOURCES = ["congress.gov", "legiscan", "legistar"];
+
+// Which fields count as a "change", and the name the changes endpoint reports
+const TRACKED_FIELDS = { statusDisplay: "stage", statusPriority: "statusPriority", status: "action" };
+
+function pick(bill) {
+  return {
+    statusDisplay: bill.statusDisplay ?? "",
+    statusPriority: bill.statusPriority ?? null,
+    status: bill.status ?? "",
+    date: bill.date || "",
+  };
+}
+
+// Cheap "did anything we track change?" key, so sweeps can skip bills without
+// reading their snapshot
+export function snapshotFingerprint(bill) {
+  const { statusDisplay, statusPriority, status, date } = pick(bill);
+  return [statusDisplay, statusPriority, status, date].join("|");
+}
+
+// A state bill is scoped by its state, a city matter by its city, a federal bill by nothing
+function changeScope({ state, city }) {
+  return encodeURIComponent(state || city || "-");
+}
+
+function changeKey(change) {
+  return `${change.source}/${change.changedAt.slice(0, 10)}/${changeScope(change)}/${change.changedAt}:${change.id}`;
+}
+
+async function mapLimit(items, limit, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += limit) {
+    results.push(...await Promise.all(items.slice(i, i + limit).map(fn)));
+  }
+  return results;
+}
+
+// Returns the change records written (bills seen for the first time only get a baseline)
+export async function recordSnapshots(bills, { seenAt = new Date().toISOString() } = {}) {
+  const snapshots = getStore("bill-snapshots");
+  const changeLog = getStore("bill-changes");
+
+  const changes = await mapLimit((bills || []).filter(b => b && b.id && b.source), 10, async (bill) => {
+    const id = String(bill.id);
+    const current = pick(bill);
+    const previous = await snapshots.get(id);
+
+    if (!previous) {
+      await snapshots.set(id, {
+        id, source: bill.source, bill, firstSeenAt: seenAt, lastSeenAt: seenAt, changedAt: null,
+        history: [{ ...current, seenAt }],
+      });
+      return null;
+    }
+
+    const before = previous.history[previous.history.length - 1] || {};
+    const changed = Object.entries(TRACKED_FIELDS)
+      .filter(([field]) => String(before[field] ?? "") !== String(current[field] ?? ""))
+      .map(([, name]) => name);
+
+    if (changed.length === 0) {
+      // Only bump lastSeenAt once an hour — avoids a write per bill on every page view
+      if (Date.parse(seenAt) - Date.parse(previous.lastSeenAt || 0) > 60 * 60 * 1000) {
+        await snapshots.set(id, { ...previous, bill, lastSeenAt: seenAt });
+      }
+      return null;
+    }
+
+    const change = {
+      id,
+      source: bill.source,
+      state: bill.state || null,
+      city: bill.city || null,
+      changedAt: seenAt,
+      changed,
+      from: { statusDisplay: before.statusDisplay, statusPriority: before.statusPriority, status: before.status, date: before.date },
+      to: current,
+      bill,
+    };
+    await snapshots.set(id, {
+      ...previous, bill, lastSeenAt: seenAt, changedAt: seenAt,
+      history: [...previous.history, { ...current, seenAt }].slice(-HISTORY_LIMIT),
+    });
+    await changeLog.set(changeKey(change), change);
+    return change;
+  });
+
+  return changes.filter(Boolean);
+}
+
+// Changes recorded at or after `since`, newest first
+export async function listChanges({ since, source, state, city, limit = 100 } = {}) {
+  const changeLog = getStore("bill-changes");
+  const now = new Date();
+  let start = new Date(since);
+  if (isNaN(start)) start = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const earliest = new Date(now.getTime() - MAX_CHANGE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (start < earliest) start = earliest;
+
+  const days = [];
+  for (let d = new Date(start.toISOString().slice(0, 10)); d <= now; d.setUTCDate(d.getUTCDate() + 1)) {
+    days.push(d.toISOString().slice(0, 10));
+  }
+
+  // A state or city filter already implies the source
+  const sources = source ? [source] : state ? ["legiscan"] : city ? ["legistar"] : CHANGE_SOURCES;
+  const scope = state || city ? `${changeScope({ state, city })}/` : "";
+  const prefixes = sources.flatMap(src => days.map(day => `${src}/${day}/${scope}`));
+
+  // Keys end in "{changedAt}:{bill id}", so the window, newest-first order and
+  // the `limit` bills can all be settled before reading any record
+  const sinceIso = start.toISOString();
+  const entries = (await Promise.all(prefixes.map(prefix => changeLog.list(prefix)))).flat()
+    .map(key => {
+      const tail = key.slice(key.lastIndexOf("/") + 1);
+      const split = tail.lastIndexOf(":");
+      return { key, changedAt: tail.slice(0, split), id: tail.slice(split + 1) };
+    })
+    .filter(e => e.changedAt >= sinceIso)
+    .sort((a, b) => (a.changedAt < b.changedAt ? 1 : a.changedAt > b.changedAt ? -1 : 0));
+
+  const ids = new Set();
+  for (const e of entries) {
+    if (ids.size >= limit) break;
+    ids.add(e.id);
+  }
+
+  // One entry per bill: newest `to`, oldest `from` inside the window (records are newest first)
+  const records = await mapLimit(entries.filter(e => ids.has(e.id)), 20, e => changeLog.get(e.key));
+  const byId = new Map();
+  for (const change of records) {
+    if (!change) continue;
+    const newer = byId.get(change.id);
+    if (newer) {
+      newer.from = change.from;
+      newer.changed = [...new Set([...newer.changed, ...change.changed])];
+      newer.changeCount++;
+    } else {
+      byId.set(change.id, { ...change, changeCount: 1 });
+    }
+  }
+  return { since: sinceIso, changes: [...byId.values()] };
+}
+
+export async function getSnapshot(id) {
+  return getStore("bill-snapshots").get(String(id));
+}
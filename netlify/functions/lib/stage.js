@@ -0,0 +1,458 @@
+// netlify/functions/lib/stage.js
+//
+// Where a bill stands, the same way for federal and state bills:
+//
+//   introduced -> committee -> floor -> passed-one -> passed-both -> executive -> law
+//                                                       (or adopted / vetoed / failed)
+//
+// with each chamber tracked on its own. Structured data drives it wherever
+// the sources have it: Congress.gov action codes and action `type`s, LegiScan's
+// numeric `status` and `progress` events. Action text only fills in what those
+// don't say (hearings, floor calendars, amendments) and is all list views get
+// for federal bills (`latestAction`). Text patterns are anchored on how an
+// action starts, so "Referred to the Committee ... after passed House" is a
+// referral and "Motion to reconsider laid on the table" is procedure that
+// leaves the stage where it was.
+//
+// federalStage() / stateStage() -> {
+//   key,        "introduced" | "committee" | "floor" | "passed-one" | "passed-both" |
+//               "executive" | "law" | "adopted" | "vetoed" | "failed"
+//   display,    badge text ("Passed House", "Reported by Committee", ...)
+//   priority,   StatusBadge / sort rank: 2 failed, 3 introduced, 4-6 committee,
+//               7 floor, 8 passed / with the executive, 9 vetoed, 10 law
+//   step,       furthest point reached on STAGE_PATH (0..6)
+//   chambers,   [{ name, status, date }], origin first; status is
+//               "pending" | "introduced" | "committee" | "reported" | "floor" | "passed" | "failed"
+//   executive,  "President" | "Governor" | null (resolutions stop at the legislature)
+//   path,       [{ key, label, step }]: the STAGE_PATH steps this measure can take, for
+//               progress trackers (one-chamber measures skip "passed-one")
+//   timeline,   [{ key, date, skipped? }]: when each STAGE_PATH step up to `step` was reached,
+//               then "vetoed" / "failed" if it ended there; "" where the source has no date.
+//               `skipped` marks steps one action jumped past (reported and passed at once)
+//   amended,    true once an amendment was adopted
+// }
+
+export const STAGE_PATH = ["introduced", "committee", "floor", "passed-one", "passed-both", "executive", "law"];
+
+const CHAMBER_ORDER = { pending: 0, introduced: 1, committee: 2, reported: 3, floor: 4, passed: 5 };
+
+// ============ ACTION TEXT ============
+
+// Amendment latest-action text -> "agreed" | "failed" | "withdrawn" | "pending"
+export function amendmentStatus(actionText) {
+  const t = String(actionText || "").toLowerCase();
+  // A motion to table the amendment inverts the vote: tabling kills it,
+  // a failed motion leaves it pending
+  if (/motion to table the (.{0,40} )?amendment/.test(t)) {
+    if (/not agreed to|failed|rejected/.test(t)) return "pending";
+    if (/agreed to|adopted/.test(t)) return "failed";
+  }
+  if (/not agreed to|failed|rejected|tabled|fell when/.test(t)) return "failed";
+  if (/withdrawn/.test(t)) return "withdrawn";
+  if (/agreed to|adopted/.test(t)) return "agreed";
+  return "pending";
+}
+
+// Amendment votes in a bill's actions feed ("S.Amdt.2110 Amendment SA 2110 agreed to
+// in Senate by Voice Vote.", "H.Amdt.45 ... On agreeing to the Jackson amendment ...")
+const AMENDMENT_ACTION = /\b[hs]\.\s?(?:up\.\s?)?amdt\.?\s?\d+|\bamendment\s+(?:sa|no\.)\s?\d+|\bon agreeing to the .{0,60}amendment|amendment in the nature of a substitute/i;
+
+export function isAmendmentAction(actionText) {
+  return AMENDMENT_ACTION.test(String(actionText || ""));
+}
+
+// First chamber an action names ("Passed Senate", "Received in the House", "In Assembly."),
+// skipping the chamber it came from ("... after passed House", "message from the Senate")
+function chamberFromText(t) {
+  const m = t.replace(/\b(after passed|from the|from) (house|senate|assembly)\b/g, "").match(/\b(house|senate|assembly|legislature)\b/);
+  return m ? m[1][0].toUpperCase() + m[1].slice(1) : "";
+}
+
+// Action text -> { kind, chamber, after?, committee? }. Kinds: introduced, referred, hearing, reported,
+// floor, amendment, amendment-agreed, passed, failed, received, resolving,
+// enrolled, presented, law, vetoed, overridden, procedural, other
+export function classifyActionText(text) {
+  const t = String(text || "").toLowerCase().trim();
+  const chamber = chamberFromText(t);
+  const kind = (k, c = chamber) => ({ kind: k, chamber: c });
+
+  if (/became (public|private) law|^signed by (the )?(president|governor)|^(approved|signed) by (the )?governor|^chaptered|chaptered by secretary of state|^enacted/.test(t)) return kind("law");
+  if (/^veto overridden|overrode the veto|^override of veto (passed|successful)/.test(t)) return kind("overridden");
+  if (/^vetoed|vetoed by (the )?(president|governor)|^veto message|pocket veto/.test(t)) return kind("vetoed");
+  if (/^presented to (the )?(president|governor)|^(sent|delivered|transmitted) to (the )?governor|^to governor/.test(t)) return kind("presented");
+  if (/^enrolled\b|^(signed by|presented to) (the )?(speaker|president of the senate)/.test(t)) return kind("enrolled");
+  if (/^resolving differences|^conference report|^conferees|^message on (house|senate) action/.test(t)) return kind("resolving");
+
+  const passage = /^(passed|agreed to)\b|^passed\/agreed to in|^(resolution|bill|measure|concurrent resolution|joint resolution) (passed|agreed to)|considered,? and (passed|agreed to)|on passage passed|on motion to suspend the rules and (pass|agree to)\b.*\bagreed to\b|^(read (a )?third time\W+(and )?)?passed|\bthird read(ing)?\W+(and )?(final )?pass|\bpassed (the )?(house|senate|assembly)\b|^on (agreeing to the (concurrent |joint )?resolution|passage)\b.*(?<!not )\bagreed to\b/.test(t);
+  // Reconsidering or tabling a vote already taken doesn't move the bill
+  if (!passage && /^motion to (reconsider|table)|laid on the table/.test(t)) return kind("procedural");
+  if (!passage && /^motion to (recommit|proceed)|^cloture/.test(t)) return kind("floor");
+
+  // "Received in the Senate" means the other chamber passed it
+  const received = t.match(/^received in the (house|senate|assembly)|^(?:in (?:the )?(house|senate|assembly)\W+)?received from the (house|senate|assembly)/);
+  if (received) {
+    if (received[1]) return kind("received", chamberFromText(received[1]));
+    return { kind: "received", chamber: received[2] ? chamberFromText(received[2]) : "", from: chamberFromText(received[3]) };
+  }
+
+  if (/^(read (the )?(first time|twice) and )?(re-?)?referred\b|^re-?refer/.test(t)) {
+    const after = t.match(/after passed (house|senate|assembly)/);
+    return after ? { ...kind("referred"), after: chamberFromText(after[1]) } : kind("referred");
+  }
+  if (/^reported\b|reported (by|to|favorably|with|without|out)|ordered to be reported|do pass|^(committee )?report(ed)? (pass|adopted)|^from committee/.test(t)) return kind("reported");
+  if (!passage && isAmendmentAction(t)) {
+    const committee = /committee|markup|mark-up/.test(t) && !/[hs]\.\s?(?:up\.\s?)?amdt/.test(t);
+    return { ...kind(amendmentStatus(t) === "agreed" ? "amendment-agreed" : "amendment"), committee };
+  }
+  if (/failed of passage|on passage failed|passage failed|^failed\b|^defeated|^died|indefinitely postponed|postponed indefinitely|not agreed to in (house|senate)|^on (agreeing to the (concurrent |joint )?resolution|passage)\b.*\b(failed|not agreed to)\b/.test(t)) return kind("failed");
+  if (passage) return kind("passed");
+
+  if (/hearing|markup|mark-up|executive session|subcommittee/.test(t)) return kind("hearing");
+  if (/placed on .*calendar|^(second|third) reading|read (a )?(second|third) time|floor consideration|^considered\b|^special order|^rule .*provid/.test(t)) return kind("floor");
+  if (/committee/.test(t)) return kind("referred");
+  if (/introduced|^read (the )?first time|^read twice|^prefiled|^filed|sponsor introductory/.test(t)) return kind("introduced");
+  return kind("other");
+}
+
+// ============ REPLAY ============
+
+function otherChamber(chambers, name) {
+  return chambers.find(c => c.name !== name) || null;
+}
+
+function stagePath(chambers, executive) {
+  const [origin, other] = chambers.map(c => c.name);
+  return [
+    { key: "introduced", label: "Introduced" },
+    { key: "committee", label: "Committee" },
+    { key: "floor", label: "Floor" },
+    other ? { key: "passed-one", label: `Passed ${origin}` } : null,
+    { key: "passed-both", label: `Passed ${other || origin}` },
+    executive ? { key: "executive", label: executive } : null,
+    executive ? { key: "law", label: "Law" } : null,
+  ].filter(Boolean).map(s => ({ ...s, step: STAGE_PATH.indexOf(s.key) }));
+}
+
+// events: [{ kind, chamber?, date? }] oldest first.
+// opts: { origin, lower, chambers: 1 | 2, executive: "President" | "Governor" | null, amendmentAdopted }
+function replay(events, { origin, lower = "House", chambers: count = 2, executive = null, amendmentAdopted = false }) {
+  const names = count === 1 ? [origin] : [origin, origin === "Senate" ? lower : "Senate"];
+  const chambers = names.map(name => ({ name, status: "pending", date: "" }));
+  const byName = (name) => chambers.find(c => c.name === name) || null;
+  let current = chambers[0];
+  current.status = "introduced";
+  let outcome = null;          // "presented" | "law" | "overridden" | "vetoed"
+  let amended = amendmentAdopted;
+  let lastAmendment = null;    // "committee" | "floor", while it is the newest event
+  let hearing = false;
+  let resolving = false;
+
+  const advance = (c, status, date) => {
+    if (!c || c.status === "passed" || c.status === "failed") return;
+    if (CHAMBER_ORDER[status] > CHAMBER_ORDER[c.status] || (status === c.status && !c.date)) {
+      c.status = status;
+      c.date = date || c.date;
+    }
+  };
+  const pass = (c, date) => {
+    if (!c || c.status === "passed") return;
+    c.status = "passed";
+    c.date = date || c.date;
+  };
+  const passAll = (date) => chambers.forEach(x => pass(x, date));
+
+  // Furthest point on STAGE_PATH, whatever happened after
+  const stepNow = () => {
+    const passedCount = chambers.filter(c => c.status === "passed").length;
+    if (outcome === "law" || outcome === "overridden" || (passedCount === chambers.length && !executive)) return 6;
+    if (outcome) return 5;
+    if (passedCount === chambers.length) return 4;
+    if (passedCount > 0) return 3;
+    if (chambers.some(c => CHAMBER_ORDER[c.status] >= CHAMBER_ORDER.floor)) return 2;
+    if (chambers.some(c => CHAMBER_ORDER[c.status] >= CHAMBER_ORDER.committee)) return 1;
+    return 0;
+  };
+  // Date each step was first reached; a skipped step gets the date of the jump
+  const timeline = [{ key: STAGE_PATH[0], date: "" }];
+  const reachedBy = [-1];      // index of the event that reached each timeline step
+  let outcomeDate = "";
+
+  const moveOn = (from) => {
+    const next = otherChamber(chambers, from.name);
+    if (next && next.status !== "passed") current = next;
+    hearing = false;
+  };
+
+  for (const [i, e] of events.entries()) {
+    // "Referred to the Committee on Finance after passed House"
+    if (e.after && byName(e.after)) {
+      pass(byName(e.after), e.date);
+      moveOn(byName(e.after));
+    }
+    const c = (e.chamber && byName(e.chamber)) || current;
+    lastAmendment = null;
+    switch (e.kind) {
+      case "introduced": advance(c, "introduced", e.date); break;
+      case "referred": advance(c, "committee", e.date); break;
+      case "hearing": advance(c, "committee", e.date); hearing = true; break;
+      case "reported": advance(c, "reported", e.date); break;
+      case "floor": advance(c, "floor", e.date); break;
+      case "amendment": advance(c, e.committee ? "committee" : "floor", e.date); break;
+      case "amendment-agreed":
+        amended = true;
+        lastAmendment = e.committee ? "committee" : "floor";
+        advance(c, lastAmendment, e.date);
+        break;
+      case "passed": pass(c, e.date); moveOn(c); break;
+      case "failed":
+        if (c.status !== "passed") {
+          c.status = "failed";
+          c.date = e.date || c.date;
+        }
+        break;
+      case "received": {
+        const from = e.from ? byName(e.from) : null;
+        const to = (e.chamber && byName(e.chamber)) || otherChamber(chambers, (from || current).name);
+        if (to) {
+          pass(otherChamber(chambers, to.name), e.date);
+          advance(to, "introduced", e.date);
+          current = to;
+        }
+        hearing = false;
+        break;
+      }
+      case "resolving": passAll(e.date); resolving = true; break;
+      case "enrolled": passAll(e.date); break;
+      case "presented": passAll(e.date); outcome = outcome || "presented"; break;
+      case "law": passAll(e.date); outcome = "law"; break;
+      case "vetoed": passAll(e.date); outcome = "vetoed"; outcomeDate = e.date; break;
+      case "overridden": passAll(e.date); outcome = "overridden"; break;
+      // "procedural" (motions to reconsider / table) and "other" leave the stage alone
+      default: break;
+    }
+    if (e.kind === "introduced" && !timeline[0].date) timeline[0].date = e.date || "";
+    const reached = stepNow();
+    while (timeline.length <= reached) {
+      timeline.push({ key: STAGE_PATH[timeline.length], date: e.date || "" });
+      reachedBy.push(i);
+    }
+  }
+
+  // A step on this measure's path is skipped when the event that reached it
+  // also reached the next one
+  const path = stagePath(chambers, executive);
+  const reachedSteps = path.map(s => s.step).filter(step => step < timeline.length);
+  reachedSteps.forEach((step, j) => {
+    const next = reachedSteps[j + 1];
+    if (next !== undefined && reachedBy[step] >= 0 && reachedBy[step] === reachedBy[next]) timeline[step].skipped = true;
+  });
+
+  const passed = chambers.filter(c => c.status === "passed");
+  const failed = chambers.find(c => c.status === "failed");
+  const allPassed = passed.length === chambers.length;
+  const status = current.status;
+
+  let stage;
+  if (outcome === "law") stage = { key: "law", display: "Signed Into Law", priority: 10 };
+  else if (outcome === "overridden") stage = { key: "law", display: "Law (Veto Overridden)", priority: 10 };
+  else if (outcome === "vetoed") stage = { key: "vetoed", display: "Vetoed", priority: 9 };
+  else if (outcome === "presented") stage = { key: "executive", display: `Sent to ${executive || "Executive"}`, priority: 8 };
+  else if (allPassed && !executive) stage = { key: "adopted", display: chambers.length === 1 ? `Agreed to in ${chambers[0].name}` : "Adopted", priority: 10 };
+  else if (allPassed && chambers.length === 1) stage = { key: "passed-both", display: `Passed ${chambers[0].name}`, priority: 8 };
+  else if (allPassed) stage = { key: "passed-both", display: resolving ? "Resolving Differences" : "Passed Both Chambers", priority: 8 };
+  else if (failed) stage = { key: "failed", display: chambers.length > 1 ? `Failed in ${failed.name}` : "Failed", priority: 2 };
+  else if (passed.length > 0) stage = { key: "passed-one", display: `Passed ${passed[0].name}`, priority: 8 };
+  else if (status === "floor" && lastAmendment === "floor") stage = { key: "floor", display: "Amendment Adopted", priority: 7 };
+  else if (status === "floor") stage = { key: "floor", display: "Floor Vote Pending", priority: 7 };
+  else if (status === "reported") stage = { key: "committee", display: "Reported by Committee", priority: 6 };
+  else if (status === "committee" && lastAmendment === "committee") stage = { key: "committee", display: "Amended in Committee", priority: 5 };
+  else if (status === "committee") stage = hearing ? { key: "committee", display: "Committee Hearing", priority: 5 } : { key: "committee", display: "In Committee", priority: 4 };
+  else stage = { key: "introduced", display: "Introduced", priority: 3 };
+
+  const amendedSuffix = amended && stage.priority < 8 && stage.key !== "failed" && !lastAmendment;
+  return {
+    ...stage,
+    display: amendedSuffix ? `${stage.display} (Amended)` : stage.display,
+    step: stepNow(),
+    chambers: chambers.map(c => ({ name: c.name, status: c.status, date: c.date })),
+    executive,
+    path,
+    timeline: stage.key === "vetoed" || stage.key === "failed"
+      ? [...timeline, { key: stage.key, date: stage.key === "vetoed" ? outcomeDate : failed.date }]
+      : timeline,
+    ...(amended ? { amended: true } : {}),
+  };
+}
+
+function byDateAsc(events) {
+  return events
+    .map((e, i) => ({ e, i }))
+    .sort((a, b) => String(a.e.date || "").localeCompare(String(b.e.date || "")) || a.i - b.i)
+    .map(x => x.e);
+}
+
+// ============ FEDERAL (Congress.gov) ============
+
+// Library of Congress action codes (congress.gov/help/field-values/action-codes)
+const ACTION_CODES = {
+  "Intro-H": { kind: "introduced", chamber: "House" },
+  "1000": { kind: "introduced", chamber: "House" },
+  "10000": { kind: "introduced", chamber: "Senate" },
+  "5000": { kind: "reported", chamber: "House" },
+  "14000": { kind: "reported", chamber: "Senate" },
+  "8000": { kind: "passed", chamber: "House" },
+  "9000": { kind: "failed", chamber: "House" },
+  "17000": { kind: "passed", chamber: "Senate" },
+  "18000": { kind: "failed", chamber: "Senate" },
+  "28000": { kind: "presented" },
+  "E20000": { kind: "presented" },
+  "31000": { kind: "vetoed" },
+  "E30000": { kind: "law" },
+  "36000": { kind: "law" },
+  "E40000": { kind: "law" },
+};
+
+// Congress.gov action `type` -> the kinds its text may resolve to, and the fallback
+const ACTION_TYPES = {
+  IntroReferral: { kinds: ["introduced", "referred", "received"], fallback: "referred" },
+  Committee: { kinds: ["referred", "hearing", "reported", "amendment", "amendment-agreed", "failed"], fallback: "referred" },
+  Calendars: { kinds: ["floor"], fallback: "floor" },
+  Discharge: { kinds: ["floor"], fallback: "floor" },
+  Floor: { kinds: ["floor", "procedural", "passed", "failed", "amendment", "amendment-agreed", "received", "resolving", "enrolled"], fallback: "floor" },
+  ResolvingDifferences: { kinds: ["resolving", "passed", "enrolled"], fallback: "resolving" },
+  President: { kinds: ["presented", "law", "vetoed"], fallback: "presented" },
+  BecameLaw: { kinds: ["law"], fallback: "law" },
+  Veto: { kinds: ["vetoed", "overridden", "failed", "floor"], fallback: "vetoed" },
+};
+
+function federalEvent(a) {
+  const text = a.text || "";
+  const date = String(a.actionDate || a.date || "").slice(0, 10);
+  const fromText = classifyActionText(text);
+  const chamber = a.chamber || (/house/i.test(a.sourceSystem?.name || "") ? "House" : /senate/i.test(a.sourceSystem?.name || "") ? "Senate" : "") || fromText.chamber;
+
+  const coded = ACTION_CODES[a.actionCode];
+  if (coded) return { ...coded, chamber: coded.chamber || chamber, date };
+
+  const typed = ACTION_TYPES[a.type];
+  if (typed) {
+    // A failed veto override is not the bill failing
+    if (a.type === "Veto" && fromText.kind === "failed") return { kind: "vetoed", date };
+    const kind = typed.kinds.includes(fromText.kind) ? fromText.kind : typed.fallback;
+    return { ...fromText, kind, chamber, date, committee: fromText.committee || a.type === "Committee" };
+  }
+  return { ...fromText, chamber, date };
+}
+
+// "hr" | "s" | "hres" | ... -> { chambers, executive }
+function federalMeasure(billType) {
+  const t = String(billType || "").toLowerCase();
+  if (t === "hres" || t === "sres") return { chambers: 1, executive: null };
+  if (t === "hconres" || t === "sconres") return { chambers: 2, executive: null };
+  return { chambers: 2, executive: "President" };
+}
+
+// `actions`: Congress.gov actions (any order), or just [latestAction] for list items.
+// `amendmentAdopted` (bill-detail.js, from the bill's amendments) marks a bill
+// that is still moving as amended.
+export function federalStage(actions, { billType, originChamber, amendmentAdopted = false } = {}) {
+  const origin = /senate/i.test(originChamber || "") ? "Senate"
+    : /house/i.test(originChamber || "") ? "House"
+      : /^s/i.test(billType || "") ? "Senate" : "House";
+  const events = byDateAsc((Array.isArray(actions) ? actions : []).filter(Boolean).map(federalEvent));
+  return replay(events, { origin, ...federalMeasure(billType), amendmentAdopted });
+}
+
+// ============ STATE (LegiScan) ============
+
+// Lower chamber name where it isn't "House"
+const ASSEMBLY_STATES = new Set(["CA", "NV", "NY", "NJ", "WI"]);
+const UNICAMERAL_STATES = new Set(["NE", "DC"]);
+
+const LEGISCAN_CHAMBERS = { H: "House", A: "Assembly", S: "Senate", L: "Legislature", J: "Joint" };
+
+// LegiScan bill `status` / progress `event` codes
+const PROGRESS_KINDS = {
+  1: "introduced",
+  2: "passed",      // engrossed: passed the chamber it is in
+  3: "enrolled",    // passed both
+  4: "law",         // "Passed" (signed, or adopted for resolutions)
+  5: "vetoed",
+  6: "failed",
+  7: "overridden",
+  8: "law",         // chaptered
+  9: "referred",
+  10: "reported",
+  11: "failed",     // reported do-not-pass
+};
+
+// Kinds only progress events decide when a bill has them; history text is too loose for these
+const STRUCTURAL_KINDS = new Set(["passed", "failed", "received", "enrolled", "law", "vetoed", "overridden"]);
+
+function legiscanChamber(code, state) {
+  const name = LEGISCAN_CHAMBERS[String(code || "").toUpperCase()] || "";
+  return name === "House" && ASSEMBLY_STATES.has(state) ? "Assembly" : name;
+}
+
+// bill_type ("B", "R", "JR", "CR", ...) or the number prefix ("HB", "SR", "AJR", "LB")
+function stateMeasure(bill, state) {
+  const type = String(bill.bill_type || "").toUpperCase();
+  const prefix = String(bill.bill_number || bill.number || "").toUpperCase().match(/^([A-Z]+)/)?.[1] || "";
+  const resolution = type ? type === "R" : /^[HSA]R$|^[HSA]RES$/.test(prefix);
+  const joint = type ? /^(JR|CR|JRCA|CA)$/.test(type) : /^[HSA](J|C)R/.test(prefix);
+  const unicameral = UNICAMERAL_STATES.has(state) || prefix === "LB" || String(bill.body || "").toUpperCase() === "L";
+  return {
+    chambers: unicameral || resolution ? 1 : 2,
+    executive: resolution || joint ? null : state === "US" ? "President" : "Governor",
+  };
+}
+
+function stateOrigin(bill, state) {
+  const lower = ASSEMBLY_STATES.has(state) ? "Assembly" : "House";
+  if (UNICAMERAL_STATES.has(state)) return { origin: "Legislature", lower };
+  const fromBody = legiscanChamber(bill.body, state);
+  if (fromBody && fromBody !== "Joint") return { origin: fromBody, lower };
+  const prefix = String(bill.bill_number || bill.number || "").toUpperCase();
+  return { origin: prefix.startsWith("S") ? "Senate" : lower, lower };
+}
+
+// `bill`: a LegiScan getBill bill (status, progress, history) or a masterlist /
+// search entry (status and last_action only). `state` when the entry lacks it.
+export function stateStage(bill, { state, amendmentAdopted = false } = {}) {
+  const st = String(bill.state || state || "").toUpperCase();
+  const { origin, lower } = stateOrigin(bill, st);
+  const measure = stateMeasure(bill, st);
+  const history = Array.isArray(bill.history) ? bill.history : [];
+  const progress = Array.isArray(bill.progress) ? bill.progress : [];
+
+  // History entries dated the same day say which chamber a progress event happened in
+  const chamberOn = (date) => {
+    const names = [...new Set(history.filter(h => h.date === date).map(h => legiscanChamber(h.chamber, st)).filter(Boolean))];
+    return names.length === 1 ? names[0] : "";
+  };
+  const progressKind = (code) => (Number(code) === 4 && !measure.executive ? "enrolled" : PROGRESS_KINDS[Number(code)]);
+
+  let events = [];
+  if (progress.length > 0) {
+    events.push(...progress
+      .map(p => ({ kind: progressKind(p.event), chamber: chamberOn(p.date), date: p.date || "" }))
+      .filter(e => e.kind));
+  } else if (bill.status) {
+    const kind = progressKind(bill.status);
+    if (kind && kind !== "introduced") events.push({ kind, date: bill.status_date || "" });
+  }
+
+  const structured = events.length > 0;
+  const texts = history.length > 0
+    ? history.map(h => ({ text: h.action, chamber: legiscanChamber(h.chamber, st), date: h.date || "" }))
+    : [{ text: bill.last_action, chamber: "", date: bill.last_action_date || "" }];
+  for (const h of texts) {
+    const e = classifyActionText(h.text);
+    if (e.kind === "other" || (structured && STRUCTURAL_KINDS.has(e.kind))) continue;
+    events.push({ ...e, chamber: h.chamber || (e.chamber && e.chamber !== "Legislature" ? (e.chamber === "House" ? lower : e.chamber) : ""), date: h.date });
+  }
+
+  // Status-only entries: the status event first, then the last action it came with
+  if (history.length > 0 || progress.length > 0) events = byDateAsc(events);
+  return replay(events, { origin, lower, ...measure, amendmentAdopted });
+}
@@ -0,0 +1,119 @@
+// netlify/functions/lib/store.js
+//
+// Tiny pluggable JSON key-value store used for anything that must outlive a
+// single function call (alert subscriptions, bill state, ...).
+//
+// Backends (env STORE_BACKEND):
+//   blobs  = Netlify Blobs (default when running on Netlify; @netlify/blobs in package.json)
+//   file   = one JSON file per key under STORE_DIR (default: <tmpdir>/civic-rights-alert-store)
+//   memory = per-process Map (tests / local experiments)
+//
+// Every backend exposes the same async API:
+//   get(key) -> value | null, set(key, value), delete(key), list(prefix) -> [key, ...]
+
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const memoryStores = new Map();
+
+function backendName() {
+  if (process.env.STORE_BACKEND) return process.env.STORE_BACKEND;
+  if (process.env.NETLIFY_BLOBS_CONTEXT || process.env.NETLIFY) return "blobs";
+  return "file";
+}
+
+function memoryStore(name) {
+  if (!memoryStores.has(name)) memoryStores.set(name, new Map());
+  const map = memoryStores.get(name);
+  return {
+    async get(key) { return map.has(key) ? structuredClone(map.get(key)) : null; },
+    async set(key, value) { map.set(key, structuredClone(value)); },
+    async delete(key) { map.delete(key); },
+    async list(prefix = "") { return [...map.keys()].filter(k => k.startsWith(prefix)); },
+  };
+}
+
+function fileStore(name) {
+  const dir = path.join(process.env.STORE_DIR || path.join(os.tmpdir(), "civic-rights-alert-store"), name);
+  const fileFor = (key) => path.join(dir, encodeURIComponent(key) + ".json");
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async set(key, value) {
+      await fs.mkdir(dir, { recursive: true });
+      // write-then-rename so a crashed write never leaves half a JSON file behind
+      const tmp = fileFor(key) + "." + process.pid + ".tmp";
+      await fs.writeFile(tmp, JSON.stringify(value));
+      await fs.rename(tmp, fileFor(key));
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+    async list(prefix = "") {
+      let files = [];
+      try {
+        files = await fs.readdir(dir);
+      } catch (e) {
+        if (e.code === "ENOENT") return [];
+        throw e;
+      }
+      return files
+        .filter(f => f.endsWith(".json"))
+        .map(f => decodeURIComponent(f.slice(0, -5)))
+        .filter(k => k.startsWith(prefix));
+    },
+  };
+}
+
+function blobsStore(name) {
+  let storePromise = null;
+  const open = () => {
+    if (!storePromise) {
+      storePromise = import("@netlify/blobs")
+        .then(m => m.getStore({ name, consistency: "strong" }))
+        .catch(e => {
+          // don't cache the failure — the next call retries the import
+          storePromise = null;
+          throw e;
+        });
+    }
+    return storePromise;
+  };
+  return {
+    async get(key) { return (await open()).get(key, { type: "json" }); },
+    async set(key, value) { await (await open()).setJSON(key, value); },
+    async delete(key) { await (await open()).delete(key); },
+    async list(prefix = "") {
+      const { blobs } = await (await open()).list({ prefix });
+      return blobs.map(b => b.key);
+    },
+  };
+}
+
+export function getStore(name) {
+  const backend = backendName();
+  if (backend === "memory") return memoryStore(name);
+  if (backend === "file") return fileStore(name);
+  if (backend === "blobs") return blobsStore(name);
+  throw new Error(`Unknown STORE_BACKEND "${backend}" (use blobs, file or memory)`);
+}
+
+// Scheduled sweeps that can't get through everything inside one function run
+// take `items` a slice at a time: returns the `size` items after the cursor
+// stored under `name` (wrapping around) and advances it for the next run.
+// Callers pass items in a stable order.
+export async function nextShard(name, items, size) {
+  if (items.length <= size) return items;
+  const cursors = getStore("sweep-cursors");
+  const start = ((await cursors.get(name))?.offset || 0) % items.length;
+  const shard = [...items.slice(start, start + size), ...items.slice(0, Math.max(0, start + size - items.length))];
+  await cursors.set(name, { offset: (start + size) % items.length, updatedAt: new Date().toISOString() });
+  return shard;
+}
@@ -0,0 +1,78 @@
+// netlify/functions/lib/subscriptions.js
+//
+// Alert subscription records, shared by alerts.js (subscribe / confirm /
+// unsubscribe) and alerts-sweep.js (scheduled change detection).
+//
+// One subscription per contact (an email address OR a phone number):
+//   { token, channel: "email"|"sms", address, bills: [id, ...],
+//     status: "pending"|"active"|"unsubscribed", createdAt, confirmedAt, updatedAt,
+//     replaces?: token }  (a pending change to an active subscription's bills)
+//
+// Keys in the "alert-subscriptions" store:
+//   sub:{token}                  the record
+//   contact:{channel}:{address}  -> { token, pendingToken?, confirmationsSentAt: [iso, ...] }
+//                                   (so re-subscribing updates instead of duplicating)
+
+import crypto from "node:crypto";
+import { getStore } from "./store.js";
+
+export const MAX_BILLS_PER_SUBSCRIPTION = 200;
+
+// Confirmation messages per contact per rolling day — the subscribe form
+// must not be usable to flood someone else's inbox or phone
+export const MAX_CONFIRMATIONS_PER_DAY = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Confirmation send times still inside the window, or null when the contact is at the limit
+export function confirmationAllowance(contact, now = Date.now()) {
+  const recent = (contact?.confirmationsSentAt || []).filter(t => now - Date.parse(t) < DAY_MS);
+  return recent.length < MAX_CONFIRMATIONS_PER_DAY ? recent : null;
+}
+
+export function subscriptionStore() {
+  return getStore("alert-subscriptions");
+}
+
+export function newToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+export function normalizeEmail(input) {
+  const s = String(input || "").trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s) ? s : "";
+}
+
+// US-centric: accepts "(602) 555-0100", "602-555-0100", "+1 602 555 0100" -> "+16025550100"
+export function normalizePhone(input) {
+  const digits = String(input || "").replace(/[^0-9]/g, "");
+  if (digits.length === 10) return "+1" + digits;
+  if (digits.length === 11 && digits.startsWith("1")) return "+" + digits;
+  return "";
+}
+
+// Links in messages must be absolute; Netlify sets URL to the site's primary URL
+export function siteUrl() {
+  return (process.env.URL || "http://localhost:8888").replace(/\/$/, "");
+}
+
+export function confirmUrl(token) {
+  return `${siteUrl()}/.netlify/functions/alerts?action=confirm&token=${token}`;
+}
+
+export function unsubscribeUrl(token) {
+  return `${siteUrl()}/.netlify/functions/alerts?action=unsubscribe&token=${token}`;
+}
+
+// RFC 2369 / RFC 8058 headers so mail clients can offer their own one-click unsubscribe
+export function unsubscribeHeaders(token) {
+  return {
+    "List-Unsubscribe": `<${unsubscribeUrl(token)}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
+export async function listSubscriptions(store = subscriptionStore()) {
+  const keys = await store.list("sub:");
+  const subs = await Promise.all(keys.map(k => store.get(k)));
+  return subs.filter(Boolean);
+}
@@ -0,0 +1,220 @@
+// netlify/functions/lib/summaries.js
+//
+// Plain-English summaries for federal bills, state bills and city matters,
+// generated with the Anthropic Messages API and stored, so each item is
+// summarized once per source version instead of on every modal open.
+//
+// Every summary is two short paragraphs plus a one-sentence "how it affects
+// you" line, which list endpoints put in the bill's howItAffectsYou field.
+//
+// Stores:
+//   bill-summaries       {bill id}/{version} -> { id, version, text, howItAffectsYou, model, generatedAt, basedOn, versionCode, versionLabel, sourceDate }
+//   bill-summary-index   {bill id} -> { version, howItAffectsYou, generatedAt } (newest only, for lists)
+//
+// Versions per source:
+//   federal  "crs-{versionCode}", or "title" until CRS publishes a summary
+//   state    "text-{doc_id}" for the newest LegiScan text, or "description"
+//   city     "v{Legistar text version}", or "title"
+// A new version gets a fresh summary; older ones are left in place.
+//
+// Env var: ANTHROPIC_API_KEY (without it nothing new is generated, but stored
+// summaries are still served)
+
+import { getStore } from "./store.js";
+import { ordinalSuffix } from "./congress.js";
+import { readableTextDoc, billTextPlain } from "./legiscan.js";
+import { stripTags } from "./xml.js";
+
+export const SUMMARY_MODEL = "claude-sonnet-4-20250514";
+
+// Bill text can run to hundreds of pages; the opening sections carry the substance
+const MAX_SOURCE_CHARS = 15000;
+
+const AFFECTS_LABEL = "HOW IT AFFECTS YOU:";
+
+const FORMAT_INSTRUCTIONS = `Then, on a final line starting with "${AFFECTS_LABEL}", write one sentence (under 30 words) telling an ordinary resident how this could affect them directly.`;
+
+function summaryStore() {
+  return getStore("bill-summaries");
+}
+
+function indexStore() {
+  return getStore("bill-summary-index");
+}
+
+function clip(text) {
+  const s = String(text || "").replace(/\s+/g, " ").trim();
+  return s.length > MAX_SOURCE_CHARS ? s.slice(0, MAX_SOURCE_CHARS) + " [...]" : s;
+}
+
+// One-shot completion; returns "" on HTTP errors
+export async function generateText(prompt, apiKey, { maxTokens = 500 } = {}) {
+  const resp = await fetch("https://api.anthropic.com/v1/messages", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": apiKey,
+      "anthropic-version": "2023-06-01",
+    },
+    body: JSON.stringify({
+      model: SUMMARY_MODEL,
+      max_tokens: maxTokens,
+      messages: [{ role: "user", content: prompt }],
+    }),
+  });
+  if (!resp.ok) {
+    console.log("AI summary request failed:", resp.status);
+    return "";
+  }
+  const data = await resp.json();
+  return data?.content?.[0]?.text || "";
+}
+
+// Model output -> { text, howItAffectsYou }
+function splitSummary(output) {
+  const i = output.toUpperCase().lastIndexOf(AFFECTS_LABEL);
+  if (i < 0) return { text: output.trim(), howItAffectsYou: "" };
+  return {
+    text: output.slice(0, i).trim(),
+    howItAffectsYou: output.slice(i + AFFECTS_LABEL.length).trim(),
+  };
+}
+
+// Stored summary for `id` at `version`, generating (and storing) it when missing.
+// `prompt` may be a string or an async function, so source text is only
+// fetched when a summary actually has to be written. `meta` is provenance
+// copied onto the record. Returns the record or null.
+export async function ensureSummary({ id, version, prompt, meta = {}, apiKey }) {
+  const key = `${id}/${version}`;
+  const existing = await summaryStore().get(key);
+  if (existing) return existing;
+  if (!apiKey) return null;
+
+  const promptText = typeof prompt === "function" ? await prompt() : prompt;
+  if (!promptText) return null;
+  const { text, howItAffectsYou } = splitSummary(await generateText(promptText, apiKey));
+  if (text.length <= 20) return null;
+
+  const record = { id, version, text, howItAffectsYou, model: SUMMARY_MODEL, generatedAt: new Date().toISOString(), ...meta };
+  await summaryStore().set(key, record);
+  await indexStore().set(String(id), { version, howItAffectsYou, generatedAt: record.generatedAt });
+  return record;
+}
+
+// Fills howItAffectsYou from stored summaries (never generates). `idOf` picks
+// the summary id when it isn't `bill.id` (city legislation uses watchId).
+export async function attachHowItAffectsYou(bills, idOf = b => b.id) {
+  const index = indexStore();
+  const list = bills || [];
+  for (let i = 0; i < list.length; i += 10) {
+    await Promise.all(list.slice(i, i + 10).map(async (bill) => {
+      const entry = await index.get(String(idOf(bill))).catch(() => null);
+      if (entry?.howItAffectsYou) bill.howItAffectsYou = entry.howItAffectsYou;
+    }));
+  }
+  return list;
+}
+
+// Record -> provenance for API responses
+export function summaryProvenance(record) {
+  if (!record) return null;
+  return {
+    generatedAt: record.generatedAt,
+    model: record.model,
+    basedOn: record.basedOn,
+    versionCode: record.versionCode,
+    versionLabel: record.versionLabel,
+    sourceDate: record.sourceDate,
+  };
+}
+
+// --- Federal (Congress.gov CRS summaries) ------------------------------------
+
+// Congress.gov /summaries entries -> [{ text, date, versionCode, actionDesc }]
+export function normalizeCrsSummaries(raw) {
+  return (Array.isArray(raw) ? raw : []).map(s => ({
+    text: s.text || "",
+    date: s.actionDate || s.updateDate || "",
+    versionCode: s.versionCode || "",
+    actionDesc: s.actionDesc || "",
+  }));
+}
+
+// Congress.gov lists summaries oldest first; the last one is the current CRS version
+export function latestCrsSummary(summaries) {
+  return summaries && summaries.length > 0 ? summaries[summaries.length - 1] : null;
+}
+
+function federalPrompt(title, congress, crsText) {
+  return crsText
+    ? `Here is a Congressional Research Service summary of a bill called "${title || ''}":\n\n${clip(stripTags(crsText))}\n\nRewrite this in 2 short paragraphs that a regular citizen can understand. Use plain, conversational English. Explain what the bill actually does in practical terms and why it matters to everyday people. Do not use legal jargon. Do not start with "This bill" — start with something more engaging. Do not include any preamble like "Here's a summary" — just give the summary directly. ${FORMAT_INSTRUCTIONS}`
+    : `A bill called "${title || ''}" was introduced in the ${ordinalSuffix(congress)} Congress. Based only on the title, write 1-2 short paragraphs explaining what this bill likely does in plain English that a regular citizen can understand. Be honest that this is based on the title only. Do not include any preamble — just give the summary directly. ${FORMAT_INSTRUCTIONS}`;
+}
+
+// `summaries` as returned by normalizeCrsSummaries
+export async function federalPlainSummary({ congress, type, number, title, summaries, apiKey }) {
+  const crs = latestCrsSummary(summaries);
+  if (!crs?.text && !title) return null;
+
+  return ensureSummary({
+    id: `${congress}-${String(type).toLowerCase()}-${number}`,
+    version: crs?.text ? `crs-${crs.versionCode || crs.date}` : "title",
+    prompt: federalPrompt(title, congress, crs?.text),
+    meta: crs?.text
+      ? { basedOn: "crs", versionCode: crs.versionCode || "", versionLabel: crs.actionDesc || "", sourceDate: crs.date || "" }
+      : { basedOn: "title", versionCode: "", versionLabel: "", sourceDate: "" },
+    apiKey,
+  });
+}
+
+// --- State (LegiScan) --------------------------------------------------------
+
+// `bill` is LegiScan's getBill payload. The newest readable text version is
+// summarized when there is one; otherwise the title + description.
+export async function stateBillPlainSummary({ bill, apiKey, legiscanKey }) {
+  if (!bill?.bill_id) return null;
+  const doc = readableTextDoc(bill.texts);
+  const name = `${bill.state || ""} ${bill.bill_number || ""}`.trim();
+
+  const describe = () => `Here is the official description of ${name}, a bill in the ${bill.state || ""} state legislature, titled "${bill.title || ""}":\n\n${clip(bill.description || bill.title)}\n\nIn 2 short paragraphs of plain, conversational English, explain what this bill would do and why it matters to people who live in the state. Be honest that this is based on the official description only. Do not use legal jargon and do not include any preamble. ${FORMAT_INSTRUCTIONS}`;
+
+  return ensureSummary({
+    id: String(bill.bill_id),
+    version: doc ? `text-${doc.doc_id}` : "description",
+    prompt: async () => {
+      if (!doc || !legiscanKey) return describe();
+      const text = await billTextPlain(doc.doc_id, legiscanKey).catch(() => "");
+      if (!text) return describe();
+      return `Here is the ${doc.type || "current"} text of ${name}, a bill in the ${bill.state || ""} state legislature, titled "${bill.title || ""}":\n\n${clip(text)}\n\nRewrite this in 2 short paragraphs that a regular citizen can understand. Use plain, conversational English. Explain what the bill actually does in practical terms and why it matters to people who live in the state. Do not use legal jargon. Do not include any preamble — just give the summary directly. ${FORMAT_INSTRUCTIONS}`;
+    },
+    meta: doc
+      ? { basedOn: "text", versionCode: String(doc.doc_id), versionLabel: doc.type || "", sourceDate: doc.date || "" }
+      : { basedOn: "description", versionCode: "", versionLabel: "", sourceDate: "" },
+    apiKey,
+  });
+}
+
+// --- City (Legistar) ---------------------------------------------------------
+
+// `source` is lib/legistar.js fetchMatterText(): { text, version, attachments }
+export async function cityMatterPlainSummary({ id, city, matter, source, apiKey }) {
+  const title = matter?.MatterTitle || matter?.MatterName || "";
+  const text = source?.text || matter?.MatterText || "";
+  if (!text && !title) return null;
+
+  const attachmentList = (source?.attachments || []).map(a => `- ${a.name}`).join("\n");
+  const context = `a ${matter?.MatterTypeName || "matter"} before the ${matter?.MatterBodyName || "city council"} in ${city}, titled "${title}"`;
+  const prompt = text
+    ? `Here is the text of ${context}:\n\n${clip(text)}\n\n${attachmentList ? `Attached documents:\n${attachmentList}\n\n` : ""}Rewrite this in 2 short paragraphs that a resident can understand. Use plain, conversational English. Explain what the council is being asked to do and why it matters to people who live in the city. Do not use legal jargon. Do not include any preamble — just give the summary directly. ${FORMAT_INSTRUCTIONS}`
+    : `Here is ${context}.\n\n${attachmentList ? `Attached documents:\n${attachmentList}\n\n` : ""}Based only on the title${attachmentList ? " and attachment names" : ""}, write 1-2 short paragraphs explaining what the council is likely being asked to do, in plain English a resident can understand. Be honest that this is based on the title only. Do not include any preamble. ${FORMAT_INSTRUCTIONS}`;
+
+  return ensureSummary({
+    id,
+    version: text ? `v${source?.version || matter?.MatterVersion || 1}` : "title",
+    prompt,
+    meta: text
+      ? { basedOn: "text", versionCode: String(source?.version || matter?.MatterVersion || ""), versionLabel: matter?.MatterStatusName || "", sourceDate: matter?.MatterLastModifiedUtc || "" }
+      : { basedOn: "title", versionCode: "", versionLabel: "", sourceDate: "" },
+    apiKey,
+  });
+}
@@ -0,0 +1,235 @@
+// netlify/functions/lib/topics.js
+//
+// Topic classification for federal and state bills (the topic pills in the UI).
+//
+// Signals, strongest first:
+//   - Congress.gov policyArea (one per federal bill, assigned by CRS)
+//   - Congress.gov legislativeSubjects / LegiScan subjects
+//   - keyword rules over the title and description (word-boundary matches,
+//     weighted so a bare "tax" or "health" can't outvote a real subject)
+// Each matching signal adds evidence for a topic; scores are combined as
+// 1 - Π(1 - weight), so they stay in 0..1 and read as a confidence. A bill gets
+// every topic scoring at least MIN_CONFIDENCE, best first.
+//
+// Lists only carry titles, so classifications that used policy areas/subjects
+// (from bill-detail.js / state-bill-detail.js, or enrichment in get-bills.js)
+// are stored and reused:
+//   bill-topics  {bill id} -> { topics: [{ topic, score }], basis, classifiedAt }
+// where basis is the strongest signal the classification had: "subjects" |
+// "policy-area" | "keywords".
+
+import { getStore } from "./store.js";
+
+export const MIN_CONFIDENCE = 0.35;
+
+// Stored classifications read at once by attachTopics
+const READ_BATCH = 25;
+
+// topic -> { label, policyAreas: { name: weight }, subjects: [[RegExp, weight]], keywords: [[RegExp, weight]] }
+export const TOPICS = {
+  privacy: {
+    label: "Privacy",
+    policyAreas: { "Science, Technology, Communications": 0.15 },
+    subjects: [[/privacy|surveillance|computer security|identity theft|data (protection|breach)/i, 0.6]],
+    keywords: [
+      [/\bprivacy\b|\bsurveillance\b|facial recognition|biometric/i, 0.6],
+      [/\bpersonal (data|information)\b|data (broker|collection|protection)|\bencryption\b|\bfisa\b|fourth amendment/i, 0.5],
+      [/\btracking\b|\bwarrant(less)?\b|\bcybersecurity\b/i, 0.3],
+    ],
+  },
+  healthcare: {
+    label: "Healthcare",
+    policyAreas: { Health: 0.7 },
+    subjects: [[/health|medicare|medicaid|medical|hospital|prescription|abortion|mental/i, 0.45]],
+    keywords: [
+      [/\bmedicare\b|\bmedicaid\b|affordable care act|health insurance|mental health|\babortion\b|reproductive/i, 0.6],
+      [/\bhospitals?\b|\bprescription\b|\bpharmac(y|ies|eutical)\b|\bvaccin(e|es|ation)\b|\bopioids?\b/i, 0.45],
+      [/\bhealth\b|\bmedical\b/i, 0.25],
+    ],
+  },
+  taxes: {
+    label: "Taxes",
+    policyAreas: { Taxation: 0.75, "Economics and Public Finance": 0.15 },
+    subjects: [[/taxation|\btax(es)?\b|revenue/i, 0.5]],
+    keywords: [
+      [/internal revenue code|income tax|property tax|sales tax|estate tax|capital gains|\btax (credit|cut|relief|rate|exemption|deduction)s?\b/i, 0.6],
+      [/\btax(es|ation|payers?)?\b|\birs\b|\btariffs?\b/i, 0.35],
+    ],
+  },
+  guns: {
+    label: "Guns",
+    policyAreas: {},
+    subjects: [[/firearm|weapon|ammunition/i, 0.8]],
+    keywords: [
+      [/\bfirearms?\b|\bguns?\b|second amendment|concealed carry|assault weapons?|\bammunition\b|ghost guns?/i, 0.7],
+      [/background checks?|\batf\b|red flag/i, 0.35],
+    ],
+  },
+  voting: {
+    label: "Voting",
+    policyAreas: { "Government Operations and Politics": 0.15 },
+    subjects: [[/election|voting|voter|ballot|campaign finance|redistricting/i, 0.65]],
+    keywords: [
+      [/\bvot(er|ers|ing)\b|\belections?\b|\bballots?\b|redistricting|campaign finance|absentee|voter id/i, 0.55],
+      [/\bpolling place|election officials?|electoral/i, 0.4],
+    ],
+  },
+  education: {
+    label: "Education",
+    policyAreas: { Education: 0.75 },
+    subjects: [[/education|school|student|teacher|universit|college/i, 0.5]],
+    keywords: [
+      [/\bschools?\b|\bstudents?\b|\bteachers?\b|student loans?|\bpell grants?\b|title ix/i, 0.55],
+      [/\beducation(al)?\b|\buniversit(y|ies)\b|\bcolleges?\b|\btuition\b/i, 0.45],
+    ],
+  },
+  climate: {
+    label: "Climate",
+    policyAreas: { "Environmental Protection": 0.6, Energy: 0.3, "Public Lands and Natural Resources": 0.2, "Water Resources Development": 0.2 },
+    subjects: [[/climate|greenhouse|emission|pollution|renewable|environmental/i, 0.6]],
+    keywords: [
+      [/climate change|greenhouse gas|\bemissions?\b|\bcarbon\b|clean (air|water|energy)|\brenewable\b/i, 0.6],
+      [/\bpollution\b|\benvironment(al)?\b|\bsolar\b|\bwind energy\b|fossil fuels?|\bepa\b/i, 0.4],
+    ],
+  },
+  immigration: {
+    label: "Immigration",
+    policyAreas: { Immigration: 0.8 },
+    subjects: [[/immigra|border|refugee|asylum|visa|citizenship|naturaliz/i, 0.6]],
+    keywords: [
+      [/\bimmigra(tion|nts?)\b|\basylum\b|\brefugees?\b|\bdeportation\b|\bdaca\b|\bdreamers?\b|green cards?/i, 0.65],
+      [/\bborder\b|\bvisas?\b|\bcitizenship\b|naturalization/i, 0.35],
+    ],
+  },
+  justice: {
+    label: "Justice",
+    policyAreas: { "Crime and Law Enforcement": 0.6, Law: 0.3 },
+    subjects: [[/crime|criminal|prison|correction|sentencing|police|law enforcement|courts?\b/i, 0.5]],
+    keywords: [
+      [/\bpolic(e|ing)\b|law enforcement|\bprisons?\b|\bjails?\b|\bsentencing\b|death penalty|\bbail\b|\bincarcerat/i, 0.55],
+      [/\bcriminal\b|\bcrimes?\b|due process|\bcourts?\b|\bjustice\b/i, 0.35],
+    ],
+  },
+  civilrights: {
+    label: "Civil rights",
+    policyAreas: { "Civil Rights and Liberties, Minority Issues": 0.65, "Native Americans": 0.3 },
+    subjects: [[/civil rights|discrimination|minorit|disabilit|sex(ual)? orientation|gender identity|equal (protection|pay|rights)/i, 0.6]],
+    keywords: [
+      [/civil rights|\bdiscriminat(e|ion|ory)\b|equal protection|\blgbtq?\+?\b|gender identity|sexual orientation|\bdisabilit(y|ies)\b/i, 0.6],
+      [/\bequal(ity)? pay\b|\bhate crimes?\b|\bsegregat/i, 0.45],
+    ],
+  },
+  speech: {
+    label: "Speech & religion",
+    policyAreas: { "Arts, Culture, Religion": 0.3 },
+    subjects: [[/first amendment|freedom of (speech|religion|the press|assembly)|religio|\bpress\b|censorship/i, 0.6]],
+    keywords: [
+      [/first amendment|free(dom of)? speech|freedom of (religion|the press|assembly)|religious (freedom|liberty)|\bcensorship\b/i, 0.65],
+      [/\bprotests?\b|\bjournalists?\b|\bbook bans?\b|\bsocial media\b/i, 0.35],
+    ],
+  },
+  labor: {
+    label: "Labor",
+    policyAreas: { "Labor and Employment": 0.75 },
+    subjects: [[/labor|employment|wage|worker|union|unemployment|workplace/i, 0.5]],
+    keywords: [
+      [/minimum wage|\bovertime\b|\bunions?\b|collective bargaining|paid (family |sick )?leave|\bosha\b|\bunemployment\b/i, 0.6],
+      [/\bworkers?\b|\bemployees?\b|\bemployment\b|\bwages?\b|\blabor\b/i, 0.35],
+    ],
+  },
+  housing: {
+    label: "Housing",
+    policyAreas: { "Housing and Community Development": 0.75 },
+    subjects: [[/housing|homeless|landlord|tenant|rent|mortgage/i, 0.6]],
+    keywords: [
+      [/\bhousing\b|\bhomeless(ness)?\b|\btenants?\b|\blandlords?\b|\beviction\b|\brent(al|ers)?\b/i, 0.6],
+      [/\bmortgages?\b|\bzoning\b|\bhud\b/i, 0.35],
+    ],
+  },
+};
+
+function addEvidence(scores, topic, weight) {
+  scores[topic] = 1 - (1 - (scores[topic] || 0)) * (1 - weight);
+}
+
+// { title, description, policyArea, subjects } -> { topic, topics: [{ topic, score }] }
+export function classifyBill({ title = "", description = "", policyArea = "", subjects = [] } = {}) {
+  const text = `${title} ${description && description !== title ? description : ""}`;
+  const subjectList = (subjects || []).map(s => (typeof s === "string" ? s : s?.name || s?.subject_name || "")).filter(Boolean);
+  const scores = {};
+
+  for (const [topic, rules] of Object.entries(TOPICS)) {
+    if (policyArea && rules.policyAreas[policyArea]) addEvidence(scores, topic, rules.policyAreas[policyArea]);
+    for (const [re, weight] of rules.subjects) {
+      // Several matching subjects are stronger evidence than one, up to three
+      const hits = subjectList.filter(s => re.test(s)).length;
+      for (let i = 0; i < Math.min(hits, 3); i++) addEvidence(scores, topic, weight / (i + 1));
+    }
+    for (const [re, weight] of rules.keywords) {
+      if (re.test(text)) addEvidence(scores, topic, weight);
+    }
+  }
+
+  const topics = Object.entries(scores)
+    .filter(([, score]) => score >= MIN_CONFIDENCE)
+    .map(([topic, score]) => ({ topic, score: Math.round(score * 100) / 100 }))
+    .sort((a, b) => b.score - a.score);
+
+  return { topic: topics[0]?.topic || "other", topics };
+}
+
+export function hasTopic(bill, topic) {
+  if (!topic || topic === "all") return true;
+  if (topic === "other") return (bill.topics || []).length === 0;
+  return (bill.topics || []).some(t => t.topic === topic);
+}
+
+function topicStore() {
+  return getStore("bill-topics");
+}
+
+function classificationBasis({ policyArea = "", subjects = [] } = {}) {
+  if ((subjects || []).length > 0) return "subjects";
+  return policyArea ? "policy-area" : "keywords";
+}
+
+// Classifies from full metadata (policy area / subjects) and stores the result
+export async function saveBillTopics(id, input) {
+  const result = classifyBill(input);
+  await topicStore().set(String(id), { topics: result.topics, basis: classificationBasis(input), classifiedAt: new Date().toISOString() });
+  return result;
+}
+
+// Sets bill.topic / bill.topics on each list bill. Stored classifications
+// that had a policy area or subjects win; otherwise `enrich(bill)` -> { policyArea, subjects }
+// is called for up to `enrichLimit` bills, and the rest fall back to keywords.
+// `stored: false` skips the store entirely (whole-session scans).
+export async function attachTopics(bills, { enrich = null, enrichLimit = 0, stored: useStored = true } = {}) {
+  const store = topicStore();
+  let budget = enrich ? enrichLimit : 0;
+  const list = bills || [];
+
+  for (let i = 0; i < list.length; i += READ_BATCH) {
+    await Promise.all(list.slice(i, i + READ_BATCH).map(async (bill) => {
+      const stored = useStored ? await store.get(String(bill.id)).catch(() => null) : null;
+      let topics = stored && stored.basis !== "keywords" ? stored.topics : null;
+
+      if (!topics && budget > 0) {
+        budget--;
+        try {
+          const meta = await enrich(bill);
+          if (meta) {
+            topics = (await saveBillTopics(bill.id, { title: bill.title, description: bill.description, ...meta })).topics;
+          }
+        } catch (e) {
+          console.log(`Topic enrichment failed for ${bill.id}:`, e.message);
+        }
+      }
+
+      if (!topics) topics = classifyBill({ title: bill.title, description: bill.description, policyArea: bill.policyArea }).topics;
+      bill.topics = topics;
+      bill.topic = topics[0]?.topic || "other";
+    }));
+  }
+  return list;
+}
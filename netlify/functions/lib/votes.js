@@ -0,0 +1,240 @@
+// netlify/functions/lib/votes.js
+//
+// House and Senate roll-call votes.
+//   House:  vote list from Congress.gov (house-vote/{congress}/{session}),
+//           member positions from the Clerk's roll-call XML (keyed by bioguide id)
+//   Senate: vote list from the senate.gov vote menu XML,
+//           member positions from each vote's XML (keyed by LIS id)
+//
+// Congress.gov has no Senate vote endpoint, hence the two paths.
+
+import { elements, text } from "./xml.js";
+import { congressFetch } from "./congress.js";
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+function isoDate(year, month, day) {
+  if (!year || !month || !day) return "";
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+// "3-Jan-2025" (House) / "January 9, 2025, 12:05 PM" (Senate) / "09-Jan" + year (Senate menu)
+function parseVoteDate(s, fallbackYear) {
+  const str = String(s || "").trim();
+  let m = str.match(/^(\d{1,2})-([a-z]{3})(?:-(\d{4}))?/i);
+  if (m) return isoDate(m[3] || fallbackYear, MONTHS[m[2].toLowerCase()], m[1]);
+  m = str.match(/^([a-z]+)\s+(\d{1,2}),\s*(\d{4})/i);
+  if (m) return isoDate(m[3], MONTHS[m[1].slice(0, 3).toLowerCase()], m[2]);
+  return str.slice(0, 10);
+}
+
+// First calendar year of a session: the 1st Congress convened in 1789
+export function sessionYear(congress, session) {
+  return 1789 + 2 * (Number(congress) - 1) + (Number(session) === 2 ? 1 : 0);
+}
+
+// Session in progress for a date (odd years are the first session)
+export function currentSession(date = new Date()) {
+  return date.getUTCFullYear() % 2 === 1 ? 1 : 2;
+}
+
+export function houseRollCallXmlUrl(year, rollCall) {
+  return `https://clerk.house.gov/evs/${year}/roll${String(rollCall).padStart(3, "0")}.xml`;
+}
+
+export function houseRollCallPublicUrl(year, rollCall) {
+  return `https://clerk.house.gov/Votes/${year}${rollCall}`;
+}
+
+function senateVotePath(congress, session, rollCall) {
+  return `https://www.senate.gov/legislative/LIS/roll_call_votes/vote${congress}${session}/vote_${congress}_${session}_${String(rollCall).padStart(5, "0")}`;
+}
+
+export function senateRollCallXmlUrl(congress, session, rollCall) {
+  return senateVotePath(congress, session, rollCall) + ".xml";
+}
+
+export function senateRollCallPublicUrl(congress, session, rollCall) {
+  return senateVotePath(congress, session, rollCall) + ".htm";
+}
+
+// senate.gov rejects requests without a browser-like user agent
+async function fetchXml(url) {
+  const resp = await fetch(url, { headers: { "user-agent": "Mozilla/5.0 (compatible; CivicRightsAlert/1.0)" } });
+  if (!resp.ok) return null;
+  return resp.text();
+}
+
+// Clerk roll-call XML -> { chamber, congress, session, rollCall, date, question, description, result, legislation, totals, members }
+export function parseHouseRollCall(xml) {
+  const meta = elements(xml, "vote-metadata")[0]?.inner || "";
+  const totals = elements(meta, "totals-by-vote")[0]?.inner || "";
+  const members = elements(xml, "recorded-vote").map(rv => {
+    const leg = elements(rv.inner, "legislator")[0] || { attrs: {}, inner: "" };
+    return {
+      bioguideId: leg.attrs["name-id"] || "",
+      name: leg.attrs["unaccented-name"] || text(rv.inner, "legislator"),
+      party: leg.attrs.party || "",
+      state: leg.attrs.state || "",
+      vote: text(rv.inner, "vote"),
+    };
+  });
+
+  return {
+    chamber: "House",
+    congress: Number(text(meta, "congress")) || null,
+    session: parseInt(text(meta, "session"), 10) || null,
+    rollCall: Number(text(meta, "rollcall-num")) || null,
+    date: parseVoteDate(text(meta, "action-date")),
+    question: text(meta, "vote-question"),
+    description: text(meta, "vote-desc"),
+    result: text(meta, "vote-result"),
+    legislation: text(meta, "legis-num"),
+    totals: {
+      yea: Number(text(totals, "yea-total")) || 0,
+      nay: Number(text(totals, "nay-total")) || 0,
+      present: Number(text(totals, "present-total")) || 0,
+      notVoting: Number(text(totals, "not-voting-total")) || 0,
+    },
+    members,
+  };
+}
+
+// senate.gov roll_call_vote XML -> same shape as parseHouseRollCall (members keyed by lisId)
+export function parseSenateRollCall(xml) {
+  const count = elements(xml, "count")[0]?.inner || "";
+  const doc = elements(xml, "document")[0]?.inner || "";
+  const members = elements(xml, "member").map(m => ({
+    lisId: text(m.inner, "lis_member_id"),
+    name: [text(m.inner, "first_name"), text(m.inner, "last_name")].filter(Boolean).join(" "),
+    party: text(m.inner, "party"),
+    state: text(m.inner, "state"),
+    vote: text(m.inner, "vote_cast"),
+  }));
+
+  return {
+    chamber: "Senate",
+    congress: Number(text(xml, "congress")) || null,
+    session: Number(text(xml, "session")) || null,
+    rollCall: Number(text(xml, "vote_number")) || null,
+    date: parseVoteDate(text(xml, "vote_date")),
+    question: text(xml, "vote_question_text") || text(xml, "question"),
+    description: text(xml, "vote_title") || text(doc, "document_title"),
+    result: text(xml, "vote_result"),
+    legislation: text(doc, "document_name"),
+    totals: {
+      yea: Number(text(count, "yeas")) || 0,
+      nay: Number(text(count, "nays")) || 0,
+      present: Number(text(count, "present")) || 0,
+      notVoting: Number(text(count, "absent")) || 0,
+    },
+    members,
+  };
+}
+
+// Senate vote menu XML -> [{ rollCall, date, issue, question, result, title }], newest first
+export function parseSenateVoteMenu(xml) {
+  const year = text(xml, "congress_year");
+  return elements(xml, "vote").map(v => ({
+    rollCall: Number(text(v.inner, "vote_number")) || null,
+    date: parseVoteDate(text(v.inner, "vote_date"), year),
+    issue: text(v.inner, "issue"),
+    question: text(v.inner, "question"),
+    result: text(v.inner, "result"),
+    title: text(v.inner, "title"),
+  })).filter(v => v.rollCall).sort((a, b) => b.rollCall - a.rollCall);
+}
+
+// Most recent House roll calls: [{ rollCall, date, result, legislation, xmlUrl, url }]
+export async function recentHouseVotes(congress, session, count, apiKey) {
+  const path = `house-vote/${congress}/${session}`;
+  // The list is ordered oldest first, so read the total and page from the end
+  const head = await congressFetch(path, apiKey, { limit: 1 });
+  const total = Number(head?.pagination?.count) || 0;
+  if (!total) return [];
+  const data = await congressFetch(path, apiKey, { limit: count, offset: Math.max(0, total - count) });
+  const year = sessionYear(congress, session);
+
+  return (data?.houseRollCallVotes || [])
+    .map(v => ({
+      rollCall: Number(v.rollCallNumber),
+      date: String(v.startDate || "").slice(0, 10),
+      result: v.result || "",
+      legislation: v.legislationType && v.legislationNumber ? `${v.legislationType} ${v.legislationNumber}` : "",
+      xmlUrl: v.sourceDataURL || houseRollCallXmlUrl(year, v.rollCallNumber),
+      url: houseRollCallPublicUrl(year, v.rollCallNumber),
+    }))
+    .sort((a, b) => b.rollCall - a.rollCall);
+}
+
+// Most recent Senate roll calls from the vote menu (same shape as recentHouseVotes)
+export async function recentSenateVotes(congress, session, count) {
+  const xml = await fetchXml(`https://www.senate.gov/legislative/LIS/roll_call_lists/vote_menu_${congress}_${session}.xml`);
+  if (!xml) return [];
+  return parseSenateVoteMenu(xml).slice(0, count).map(v => ({
+    rollCall: v.rollCall,
+    date: v.date,
+    result: v.result,
+    legislation: v.issue,
+    xmlUrl: senateRollCallXmlUrl(congress, session, v.rollCall),
+    url: senateRollCallPublicUrl(congress, session, v.rollCall),
+  }));
+}
+
+export async function fetchRollCall(chamber, xmlUrl) {
+  const xml = await fetchXml(xmlUrl);
+  if (!xml) return null;
+  return chamber === "Senate" ? parseSenateRollCall(xml) : parseHouseRollCall(xml);
+}
+
+// One member's position on their chamber's last `count` roll calls.
+// `lisId` is required to match Senate votes (see lib/legislators.js).
+export async function memberVotes({ chamber, bioguideId, lisId, congress, session, count, apiKey }) {
+  const list = chamber === "Senate"
+    ? await recentSenateVotes(congress, session, count)
+    : await recentHouseVotes(congress, session, count, apiKey);
+
+  const rollCalls = await Promise.all(list.map(v => fetchRollCall(chamber, v.xmlUrl).catch(() => null)));
+
+  return list.map((v, i) => {
+    const rc = rollCalls[i];
+    if (!rc) return null;
+    const me = rc.members.find(m => chamber === "Senate" ? (lisId && m.lisId === lisId) : m.bioguideId === bioguideId);
+    return {
+      chamber,
+      rollCall: v.rollCall,
+      date: rc.date || v.date,
+      question: rc.question,
+      description: rc.description,
+      result: rc.result || v.result,
+      legislation: rc.legislation || v.legislation,
+      position: me?.vote || "Not Voting",
+      totals: rc.totals,
+      url: v.url,
+    };
+  }).filter(Boolean);
+}
+
+// "Aye" / "Yea" / "No" / "Nay" / "Present" / "Not Voting" -> tally bucket
+export function voteBucket(vote) {
+  const v = String(vote || "").toLowerCase();
+  if (v === "yea" || v === "aye" || v === "yes") return "yea";
+  if (v === "nay" || v === "no") return "nay";
+  if (v === "present") return "present";
+  return "notVoting";
+}
+
+// members -> { D: { yea, nay, present, notVoting }, R: {...}, I: {...} }
+export function tallyByParty(members) {
+  const byParty = {};
+  for (const m of members || []) {
+    const party = m.party || "?";
+    byParty[party] = byParty[party] || { yea: 0, nay: 0, present: 0, notVoting: 0 };
+    byParty[party][voteBucket(m.vote)]++;
+  }
+  return byParty;
+}
+
+export function rollCallPassed(result) {
+  return /passed|agreed|confirmed|adopted|sustained/i.test(result || "") && !/not (agreed|sustained)|rejected|failed/i.test(result || "");
+}
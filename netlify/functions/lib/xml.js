@@ -0,0 +1,51 @@
+// netlify/functions/lib/xml.js
+//
+// Minimal, dependency-free XML readers for the small, regular documents we
+// consume (House Clerk / Senate roll calls, floor schedules, RSS feeds).
+// Not a general XML parser: no namespaces, no DTDs, no mixed content.
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+export function decodeEntities(s) {
+  return String(s || "")
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&([a-z]+);/gi, (m, name) => ENTITIES[name.toLowerCase()] ?? m);
+}
+
+function escapeTag(tag) {
+  return tag.replace(/[-.]/g, "\\$&");
+}
+
+// Every <tag ...>...</tag> element as { attrs, inner } (non-nested occurrences)
+export function elements(xml, tag) {
+  const t = escapeTag(tag);
+  const re = new RegExp(`<${t}(\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${t}>)`, "g");
+  const out = [];
+  let m;
+  while ((m = re.exec(String(xml || "")))) {
+    out.push({ attrs: parseAttrs(m[1] || ""), inner: m[2] || "" });
+  }
+  return out;
+}
+
+// Text of the first <tag> (tags stripped, entities decoded, whitespace collapsed)
+export function text(xml, tag) {
+  const el = elements(xml, tag)[0];
+  return el ? stripTags(el.inner) : "";
+}
+
+export function stripTags(s) {
+  return decodeEntities(String(s || "").replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1").replace(/<[^>]+>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function parseAttrs(s) {
+  const attrs = {};
+  const re = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(s))) attrs[m[1]] = decodeEntities(m[3] ?? m[4] ?? "");
+  return attrs;
+}
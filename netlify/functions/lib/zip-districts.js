@@ -0,0 +1,13 @@
+// netlify/functions/lib/zip-districts.js
+//
+// GENERATED by scripts/build-zip-districts.mjs from the Census Bureau's 2020
+// ZCTA relationship files — do not edit by hand. Re-run the script after
+// redistricting (or a new Congress) and commit the result.
+//
+// ZIP -> { s: state, cd: [congressional districts], u: [state senate districts],
+//          l: [state house districts], p: [incorporated places] }
+// Districts are listed largest overlap first; "0" is an at-large seat.
+
+export const SOURCE = null;
+
+export const ZIP_DISTRICTS = {};
@@ -0,0 +1,154 @@
+// netlify/functions/member.js
+//
+// Legislator profile from Congress.gov's member endpoints:
+// bio, committee assignments, sponsored/cosponsored legislation and their
+// recent House/Senate roll-call votes.
+//
+// Query params:
+//   id    = bioguide id (e.g. "A000370"; bill-detail.js returns it on every sponsor)
+//   limit = bills per sponsored/cosponsored list (optional, default 10, max 50)
+//   votes = recent roll calls to include (optional, default 10, max 25; 0 to skip)
+//
+// Committee assignments and Senate LIS ids come from the congress-legislators
+// dataset (see lib/legislators.js); Congress.gov does not publish them.
+//
+// Required env var: CONGRESS_API_KEY
+
+import { congressFetch, normalizeBill, currentCongress } from "./lib/congress.js";
+import { committeeAssignments, loadLegislators } from "./lib/legislators.js";
+import { memberVotes, currentSession } from "./lib/votes.js";
+import { withHttpCache } from "./lib/cache.js";
+
+function toInt(x, dflt, max) {
+  const n = Number(x);
+  return Number.isFinite(n) && n >= 0 ? Math.min(Math.floor(n), max) : dflt;
+}
+
+// sponsored-legislation also lists amendments (no bill type) — keep bills only
+function toBills(items) {
+  return (items || [])
+    .filter(i => i.type && i.number)
+    .map(i => ({ ...normalizeBill(i), introducedDate: i.introducedDate || "", policyArea: i.policyArea?.name || "" }));
+}
+
+function chamberOf(term) {
+  return /senate/i.test(term?.chamber || "") ? "Senate" : "House";
+}
+
+export async function handler(event) {
+  try {
+    const apiKey = process.env.CONGRESS_API_KEY;
+    if (!apiKey) {
+      return { statusCode: 500, headers: { "content-type": "application/json" },
+        body: JSON.stringify({ error: "Missing CONGRESS_API_KEY" }) };
+    }
+
+    const qs = event.queryStringParameters || {};
+    const bioguideId = String(qs.id || "").trim().toUpperCase();
+    if (!/^[A-Z]\d{6}$/.test(bioguideId)) {
+      return { statusCode: 400, headers: { "content-type": "application/json" },
+        body: JSON.stringify({ error: "Missing or invalid id. Usage: ?id=A000370 (bioguide id)" }) };
+    }
+    const limit = toInt(qs.limit, 10, 50) || 10;
+    const voteCount = toInt(qs.votes, 10, 25);
+
+    const [memberData, sponsoredData, cosponsoredData] = await Promise.all([
+      congressFetch(`member/${bioguideId}`, apiKey),
+      congressFetch(`member/${bioguideId}/sponsored-legislation`, apiKey, { limit }),
+      congressFetch(`member/${bioguideId}/cosponsored-legislation`, apiKey, { limit }),
+    ]);
+
+    const m = memberData?.member;
+    if (!m) {
+      return { statusCode: 404, headers: { "content-type": "application/json" },
+        body: JSON.stringify({ error: `No member found for ${bioguideId}` }) };
+    }
+
+    const terms = (Array.isArray(m.terms) ? m.terms : m.terms?.item || []).map(t => ({
+      chamber: chamberOf(t),
+      congress: t.congress || null,
+      state: t.stateCode || t.stateName || "",
+      district: t.district ?? null,
+      startYear: t.startYear || null,
+      endYear: t.endYear || null,
+    })).sort((a, b) => (b.startYear || 0) - (a.startYear || 0));
+    const latestTerm = terms[0] || {};
+    const party = m.partyHistory?.[0]?.partyAbbreviation || m.partyHistory?.[0]?.partyName || "";
+
+    // Committees and votes only make sense for sitting members; neither should sink the profile
+    let committees = [];
+    let votes = { chamber: latestTerm.chamber || null, items: [], note: "" };
+    if (m.currentMember) {
+      const congress = currentCongress();
+      const session = currentSession();
+
+      const [committeeResult, voteResult] = await Promise.allSettled([
+        committeeAssignments(bioguideId),
+        voteCount > 0
+          ? loadLegislators()
+            .catch(() => [])
+            .then(list => {
+              const lisId = list.find(l => l.id?.bioguide === bioguideId)?.id?.lis || null;
+              return memberVotes({ chamber: latestTerm.chamber, bioguideId, lisId, congress, session, count: voteCount, apiKey });
+            })
+          : Promise.resolve([]),
+      ]);
+
+      if (committeeResult.status === "fulfilled") committees = committeeResult.value;
+      else console.log("Committee assignments failed:", committeeResult.reason?.message);
+
+      if (voteResult.status === "fulfilled") {
+        votes.items = voteResult.value;
+        if (voteCount > 0 && votes.items.length === 0) votes.note = "No roll-call votes available for the current session yet.";
+      } else {
+        console.log("Roll-call votes failed:", voteResult.reason?.message);
+        votes.note = "Roll-call votes are temporarily unavailable.";
+      }
+    } else {
+      votes.note = "Voting records are only shown for current members.";
+    }
+
+    const name = m.directOrderName || [m.firstName, m.lastName].filter(Boolean).join(" ");
+    const address = m.addressInformation || {};
+
+    return withHttpCache(event, {
+      statusCode: 200,
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        bioguideId,
+        name,
+        firstName: m.firstName || "",
+        lastName: m.lastName || "",
+        party,
+        state: m.state || latestTerm.state || "",
+        district: m.district ?? latestTerm.district ?? null,
+        chamber: latestTerm.chamber || null,
+        currentMember: !!m.currentMember,
+        birthYear: m.birthYear || null,
+        imageUrl: m.depiction?.imageUrl || "",
+        officialWebsiteUrl: m.officialWebsiteUrl || "",
+        office: {
+          address: [address.officeAddress, address.city, address.zipCode].filter(Boolean).join(", "),
+          phone: address.phoneNumber || "",
+        },
+        leadership: (m.leadership || []).map(l => ({ type: l.type || "", congress: l.congress || null })),
+        terms,
+        committees,
+        sponsoredLegislation: {
+          count: m.sponsoredLegislation?.count ?? sponsoredData?.pagination?.count ?? 0,
+          bills: toBills(sponsoredData?.sponsoredLegislation),
+        },
+        cosponsoredLegislation: {
+          count: m.cosponsoredLegislation?.count ?? cosponsoredData?.pagination?.count ?? 0,
+          bills: toBills(cosponsoredData?.cosponsoredLegislation),
+        },
+        votes,
+        publicUrl: `https://www.congress.gov/member/${name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}/${bioguideId}`,
+        bioguideUrl: `https://bioguide.congress.gov/search/bio/${bioguideId}`,
+      }),
+    }, { maxAge: 300, sMaxAge: 3600, staleWhileRevalidate: 86400 });
+  } catch (err) {
+    return { statusCode: 500, headers: { "content-type": "application/json" },
+      body: JSON.stringify({ error: String(err) }) };
+  }
+}
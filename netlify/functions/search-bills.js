@@ -0,0 +1,407 @@
+// netlify/functions/search-bills.js
+//
+// Server-side search across federal bills. Returns the same normalized bill
+// objects as get-bills.js (including topics and rightsImpact), plus real totals for pagination.
+//
+// Query params (all optional, at least one of q / sponsor / policyArea / fromDate / toDate):
+//   q          = bill number ("H.R. 4021", "s512") or keywords ("facial recognition")
+//   sponsor    = bioguide id ("S000522") or part of a member's name ("Sanders")
+//   policyArea = Congress.gov policy area name ("Civil Rights and Liberties, Minority Issues")
+//   fromDate   = YYYY-MM-DD
+//   toDate     = YYYY-MM-DD
+//   congress   = "119", "117,118,119" (default: current Congress; number lookups also try the previous one)
+//   limit      = number (default 25, max 100)
+//   offset     = number (default 0)
+//   cursor     = opaque paging token returned as pagination.next_cursor (keyword searches)
+//
+// How each filter is served:
+//   bill number -> Congress.gov bill/{congress}/{type}/{number}
+//   sponsor     -> Congress.gov member/{bioguideId}/sponsored-legislation
+//   keywords    -> GovInfo full-text search of the BILLS collection (Congress.gov has no keyword search),
+//                  then each match is loaded from Congress.gov so results match get-bills.js
+//   dates only  -> Congress.gov bill/{congress}?fromDateTime&toDateTime (latest update date)
+//   policyArea  -> applied to the loaded bills, scanning on until the page is full;
+//                  totals count matches and are estimates when the scan stops early
+//
+// Required env var: CONGRESS_API_KEY (GOVINFO_API_KEY optional — the same api.data.gov key works)
+
+import { congressFetch, normalizeBill, parseBillNumber, currentCongress } from "./lib/congress.js";
+import { attachTopics } from "./lib/topics.js";
+import { attachRightsImpact } from "./lib/rights.js";
+import { withHttpCache } from "./lib/cache.js";
+
+const MAX_LIMIT = 100;
+// GovInfo page size is fixed so a cursor's in-page position stays valid between requests
+const GOVINFO_PAGE_SIZE = 100;
+const KEYWORD_MAX_PAGES = 3;
+// Policy area is only on the full bill record, so filtering on it costs one lookup per scanned bill
+const POLICY_SCAN_LIMIT = 250;
+const POLICY_SCAN_PAGE = 50;
+
+function toInt(x, dflt) {
+  const n = Number(x);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : dflt;
+}
+
+function isDate(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(s || ""));
+}
+
+function parseCongresses(input) {
+  const list = String(input || "")
+    .split(",")
+    .map(s => toInt(s.trim(), 0))
+    .filter(n => n >= 93 && n <= currentCongress()); // Congress.gov bill data starts at the 93rd
+  return [...new Set(list)].sort((a, b) => b - a);
+}
+
+// Runs `fn` over `items` with at most `limit` in flight
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Full bill record -> normalized bill (+ policyArea, which the list endpoint does not carry)
+async function loadBill(congress, type, number, apiKey) {
+  const data = await congressFetch(`bill/${congress}/${type}/${number}`, apiKey);
+  if (!data?.bill) return null;
+  return { ...normalizeBill(data.bill), policyArea: data.bill.policyArea?.name || "" };
+}
+
+function matchesPolicyArea(bill, policyArea) {
+  if (!policyArea) return true;
+  return String(bill.policyArea || "").toLowerCase() === policyArea.toLowerCase();
+}
+
+function inDateRange(date, fromDate, toDate) {
+  const d = String(date || "").slice(0, 10);
+  if (!d) return !fromDate && !toDate;
+  if (fromDate && d < fromDate) return false;
+  if (toDate && d > toDate) return false;
+  return true;
+}
+
+// ---------------------------------------------------------
+// Strategies
+// ---------------------------------------------------------
+
+async function searchByNumber(parsed, congresses, explicitCongress, apiKey) {
+  // Without an explicit congress, also look one Congress back ("the H.R. 4021 from last session")
+  const candidates = explicitCongress ? congresses : [congresses[0], congresses[0] - 1];
+  const found = await Promise.all(candidates.map(c => loadBill(c, parsed.type, parsed.number, apiKey)));
+  const bills = found.filter(Boolean);
+  return { bills, total: bills.length, totalIsEstimate: false };
+}
+
+async function resolveSponsor(sponsor, congresses, apiKey) {
+  const s = String(sponsor).trim();
+  if (/^[A-Z]\d{6}$/i.test(s)) return { bioguideId: s.toUpperCase(), name: "" };
+
+  const needle = s.toLowerCase();
+  for (const c of congresses) {
+    for (let offset = 0; offset < 750; offset += 250) {
+      const data = await congressFetch(`member/congress/${c}`, apiKey, { limit: 250, offset, currentMember: "false" });
+      const members = data?.members || [];
+      const hit = members.find(m => String(m.name || "").toLowerCase().includes(needle));
+      if (hit) return { bioguideId: hit.bioguideId, name: hit.name || "" };
+      if (members.length < 250) break;
+    }
+  }
+  return null;
+}
+
+async function searchBySponsor(opts, apiKey) {
+  const { q, sponsor, congresses, explicitCongress, fromDate, toDate, policyArea, limit, offset } = opts;
+  const member = await resolveSponsor(sponsor, congresses, apiKey);
+  if (!member) return { bills: [], total: 0, totalIsEstimate: false, sponsor: null };
+
+  const needsLocalFilter = explicitCongress || fromDate || toDate || policyArea || q;
+  // With local filters we must scan from the start to count correctly; cap the scan
+  const pageSize = 250;
+  const scanLimit = needsLocalFilter ? 1000 : offset + limit;
+  let items = [];
+  let upstreamTotal = 0;
+  for (let o = needsLocalFilter ? 0 : offset; items.length < scanLimit; o += pageSize) {
+    const size = needsLocalFilter ? pageSize : Math.min(pageSize, limit);
+    const data = await congressFetch(`member/${member.bioguideId}/sponsored-legislation`, apiKey, { limit: size, offset: o });
+    const page = data?.sponsoredLegislation || [];
+    upstreamTotal = data?.pagination?.count ?? upstreamTotal;
+    items.push(...page);
+    if (page.length < size || !needsLocalFilter) break;
+  }
+
+  // sponsored-legislation also lists amendments (no bill type) — keep bills only
+  let bills = items
+    .filter(i => i.type && i.number)
+    .map(i => ({ ...normalizeBill(i), policyArea: i.policyArea?.name || "" }));
+
+  if (!needsLocalFilter) {
+    return { bills, total: upstreamTotal, totalIsEstimate: false, sponsor: member };
+  }
+
+  const needle = String(q || "").toLowerCase();
+  bills = bills.filter(b =>
+    (!explicitCongress || congresses.includes(Number(b.congress))) &&
+    inDateRange(b.date, fromDate, toDate) &&
+    matchesPolicyArea(b, policyArea) &&
+    (!needle || b.title.toLowerCase().includes(needle))
+  );
+  return {
+    bills: bills.slice(offset, offset + limit),
+    total: bills.length,
+    totalIsEstimate: upstreamTotal > items.length,
+    sponsor: member,
+  };
+}
+
+// BILLS-119hr4021ih -> { congress: "119", type: "hr", number: "4021" }
+function parsePackageId(packageId) {
+  const m = String(packageId || "").match(/^BILLS-(\d+)([a-z]+?)(\d+)([a-z]+)$/);
+  return m ? { congress: m[1], type: m[2], number: m[3] } : null;
+}
+
+function billKey(ref) {
+  return ref ? `${ref.congress}-${ref.type}-${ref.number}` : "";
+}
+
+// Keyword cursors are { mark: GovInfo offsetMark, skip: results already used on that page }
+function encodeCursor(pos) {
+  return Buffer.from(JSON.stringify(pos)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return { mark: "*", skip: 0 };
+  try {
+    const pos = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof pos?.mark === "string") return { mark: pos.mark, skip: toInt(pos.skip, 0) };
+  } catch {
+    // fall through: a bare offsetMark from before cursors carried a position
+  }
+  return { mark: cursor, skip: 0 };
+}
+
+async function searchByKeyword(opts, apiKey) {
+  const { q, congresses, fromDate, toDate, policyArea, limit, cursor } = opts;
+  const govinfoKey = process.env.GOVINFO_API_KEY || apiKey;
+
+  const terms = [
+    "collection:BILLS",
+    congresses.length === 1 ? `congress:${congresses[0]}` : `(${congresses.map(c => `congress:${c}`).join(" OR ")})`,
+  ];
+  if (fromDate || toDate) terms.push(`publishdate:range(${fromDate || "1973-01-01"},${toDate || new Date().toISOString().slice(0, 10)})`);
+  // Quote multi-word queries so "facial recognition" is matched as a phrase
+  const phrase = q.trim().includes(" ") && !q.includes('"') ? `"${q.trim()}"` : q.trim();
+  terms.push(phrase);
+
+  const searchPage = async (offsetMark) => {
+    const resp = await fetch(`https://api.govinfo.gov/search?api_key=${encodeURIComponent(govinfoKey)}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Accept": "application/json" },
+      body: JSON.stringify({
+        query: terms.join(" "),
+        pageSize: GOVINFO_PAGE_SIZE,
+        offsetMark,
+        sorts: [{ field: "score", sortOrder: "DESC" }],
+      }),
+    });
+    if (!resp.ok) throw new Error(`GovInfo search failed: ${resp.status}`);
+    return resp.json();
+  };
+
+  // Each bill has several text versions (ih, rh, eh, ...) — one result per bill. Results
+  // are used in order and the cursor records where this page stopped, so the rest of
+  // a GovInfo page is served by the next request instead of being skipped.
+  let pos = decodeCursor(cursor);
+  const seen = new Set();
+  const bills = [];
+  let total = 0;
+  let nextCursor = null;
+  for (let pages = 0; pages < KEYWORD_MAX_PAGES && bills.length < limit; pages++) {
+    const data = await searchPage(pos.mark);
+    const results = data.results || [];
+    total = data.count || total;
+
+    let i = pos.skip;
+    while (i < results.length && bills.length < limit) {
+      const refs = [];
+      for (; i < results.length && refs.length < limit - bills.length; i++) {
+        const ref = parsePackageId(results[i].packageId);
+        if (!ref) continue;
+        const key = billKey(ref);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        refs.push(ref);
+      }
+      const loaded = await mapLimit(refs, 5, r => loadBill(r.congress, r.type, r.number, apiKey).catch(() => null));
+      bills.push(...loaded.filter(Boolean).filter(b => matchesPolicyArea(b, policyArea)));
+    }
+
+    // Step past more versions of bills already returned so the next page doesn't repeat them
+    while (i < results.length && seen.has(billKey(parsePackageId(results[i].packageId)))) i++;
+    if (i < results.length) {
+      nextCursor = encodeCursor({ mark: pos.mark, skip: i });
+      break;
+    }
+    if (!data.offsetMark || results.length < GOVINFO_PAGE_SIZE) {
+      nextCursor = null;
+      break;
+    }
+    pos = { mark: data.offsetMark, skip: 0 };
+    nextCursor = encodeCursor(pos);
+  }
+
+  return {
+    bills,
+    // GovInfo counts text versions, not bills, so the total is an upper bound
+    total: total || bills.length,
+    totalIsEstimate: true,
+    nextCursor,
+  };
+}
+
+// `limit` bills from `offset` of the date-filtered list, paging through `congresses` in order (newest first)
+async function datesPage(congresses, params, offset, limit, apiKey) {
+  let remainingOffset = offset;
+  let total = 0;
+  const bills = [];
+  for (const c of congresses) {
+    const probe = await congressFetch(`bill/${c}`, apiKey, { ...params, limit: 1, offset: 0 });
+    const count = probe?.pagination?.count || 0;
+    total += count;
+    if (bills.length >= limit || remainingOffset >= count) {
+      remainingOffset = Math.max(0, remainingOffset - count);
+      continue;
+    }
+    const data = await congressFetch(`bill/${c}`, apiKey, { ...params, limit: limit - bills.length, offset: remainingOffset });
+    bills.push(...(data?.bills || []).map(normalizeBill));
+    remainingOffset = 0;
+  }
+  return { bills, total };
+}
+
+async function searchByDates(opts, apiKey) {
+  const { congresses, fromDate, toDate, policyArea, limit, offset } = opts;
+  const params = { sort: "updateDate+desc" };
+  if (fromDate) params.fromDateTime = `${fromDate}T00:00:00Z`;
+  if (toDate) params.toDateTime = `${toDate}T23:59:59Z`;
+
+  if (!policyArea) {
+    const { bills, total } = await datesPage(congresses, params, offset, limit, apiKey);
+    return { bills, total, totalIsEstimate: false };
+  }
+
+  // Like searchBySponsor: scan from the start so offsets count matching bills, and
+  // keep going until this page is full (or the scan cap is hit)
+  const matches = [];
+  let scanned = 0;
+  let upstreamTotal = 0;
+  let exhausted = false;
+  while (matches.length < offset + limit && scanned < POLICY_SCAN_LIMIT) {
+    const page = await datesPage(congresses, params, scanned, POLICY_SCAN_PAGE, apiKey);
+    upstreamTotal = page.total;
+    const loaded = await mapLimit(page.bills, 5, b => loadBill(b.congress, String(b.type).toLowerCase(), b.billNumber, apiKey).catch(() => null));
+    matches.push(...loaded.filter(Boolean).filter(b => matchesPolicyArea(b, policyArea)));
+    scanned += page.bills.length;
+    if (page.bills.length < POLICY_SCAN_PAGE) {
+      exhausted = true;
+      break;
+    }
+  }
+
+  // Past the scan, assume the rest of the list matches at the same rate
+  const total = exhausted || scanned === 0
+    ? matches.length
+    : Math.max(matches.length, Math.round(matches.length * upstreamTotal / scanned));
+  return { bills: matches.slice(offset, offset + limit), total, totalIsEstimate: !exhausted };
+}
+
+// ---------------------------------------------------------
+// Handler
+// ---------------------------------------------------------
+
+export async function handler(event) {
+  try {
+    const apiKey = process.env.CONGRESS_API_KEY;
+    if (!apiKey) {
+      return { statusCode: 500, headers: { "content-type": "application/json" },
+        body: JSON.stringify({ error: "Missing CONGRESS_API_KEY env var in Netlify." }) };
+    }
+
+    const qs = event.queryStringParameters || {};
+    const q = String(qs.q || "").trim();
+    const sponsor = String(qs.sponsor || "").trim();
+    const policyArea = String(qs.policyArea || "").trim();
+    const fromDate = isDate(qs.fromDate) ? qs.fromDate : "";
+    const toDate = isDate(qs.toDate) ? qs.toDate : "";
+    const limit = Math.min(toInt(qs.limit, 25) || 25, MAX_LIMIT);
+    const offset = toInt(qs.offset, 0);
+    const cursor = qs.cursor ? String(qs.cursor) : "";
+
+    const explicitCongress = parseCongresses(qs.congress);
+    const congresses = explicitCongress.length > 0 ? explicitCongress : [currentCongress()];
+
+    if (!q && !sponsor && !policyArea && !fromDate && !toDate) {
+      return { statusCode: 400, headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          error: "Provide at least one of q, sponsor, policyArea, fromDate or toDate.",
+          usage: "?q=facial recognition&congress=118,119  |  ?q=H.R. 4021  |  ?sponsor=S000522&fromDate=2025-03-01",
+        }) };
+    }
+
+    const opts = { q, sponsor, policyArea, fromDate, toDate, limit, offset, cursor, congresses, explicitCongress: explicitCongress.length > 0 };
+    const number = parseBillNumber(q);
+
+    let strategy;
+    let result;
+    if (number) {
+      strategy = "number";
+      result = await searchByNumber(number, congresses, opts.explicitCongress, apiKey);
+    } else if (sponsor) {
+      strategy = "sponsor";
+      result = await searchBySponsor(opts, apiKey);
+    } else if (q) {
+      strategy = "keyword";
+      result = await searchByKeyword(opts, apiKey);
+    } else {
+      strategy = "dates";
+      result = await searchByDates(opts, apiKey);
+    }
+
+    // Same topic fields as get-bills.js (most results already carry policyArea)
+    await attachTopics(result.bills);
+    await attachRightsImpact(result.bills);
+
+    return withHttpCache(event, {
+      statusCode: 200,
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        bills: result.bills,
+        pagination: {
+          limit,
+          offset,
+          returned: result.bills.length,
+          total: result.total,
+          total_is_estimate: result.totalIsEstimate,
+          next_cursor: result.nextCursor || null,
+        },
+        query: { q, sponsor: result.sponsor || sponsor || null, policyArea, fromDate, toDate, congress: congresses },
+        strategy,
+        source: "congress.gov",
+      }),
+    });
+  } catch (err) {
+    return {
+      statusCode: 500,
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ error: String(err) }),
+    };
+  }
+}
@@ -0,0 +1,76 @@
+// netlify/functions/snapshot-sweep.js
+//
+// Scheduled: records snapshots for the most recently updated federal bills and
+// for each state in SNAPSHOT_STATES, so the "What's new" feed (changes.js)
+// keeps filling even when nobody opens the app.
+//
+// Each run takes one source — "US" (federal) or a state — in turn, and only
+// hands bills whose tracked fields moved since that source's last run to
+// recordSnapshots; the per-source fingerprints are a single write.
+//
+// Env vars:
+//   CONGRESS_API_KEY, LEGISCAN_API_KEY
+//   SNAPSHOT_STATES = comma-separated state codes (default "AZ")
+
+import { congressFetch, normalizeBill, currentCongress } from "./lib/congress.js";
+import { callLegiScan, normalizeMasterlistBill, masterlistEntries } from "./lib/legiscan.js";
+import { recordSnapshots, snapshotFingerprint } from "./lib/snapshots.js";
+import { getStore, nextShard } from "./lib/store.js";
+
+export const config = { schedule: "*/15 * * * *" };
+
+// Congress.gov allows up to 250 per page; two pages covers a typical day of updates
+const FEDERAL_PAGES = 2;
+const FEDERAL_PAGE_SIZE = 250;
+
+// Keyed by id: a bill updated mid-sweep can shift onto the next page and show up twice
+async function federalBills(apiKey) {
+  const bills = new Map();
+  for (let page = 0; page < FEDERAL_PAGES; page++) {
+    const data = await congressFetch(`bill/${currentCongress()}`, apiKey, {
+      sort: "updateDate+desc", limit: FEDERAL_PAGE_SIZE, offset: page * FEDERAL_PAGE_SIZE,
+    });
+    const list = (data?.bills || []).map(normalizeBill);
+    if (list.length === 0) break;
+    for (const bill of list) bills.set(String(bill.id), bill);
+  }
+  return [...bills.values()];
+}
+
+async function stateBills(state, apiKey) {
+  const ml = await callLegiScan("getMasterList", { state }, apiKey);
+  return masterlistEntries(ml).map(b => normalizeMasterlistBill(b, state));
+}
+
+export async function handler() {
+  const states = (process.env.SNAPSHOT_STATES || "AZ").split(",").map(s => s.trim().toUpperCase()).filter(Boolean);
+  const sources = [
+    process.env.CONGRESS_API_KEY && "US",
+    ...(process.env.LEGISCAN_API_KEY ? states : []),
+  ].filter(Boolean);
+  const [source] = await nextShard("snapshot-sweep", sources, 1);
+  if (!source) {
+    return { statusCode: 200, headers: { "content-type": "application/json" }, body: JSON.stringify({ source: null }) };
+  }
+
+  let summary;
+  try {
+    const bills = source === "US"
+      ? await federalBills(process.env.CONGRESS_API_KEY)
+      : await stateBills(source, process.env.LEGISCAN_API_KEY);
+
+    const fingerprints = getStore("snapshot-sweep");
+    const previous = (await fingerprints.get(`fingerprints:${source}`)) || {};
+    const current = Object.fromEntries(bills.map(b => [String(b.id), snapshotFingerprint(b)]));
+    const moved = bills.filter(b => previous[String(b.id)] !== current[String(b.id)]);
+
+    const changes = await recordSnapshots(moved);
+    await fingerprints.set(`fingerprints:${source}`, current);
+    summary = { source, recorded: bills.length, moved: moved.length, changed: changes.length };
+  } catch (e) {
+    summary = { source, error: e.message };
+  }
+
+  console.log("Snapshot sweep:", JSON.stringify(summary));
+  return { statusCode: 200, headers: { "content-type": "application/json" }, body: JSON.stringify(summary) };
+}
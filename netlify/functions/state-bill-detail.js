@@ -0,0 +1,239 @@
+// netlify/functions/state-bill-detail.js
+//
+// Fetches detailed info for a single state bill from LegiScan:
+// sponsors, history, stage (lib/stage.js), committees, subjects, summary,
+// roll-call votes, and substantially similar bills in other states (lib/similar.js).
+// Returns the same shape as bill-detail.js so BillDetailsModal can render either.
+//
+// Query params:
+//   id = LegiScan bill_id (the `id` returned by state-bills.js)
+//
+// Required env var: LEGISCAN_API_KEY
+// Optional: ANTHROPIC_API_KEY (generates plain-English summaries not yet stored),
+//           RIGHTS_LLM=on (model pass over the rights-impact analysis, lib/rights.js)
+
+import { callLegiScan, isLegiScanNotFound, readableTextDoc, billTextPlain } from "./lib/legiscan.js";
+import { stateBillPlainSummary, summaryProvenance } from "./lib/summaries.js";
+import { saveBillTopics } from "./lib/topics.js";
+import { billRightsImpact } from "./lib/rights.js";
+import { similarStateBills } from "./lib/similar.js";
+import { stateStage } from "./lib/stage.js";
+import { withHttpCache } from "./lib/cache.js";
+
+// Only the most recent roll calls get per-member breakdowns (one getRollCall each)
+const MAX_ROLL_CALLS = 5;
+
+const CHAMBER_NAMES = { H: "House", S: "Senate", J: "Joint", A: "Assembly" };
+
+function chamberName(code) {
+  return CHAMBER_NAMES[String(code || "").toUpperCase()] || String(code || "");
+}
+
+export async function handler(event) {
+  try {
+    const apiKey = process.env.LEGISCAN_API_KEY;
+    if (!apiKey) {
+      return { statusCode: 500, headers: { "content-type": "application/json" },
+        body: JSON.stringify({ error: "Missing LEGISCAN_API_KEY" }) };
+    }
+
+    const qs = event.queryStringParameters || {};
+    const billId = String(qs.id || "").replace(/[^0-9]/g, "");
+
+    if (!billId) {
+      return { statusCode: 400, headers: { "content-type": "application/json" },
+        body: JSON.stringify({ error: "Missing id. Usage: ?id=1234567 (LegiScan bill_id)" }) };
+    }
+
+    const billData = await callLegiScan("getBill", { id: billId }, apiKey).catch(err => {
+      if (isLegiScanNotFound(err)) return null;
+      throw err;
+    });
+    if (!billData?.bill) {
+      return { statusCode: 404, headers: { "content-type": "application/json" },
+        body: JSON.stringify({ error: `No LegiScan bill found for ${billId}` }) };
+    }
+    const bill = billData.bill;
+
+    // Sponsors — sponsor_type_id 1 = primary, 2 = co-sponsor, 3 = joint
+    const rawSponsors = Array.isArray(bill.sponsors) ? bill.sponsors : [];
+    const toPerson = (s) => ({
+      name: s.name || ((s.first_name || "") + " " + (s.last_name || "")).trim(),
+      party: s.party || "",
+      state: bill.state || "",
+      district: s.district || null,
+      role: s.role || "",
+      peopleId: s.people_id || null,
+    });
+    let primary = rawSponsors.filter(s => s.sponsor_type_id === 1);
+    if (primary.length === 0) primary = rawSponsors.slice(0, 1);
+    const sponsors = primary.map(toPerson);
+    const cosponsors = rawSponsors.filter(s => !primary.includes(s)).map(toPerson);
+
+    // Actions (legislative history)
+    const rawHistory = Array.isArray(bill.history) ? bill.history : [];
+    const actions = rawHistory.map(h => ({
+      date: h.date || "",
+      chamber: chamberName(h.chamber),
+      text: h.action || "",
+      type: h.importance ? "Major" : "",
+    })).sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    // Committees — referrals carry the full list, `committee` only the current one
+    const rawReferrals = Array.isArray(bill.referrals) ? bill.referrals : [];
+    let committees = rawReferrals.map(r => ({ name: r.name || "", chamber: chamberName(r.chamber), type: "Referred" }));
+    if (committees.length === 0 && bill.committee && bill.committee.name) {
+      committees = [{ name: bill.committee.name, chamber: chamberName(bill.committee.chamber), type: "Current" }];
+    }
+
+    const subjects = (Array.isArray(bill.subjects) ? bill.subjects : []).map(s => s.subject_name || s);
+
+    // Roll-call votes — totals come with getBill, per-member votes need getRollCall
+    const rawVotes = (Array.isArray(bill.votes) ? bill.votes : [])
+      .slice()
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    let peopleById = {};
+    if (rawVotes.length > 0 && bill.session?.session_id) {
+      try {
+        const people = await callLegiScan("getSessionPeople", { id: bill.session.session_id }, apiKey);
+        for (const p of people?.sessionpeople?.people || []) peopleById[p.people_id] = p;
+      } catch (e) {
+        console.log("Session people fetch failed:", e.message);
+      }
+    }
+
+    const rollCalls = await Promise.all(rawVotes.slice(0, MAX_ROLL_CALLS).map(v =>
+      callLegiScan("getRollCall", { id: v.roll_call_id }, apiKey)
+        .then(d => d.roll_call || null)
+        .catch(e => { console.log("Roll call fetch failed:", e.message); return null; })
+    ));
+
+    const votes = rawVotes.map((v, i) => {
+      const rc = rollCalls[i];
+      const members = Array.isArray(rc?.votes) ? rc.votes.map(m => {
+        const p = peopleById[m.people_id] || {};
+        return {
+          name: p.name || "",
+          party: p.party || "",
+          district: p.district || null,
+          vote: m.vote_text || "",
+        };
+      }) : [];
+      return {
+        id: v.roll_call_id,
+        date: v.date || "",
+        chamber: chamberName(v.chamber),
+        description: v.desc || "",
+        yea: v.yea || 0,
+        nay: v.nay || 0,
+        notVoting: v.nv || 0,
+        absent: v.absent || 0,
+        total: v.total || 0,
+        passed: v.passed === 1,
+        url: v.state_link || v.url || "",
+        members,
+      };
+    });
+
+    // Text versions (metadata only — documents are fetched on demand)
+    const texts = (Array.isArray(bill.texts) ? bill.texts : []).map(t => ({
+      id: t.doc_id,
+      date: t.date || "",
+      type: t.type || "",
+      mime: t.mime || "",
+      url: t.state_link || t.url || "",
+    }));
+
+    // Plain-English summary of the newest readable text version (or the description)
+    let plainSummary = null;
+    try {
+      plainSummary = await stateBillPlainSummary({ bill, apiKey: process.env.ANTHROPIC_API_KEY, legiscanKey: apiKey });
+    } catch (e) {
+      console.log("AI summary generation failed:", e.message);
+    }
+
+    // Subjects give a better topic than the list's keywords; stored for state-bills.js
+    let topics = [];
+    try {
+      topics = (await saveBillTopics(bill.bill_id || billId, { title: bill.title, description: bill.description, subjects })).topics;
+    } catch (e) {
+      console.log("Topic classification failed:", e.message);
+    }
+
+    // Rights impact from the newest readable bill text, else the description
+    let rightsImpact = null;
+    try {
+      const doc = readableTextDoc(bill.texts);
+      rightsImpact = await billRightsImpact({
+        id: bill.bill_id || billId,
+        version: doc ? `text-${doc.doc_id}` : "description",
+        title: bill.title || "",
+        text: async () => (doc && await billTextPlain(doc.doc_id, apiKey).catch(() => "")) || bill.description || "",
+        basis: doc ? "text" : "description",
+      });
+    } catch (e) {
+      console.log("Rights impact analysis failed:", e.message);
+    }
+
+    // Model bills and copies in other legislatures
+    let similarBills = [];
+    try {
+      const doc = readableTextDoc(bill.texts);
+      similarBills = await similarStateBills(bill, apiKey, {
+        text: async () => (doc ? billTextPlain(doc.doc_id, apiKey) : ""),
+      });
+    } catch (e) {
+      console.log("Similar bill search failed:", e.message);
+    }
+
+    // Stage from LegiScan's progress events, with the history filling in hearings and floor steps
+    const stage = stateStage(bill);
+
+    const latest = actions[0] || {};
+    const introducedDate = rawHistory.length > 0
+      ? rawHistory.map(h => h.date).filter(Boolean).sort()[0] || ""
+      : "";
+
+    return withHttpCache(event, {
+      statusCode: 200,
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        source: "legiscan",
+        billId: bill.bill_id || billId,
+        state: bill.state || "",
+        session: bill.session?.session_name || "",
+        type: bill.bill_type || "",
+        number: bill.bill_number || "",
+        title: bill.title || "",
+        introducedDate,
+        originChamber: chamberName(bill.body),
+        sponsors,
+        cosponsors,
+        cosponsorsCount: cosponsors.length,
+        actions,
+        stage,
+        summary: bill.description && bill.description !== bill.title ? bill.description : "",
+        plainEnglishSummary: plainSummary?.text || "",
+        plainEnglishSummaryInfo: summaryProvenance(plainSummary),
+        howItAffectsYou: plainSummary?.howItAffectsYou || "",
+        summaries: [],
+        committees,
+        policyArea: "",
+        subjects,
+        topics,
+        rightsImpact,
+        votes,
+        texts,
+        similarBills,
+        similarStates: [...new Set(similarBills.map(b => b.state))].length,
+        publicUrl: bill.state_link || bill.url || "",
+        legiscanUrl: bill.url || "",
+        latestAction: { actionDate: latest.date || bill.status_date || "", text: latest.text || "" },
+      }),
+    });
+  } catch (err) {
+    return { statusCode: 500, headers: { "content-type": "application/json" },
+      body: JSON.stringify({ error: String(err) }) };
+  }
+}
@@ -0,0 +1,105 @@
+// netlify/functions/summaries-sweep.js
+//
+// Scheduled: pre-generates plain-English summaries for the most recently
+// updated federal bills (the same list get-bills.js serves) and state bills in
+// SUMMARY_STATES, so the bill modal and howItAffectsYou usually find one
+// already stored. Bills whose current version is already summarized cost one
+// (cached) source fetch and no AI call.
+//
+// Each run takes one source — "US" (federal) or a state — in turn and stops
+// after a few new summaries, so a run stays inside the function time limit.
+//
+// Env vars:
+//   ANTHROPIC_API_KEY (required), CONGRESS_API_KEY, LEGISCAN_API_KEY
+//   SUMMARY_STATES         = comma-separated state codes (default "AZ")
+//   SUMMARY_SWEEP_BILLS    = recently updated bills to check per run (default 25)
+//   SUMMARY_SWEEP_GENERATE = max new summaries per run (default 3)
+
+import { congressFetch, currentCongress } from "./lib/congress.js";
+import { callLegiScan, masterlistEntries } from "./lib/legiscan.js";
+import { federalPlainSummary, stateBillPlainSummary, normalizeCrsSummaries } from "./lib/summaries.js";
+import { nextShard } from "./lib/store.js";
+
+export const config = { schedule: "*/15 * * * *" };
+
+function toInt(x, dflt) {
+  const n = Number(x);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : dflt;
+}
+
+function tally(summary, record, startedAt) {
+  if (!record) summary.failed++;
+  else if (record.generatedAt >= startedAt) summary.generated++;
+  else summary.existing++;
+}
+
+async function federalSweep(summary, { billCount, maxGenerate, startedAt, congressKey, anthropicKey }) {
+  const data = await congressFetch(`bill/${currentCongress()}`, congressKey, { sort: "updateDate+desc", limit: billCount });
+  for (const b of data?.bills || []) {
+    if (summary.generated >= maxGenerate) break;
+    const type = String(b.type || "").toLowerCase();
+    if (!type || !b.number) continue;
+    summary.checked++;
+    try {
+      const summariesData = await congressFetch(`bill/${b.congress}/${type}/${b.number}/summaries`, congressKey);
+      tally(summary, await federalPlainSummary({
+        congress: b.congress, type, number: b.number, title: b.title,
+        summaries: normalizeCrsSummaries(summariesData?.summaries), apiKey: anthropicKey,
+      }), startedAt);
+    } catch (e) {
+      console.log(`Summary for ${b.congress}-${type}-${b.number} failed:`, e.message);
+      summary.failed++;
+    }
+  }
+}
+
+async function stateSweep(summary, state, { billCount, maxGenerate, startedAt, legiscanKey, anthropicKey }) {
+  const ml = await callLegiScan("getMasterList", { state }, legiscanKey);
+  const recent = masterlistEntries(ml)
+    .sort((a, b) => String(b.last_action_date || "").localeCompare(String(a.last_action_date || "")))
+    .slice(0, billCount);
+  for (const entry of recent) {
+    if (summary.generated >= maxGenerate) break;
+    summary.checked++;
+    try {
+      const { bill } = await callLegiScan("getBill", { id: entry.bill_id }, legiscanKey);
+      tally(summary, await stateBillPlainSummary({ bill, apiKey: anthropicKey, legiscanKey }), startedAt);
+    } catch (e) {
+      console.log(`Summary for ${state} bill ${entry.bill_id} failed:`, e.message);
+      summary.failed++;
+    }
+  }
+}
+
+export async function handler() {
+  const anthropicKey = process.env.ANTHROPIC_API_KEY;
+  if (!anthropicKey) {
+    console.log("Summary sweep skipped: missing ANTHROPIC_API_KEY");
+    return { statusCode: 200, headers: { "content-type": "application/json" }, body: JSON.stringify({ skipped: true }) };
+  }
+
+  const congressKey = process.env.CONGRESS_API_KEY;
+  const legiscanKey = process.env.LEGISCAN_API_KEY;
+  const states = (process.env.SUMMARY_STATES || "AZ").split(",").map(s => s.trim().toUpperCase()).filter(Boolean);
+  const sources = [congressKey && "US", ...(legiscanKey ? states : [])].filter(Boolean);
+  const [source] = await nextShard("summaries-sweep", sources, 1);
+
+  const opts = {
+    billCount: Math.min(toInt(process.env.SUMMARY_SWEEP_BILLS, 25), 250),
+    maxGenerate: toInt(process.env.SUMMARY_SWEEP_GENERATE, 3),
+    startedAt: new Date().toISOString(),
+    congressKey, legiscanKey, anthropicKey,
+  };
+  const summary = { source: source || null, checked: 0, generated: 0, existing: 0, failed: 0 };
+
+  // Sequential on purpose: keeps us well under Congress.gov / LegiScan / Anthropic rate limits
+  try {
+    if (source === "US") await federalSweep(summary, opts);
+    else if (source) await stateSweep(summary, source, opts);
+  } catch (e) {
+    console.log(`Summary sweep for ${source} failed:`, e.message);
+  }
+
+  console.log("Summary sweep:", JSON.stringify(summary));
+  return { statusCode: 200, headers: { "content-type": "application/json" }, body: JSON.stringify(summary) };
+}
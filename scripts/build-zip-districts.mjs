@@ -0,0 +1,144 @@
+// scripts/build-zip-districts.mjs
+//
+// Builds netlify/functions/lib/zip-districts.js, the offline ZIP -> district
+// crosswalk used by find-reps.js, from the Census Bureau's 2020 relationship
+// files (https://www2.census.gov/geo/docs/maps-data/data/rel2020/):
+//
+//   --cd     ZCTA5 <-> congressional district (e.g. tab20_cd11920_zcta520_natl.txt)
+//   --sldu   ZCTA5 <-> state legislative district, upper chamber
+//   --sldl   ZCTA5 <-> state legislative district, lower chamber
+//   --place  ZCTA5 <-> place (tab20_zcta520_place20_natl.txt)
+//
+// Each flag takes a local path or a URL. --cd is required; the others are optional.
+// --out writes somewhere other than lib/zip-districts.js (the tests use it).
+//
+//   node scripts/build-zip-districts.mjs --cd tab20_cd11920_zcta520_natl.txt \
+//     --sldu tab20_sldu2024_zcta520_natl.txt --sldl tab20_sldl2024_zcta520_natl.txt \
+//     --place tab20_zcta520_place20_natl.txt
+
+import { readFile, writeFile } from "node:fs/promises";
+
+const MODULE = new URL("../netlify/functions/lib/zip-districts.js", import.meta.url);
+
+const FIPS = {
+  "01": "AL", "02": "AK", "04": "AZ", "05": "AR", "06": "CA", "08": "CO", "09": "CT", "10": "DE",
+  "11": "DC", "12": "FL", "13": "GA", "15": "HI", "16": "ID", "17": "IL", "18": "IN", "19": "IA",
+  "20": "KS", "21": "KY", "22": "LA", "23": "ME", "24": "MD", "25": "MA", "26": "MI", "27": "MN",
+  "28": "MS", "29": "MO", "30": "MT", "31": "NE", "32": "NV", "33": "NH", "34": "NJ", "35": "NM",
+  "36": "NY", "37": "NC", "38": "ND", "39": "OH", "40": "OK", "41": "OR", "42": "PA", "44": "RI",
+  "45": "SC", "46": "SD", "47": "TN", "48": "TX", "49": "UT", "50": "VT", "51": "VA", "53": "WA",
+  "54": "WV", "55": "WI", "56": "WY", "72": "PR",
+};
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith("--")) throw new Error(`Unexpected argument: ${argv[i]}`);
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+async function load(source) {
+  if (/^https?:/.test(source)) {
+    const resp = await fetch(source);
+    if (!resp.ok) throw new Error(`${source}: ${resp.status}`);
+    return resp.text();
+  }
+  return readFile(source, "utf8");
+}
+
+// Pipe-delimited with a header row; BOM on the first column in some files
+function rows(textContent) {
+  const lines = textContent.replace(/^\uFEFF/, "").split(/\r?\n/).filter(Boolean);
+  const header = lines[0].split("|");
+  return lines.slice(1).map(line => {
+    const cols = line.split("|");
+    return Object.fromEntries(header.map((h, i) => [h, cols[i] ?? ""]));
+  });
+}
+
+// "024" -> "24", "00" / "98" (at-large / delegate) -> "0", named districts pass through
+function districtLabel(code) {
+  if (/^\d+$/.test(code)) return code === "98" ? "0" : String(Number(code));
+  return code.replace(/^0+/, "");
+}
+
+// One relationship file -> Map(zip -> [{ state, label, area }])
+async function collect(source, toLabel) {
+  const out = new Map();
+  const data = rows(await load(source));
+  const cols = Object.keys(data[0] || {});
+  const zipCol = cols.find(c => /^GEOID_ZCTA5/.test(c));
+  const otherCol = cols.find(c => /^GEOID_/.test(c) && c !== zipCol);
+  const areaCol = cols.find(c => /^AREALAND_PART/.test(c));
+  if (!zipCol || !otherCol) throw new Error(`${source}: no ZCTA/GEOID columns in header`);
+
+  for (const r of data) {
+    const zip = r[zipCol];
+    if (!zip || !r[otherCol]) continue;
+    const area = Number(r[areaCol]) || 0;
+    if (areaCol && area === 0) continue; // water-only or boundary-touching overlaps
+    const entry = toLabel(r, otherCol);
+    if (!entry) continue;
+    if (!out.has(zip)) out.set(zip, []);
+    out.get(zip).push({ ...entry, area });
+  }
+  return out;
+}
+
+function labels(list) {
+  return [...new Map(list.sort((a, b) => b.area - a.area).map(e => [e.label, e.label])).keys()];
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.cd) {
+    console.error("Usage: node scripts/build-zip-districts.mjs --cd FILE [--sldu FILE] [--sldl FILE] [--place FILE] [--out FILE]");
+    process.exit(1);
+  }
+
+  const byGeoid = (r, col) => {
+    const geoid = r[col];
+    const state = FIPS[geoid.slice(0, 2)];
+    const code = geoid.slice(2);
+    if (!state || /^Z+$/.test(code)) return null; // ZZ = no district (water)
+    return { state, label: districtLabel(code) };
+  };
+  const byPlace = (r, col) => {
+    const state = FIPS[r[col].slice(0, 2)];
+    const name = (r.NAMELSAD_PLACE_20 || r.NAMELSAD || "").replace(/\s+(city|town|village|CDP|municipality|borough)$/i, "");
+    return state && name ? { state, label: name } : null;
+  };
+
+  const cd = await collect(args.cd, byGeoid);
+  const sldu = args.sldu ? await collect(args.sldu, byGeoid) : new Map();
+  const sldl = args.sldl ? await collect(args.sldl, byGeoid) : new Map();
+  const place = args.place ? await collect(args.place, byPlace) : new Map();
+
+  const zips = [...cd.keys()].sort();
+  const lines = zips.map(zip => {
+    const cds = cd.get(zip);
+    const state = cds.slice().sort((a, b) => b.area - a.area)[0].state;
+    const entry = { s: state, cd: labels(cds.filter(e => e.state === state)) };
+    const same = (m) => (m.get(zip) || []).filter(e => e.state === state);
+    if (sldu.has(zip)) entry.u = labels(same(sldu));
+    if (sldl.has(zip)) entry.l = labels(same(sldl));
+    if (place.has(zip)) entry.p = labels(same(place));
+    return `  ${JSON.stringify(zip)}: ${JSON.stringify(entry)},`;
+  });
+
+  const source = {
+    generatedAt: new Date().toISOString().slice(0, 10),
+    files: Object.fromEntries(["cd", "sldu", "sldl", "place"].filter(k => args[k]).map(k => [k, args[k].split("/").pop()])),
+  };
+  const out = args.out || MODULE;
+  const header = (await readFile(MODULE, "utf8")).split("export const SOURCE")[0];
+  await writeFile(out, `${header}export const SOURCE = ${JSON.stringify(source)};\n\nexport const ZIP_DISTRICTS = {\n${lines.join("\n")}\n};\n`);
+  console.log(`Wrote ${zips.length} ZIPs to ${out.pathname || out}`);
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
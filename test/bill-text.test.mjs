@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sanitizeHtml, diffSections } from "../netlify/functions/lib/bill-text.js";
+
+test("scripts and their content are dropped", () => {
+  assert.equal(sanitizeHtml("<p>Sec. 1</p><script>alert(1)</script><style>p{}</style>"), "<p>Sec. 1</p>");
+  assert.equal(sanitizeHtml("<p>a</p><SCRIPT type=\"text/javascript\">steal()</SCRIPT >b"), "<p>a</p>b");
+});
+
+test("an unclosed <script can't open a tag", () => {
+  const out = sanitizeHtml("<p>a</p><script>alert(1)");
+  assert.doesNotMatch(out, /<script/i);
+  assert.equal(sanitizeHtml("text <script src=x"), "text &lt;script src=x");
+});
+
+test("attributes and on* handlers are stripped", () => {
+  assert.equal(sanitizeHtml("<p class=\"x\" onclick=\"steal()\">a</p>"), "<p>a</p>");
+  assert.equal(sanitizeHtml("<b onmouseover=alert(1)>bold</b>"), "<b>bold</b>");
+  assert.equal(sanitizeHtml("<img src=x onerror=alert(1)><a href=\"javascript:alert(1)\">link</a>"), "link");
+  // A ">" inside an attribute ends the tag early; the rest is text
+  assert.equal(sanitizeHtml("<p title=\">\"><iframe src=x></iframe></p>"), "<p>\"&gt;</p>");
+});
+
+test("entities are decoded and re-escaped", () => {
+  assert.equal(sanitizeHtml("&lt;script&gt;alert(1)&lt;/script&gt;"), "&lt;script&gt;alert(1)&lt;/script&gt;");
+  assert.equal(sanitizeHtml("A &amp; B"), "A &amp; B");
+});
+
+test("struck and underlined spans become <s> and <u>", () => {
+  assert.equal(
+    sanitizeHtml("<span style=\"text-decoration: line-through\">old</span> <span style=\"text-decoration:underline\">new</span> <span class=\"x\">plain</span>"),
+    "<s>old</s> <u>new</u> plain",
+  );
+  // Nested plain spans don't close the marked one
+  assert.equal(sanitizeHtml("<span style=\"text-decoration: underline\"><span>a</span>b</span>"), "<u>ab</u>");
+});
+
+const v1 = ["Preamble text.", "SEC. 1. Short title.", "This Act may be cited as the Old Act.", "SEC. 2. Findings.", "Congress finds things.", "SEC. 3. Repeal.", "Section 5 is repealed."].join("\n");
+const v2 = ["Preamble text.", "SEC. 1. Short title.", "This Act may be cited as the New Act.", "SEC. 2. Findings.", "Congress finds things.", "SEC. 4. Reports.", "The Secretary shall report."].join("\n");
+
+test("sections are matched and marked added, removed, changed or unchanged", () => {
+  const { sections, stats } = diffSections(v1, v2);
+  const byKey = Object.fromEntries(sections.map(s => [s.key, s]));
+
+  assert.equal(byKey.preamble.status, "unchanged");
+  assert.equal(byKey["sec-2"].status, "unchanged");
+  assert.equal(byKey["sec-2"].html, undefined);
+
+  assert.equal(byKey["sec-1"].status, "changed");
+  assert.equal(byKey["sec-1"].html, "SEC. 1. Short title.\nThis Act may be cited as the<del> Old</del><ins> New</ins> Act.");
+  assert.equal(byKey["sec-1"].wordsAdded, 1);
+  assert.equal(byKey["sec-1"].wordsRemoved, 1);
+
+  // "Section 5 is repealed." is body text, not a heading
+  assert.equal(byKey["sec-3"].status, "removed");
+  assert.equal(byKey["sec-3"].html, "<del>SEC. 3. Repeal.\nSection 5 is repealed.</del>");
+  assert.equal(byKey["sec-4"].status, "added");
+  assert.equal(byKey["sec-4"].html, "<ins>SEC. 4. Reports.\nThe Secretary shall report.</ins>");
+
+  // Newer version's order, the removed section after the one that preceded it
+  assert.deepEqual(sections.map(s => s.key), ["preamble", "sec-1", "sec-2", "sec-3", "sec-4"]);
+  assert.deepEqual({ changed: stats.changed, added: stats.added, removed: stats.removed }, { changed: 1, added: 1, removed: 1 });
+});
+
+test("diff html is escaped text", () => {
+  const { sections } = diffSections("SEC. 1. A.\nx < y", "SEC. 1. A.\nx <script> y");
+  assert.equal(sections[0].html, "SEC. 1. A.\nx<del> &lt;</del><ins> &lt;script&gt;</ins> y");
+});
+
+test("very long added or removed sections come back without html", () => {
+  const long = Array.from({ length: 3000 }, (_, i) => `word${i}`).join(" ");
+  const { sections, stats } = diffSections("SEC. 1. A.\nshort", `SEC. 1. A.\nshort\nSEC. 2. Omnibus.\n${long}`);
+  const added = sections.find(s => s.key === "sec-2");
+  assert.equal(added.status, "added");
+  assert.equal(added.omitted, true);
+  assert.equal(added.html, undefined);
+  assert.equal(added.wordsAdded, 3003);
+  assert.equal(stats.wordsAdded, 3003);
+});
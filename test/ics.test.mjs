@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCalendar } from "../netlify/functions/lib/ics.js";
+
+test("DTSTAMP is the source's update time, else the day the feed was built", () => {
+  const text = buildCalendar({
+    name: "Meetings",
+    events: [
+      { uid: "a", summary: "A", start: "2099-01-05T18:00", timeZone: "America/Chicago", updated: "2026-03-01T12:30:00Z" },
+      { uid: "b", summary: "B", start: "2099-01-06T18:00", timeZone: "America/Chicago" },
+    ],
+  });
+  const stamps = [...text.matchAll(/^DTSTAMP:(.+)$/gm)].map(m => m[1].trim());
+  const today = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  assert.deepEqual(stamps, ["20260301T123000Z", `${today}T000000Z`]);
+  assert.match(text, /DTSTART:20990106T000000Z/);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.STORE_BACKEND = "memory";
+const { recordSnapshots, listChanges } = await import("../netlify/functions/lib/snapshots.js");
+const { getStore } = await import("../netlify/functions/lib/store.js");
+
+const bill = (id, source, status, extra = {}) => ({ id, source, status, statusDisplay: status, ...extra });
+const at = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+test("changes are keyed by source and scope and filtered on the listing", async () => {
+  await recordSnapshots([
+    bill("119-hr-1", "congress.gov", "Introduced"),
+    bill("101", "legiscan", "Introduced", { state: "AZ" }),
+    bill("102", "legiscan", "Introduced", { state: "TX" }),
+  ], { seenAt: at(60) });
+  await recordSnapshots([
+    bill("119-hr-1", "congress.gov", "Passed House"),
+    bill("101", "legiscan", "Passed Senate", { state: "AZ" }),
+    bill("102", "legiscan", "Passed House", { state: "TX" }),
+  ], { seenAt: at(30) });
+
+  const keys = await getStore("bill-changes").list("");
+  assert.ok(keys.some(k => /^legiscan\/\d{4}-\d{2}-\d{2}\/AZ\/.+:101$/.test(k)), keys.join(" "));
+  assert.ok(keys.some(k => /^congress\.gov\/\d{4}-\d{2}-\d{2}\/-\/.+:119-hr-1$/.test(k)), keys.join(" "));
+
+  const az = await listChanges({ state: "AZ" });
+  assert.deepEqual(az.changes.map(c => c.id), ["101"]);
+  const federal = await listChanges({ source: "congress.gov" });
+  assert.deepEqual(federal.changes.map(c => c.id), ["119-hr-1"]);
+});
+
+test("the newest `limit` bills come back, each folded to one entry", async () => {
+  await recordSnapshots([bill("201", "legiscan", "Introduced", { state: "OR" }), bill("202", "legiscan", "Introduced", { state: "OR" })], { seenAt: at(50) });
+  await recordSnapshots([bill("201", "legiscan", "In Committee", { state: "OR" })], { seenAt: at(20) });
+  await recordSnapshots([bill("202", "legiscan", "In Committee", { state: "OR" })], { seenAt: at(15) });
+  await recordSnapshots([bill("201", "legiscan", "Passed Senate", { state: "OR" })], { seenAt: at(10) });
+
+  const { changes } = await listChanges({ state: "OR", limit: 1 });
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].id, "201");
+  assert.equal(changes[0].changeCount, 2);
+  assert.equal(changes[0].from.statusDisplay, "Introduced");
+  assert.equal(changes[0].to.statusDisplay, "Passed Senate");
+});
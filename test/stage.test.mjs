@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { amendmentStatus, classifyActionText, federalStage } from "../netlify/functions/lib/stage.js";
+
+const houseFloor = (actionDate, text) => ({ actionDate, text, type: "Floor", sourceSystem: { name: "House floor actions" } });
+
+test("a recorded vote agreeing to a resolution is passage", () => {
+  const text = "On agreeing to the resolution Agreed to by recorded vote: 220 - 200 (Roll no. 123).";
+  assert.equal(classifyActionText(text).kind, "passed");
+
+  const stage = federalStage([
+    { actionDate: "2026-03-01", text: "Introduced in House", actionCode: "Intro-H" },
+    houseFloor("2026-03-05", text),
+  ], { billType: "HRES", originChamber: "House" });
+  assert.equal(stage.key, "adopted");
+  assert.equal(stage.chambers[0].status, "passed");
+});
+
+test("a resolution voted down is not passage", () => {
+  assert.equal(classifyActionText("On agreeing to the resolution Not Agreed to by recorded vote: 200 - 220.").kind, "failed");
+});
+
+test("a motion to reconsider laid on the table leaves the stage alone", () => {
+  const text = "Motion to reconsider laid on the table Agreed to without objection.";
+  assert.equal(classifyActionText(text).kind, "procedural");
+
+  const stage = federalStage([
+    { actionDate: "2026-03-01", text: "Introduced in House", actionCode: "Intro-H" },
+    { actionDate: "2026-03-05", text: "On passage Passed by recorded vote: 230 - 190.", actionCode: "8000" },
+    houseFloor("2026-03-05", text),
+  ], { billType: "HR", originChamber: "House" });
+  assert.equal(stage.key, "passed-one");
+  assert.deepEqual(stage.chambers.map(c => c.status), ["passed", "pending"]);
+});
+
+test("a motion to table an amendment inverts the vote", () => {
+  assert.equal(amendmentStatus("Motion to table the amendment SA 2110 agreed to in Senate by Yea-Nay Vote. 51 - 48."), "failed");
+  assert.equal(amendmentStatus("Motion to table the amendment SA 2110 not agreed to in Senate by Yea-Nay Vote. 45 - 52."), "pending");
+});
+
+test("steps one action jumps past are marked skipped", () => {
+  const stage = federalStage([
+    { actionDate: "2026-03-01", text: "Introduced in House", actionCode: "Intro-H" },
+    { actionDate: "2026-03-02", text: "Referred to the House Committee on the Judiciary.", type: "IntroReferral" },
+    { actionDate: "2026-04-10", text: "On motion to suspend the rules and pass the bill Agreed to by voice vote.", type: "Floor" },
+  ], { billType: "HR", originChamber: "House" });
+  assert.deepEqual(stage.timeline.map(t => [t.key, t.date, !!t.skipped]), [
+    ["introduced", "2026-03-01", false],
+    ["committee", "2026-03-02", false],
+    ["floor", "2026-04-10", true],
+    ["passed-one", "2026-04-10", false],
+  ]);
+});
+
+test("the path covers the steps the measure can take", () => {
+  const bill = federalStage([], { billType: "HR", originChamber: "House" });
+  assert.deepEqual(bill.path.map(s => s.label), ["Introduced", "Committee", "Floor", "Passed House", "Passed Senate", "President", "Law"]);
+
+  const resolution = federalStage([
+    { actionDate: "2026-03-01", text: "Introduced in House", actionCode: "Intro-H" },
+    houseFloor("2026-03-05", "On agreeing to the resolution Agreed to by recorded vote: 220 - 200."),
+  ], { billType: "HRES", originChamber: "House" });
+  assert.deepEqual(resolution.path.map(s => [s.key, s.step]), [["introduced", 0], ["committee", 1], ["floor", 2], ["passed-both", 4]]);
+  assert.equal(resolution.timeline[4].skipped, undefined);
+  assert.equal(resolution.timeline[2].skipped, true);
+});
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.STORE_BACKEND = "memory";
+const { saveBillTopics, attachTopics } = await import("../netlify/functions/lib/topics.js");
+const { getStore } = await import("../netlify/functions/lib/store.js");
+
+test("stored classifications record the signal they actually had", async () => {
+  await saveBillTopics("119-hr-1", { title: "A bill", policyArea: "Civil Rights and Liberties, Minority Issues", subjects: ["Voting rights"] });
+  await saveBillTopics("119-hr-2", { title: "A bill", policyArea: "Civil Rights and Liberties, Minority Issues" });
+  await saveBillTopics("119-hr-3", { title: "A bill to protect voting rights" });
+
+  const store = getStore("bill-topics");
+  assert.equal((await store.get("119-hr-1")).basis, "subjects");
+  assert.equal((await store.get("119-hr-2")).basis, "policy-area");
+  assert.equal((await store.get("119-hr-3")).basis, "keywords");
+});
+
+test("list bills reuse stored classifications that had more than keywords", async () => {
+  const stored = await saveBillTopics("119-hr-4", { title: "A bill", subjects: ["Voting rights", "Elections, voting, political campaign regulation"] });
+  assert.ok(stored.topics.length > 0);
+
+  const [bill] = await attachTopics([{ id: "119-hr-4", title: "A bill" }]);
+  assert.deepEqual(bill.topics, stored.topics);
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { pathToFileURL } from "node:url";
+
+const SCRIPT = new URL("../scripts/build-zip-districts.mjs", import.meta.url);
+
+// Relationship files in the Census layout: pipe-delimited, GEOID_* and AREALAND_PART columns
+function relationshipFile(dir, name, other, rows) {
+  const header = `OID_ZCTA5_20|GEOID_ZCTA5_20|OID_${other}|GEOID_${other}|NAMELSAD_${other}|AREALAND_PART|AREAWATER_PART`;
+  const path = join(dir, name);
+  writeFileSync(path, `﻿${[header, ...rows.map(([zip, geoid, area]) => `1|${zip}|2|${geoid}|x|${area}|0`)].join("\n")}\n`);
+  return path;
+}
+
+test("the build script turns ZCTA relationship files into the ZIP table", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "zip-districts-"));
+  const cd = relationshipFile(dir, "cd.txt", "CD119_20", [
+    ["85003", "0407", 100],
+    ["85003", "0403", 5000],
+    ["85003", "0409", 0],
+    ["05401", "5000", 800],
+  ]);
+  const sldu = relationshipFile(dir, "sldu.txt", "SLDU24_20", [
+    ["85003", "04003", 5100],
+    ["05401", "50C-1", 800],
+  ]);
+  const out = join(dir, "zip-districts.mjs");
+  execFileSync(process.execPath, [SCRIPT.pathname, "--cd", cd, "--sldu", sldu, "--out", out], { stdio: "pipe" });
+
+  const { ZIP_DISTRICTS, SOURCE } = await import(pathToFileURL(out).href);
+  // Largest overlap first; land-free overlaps dropped
+  assert.deepEqual(ZIP_DISTRICTS["85003"], { s: "AZ", cd: ["3", "7"], u: ["3"] });
+  // At-large seats are "0"; named districts pass through
+  assert.deepEqual(ZIP_DISTRICTS["05401"], { s: "VT", cd: ["0"], u: ["C-1"] });
+  assert.deepEqual(SOURCE.files, { cd: "cd.txt", sldu: "sldu.txt" });
+});